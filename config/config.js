@@ -10,8 +10,47 @@ const config = {
   stripe: {
     secretKey: process.env.STRIPE_SECRET_KEY,
     webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
-    currency: 'cad',
+    // Additional secrets accepted while rotating webhook endpoints (comma separated)
+    webhookSecrets: [
+      process.env.STRIPE_WEBHOOK_SECRET,
+      ...(process.env.STRIPE_WEBHOOK_SECRETS || '').split(','),
+    ].map((secret) => (secret || '').trim()).filter(Boolean),
+    webhookTolerance: parseInt(process.env.STRIPE_WEBHOOK_TOLERANCE) || 300, // seconds
+    currency: 'cad', // Default currency; see `currencies` for the allow-list
     paymentMethods: ['card'],
+    subscriptionIntervals: ['month', 'year'],
+  },
+
+  // Hosted Checkout return pages, relative to frontendUrl
+  checkout: {
+    successPath: process.env.CHECKOUT_SUCCESS_PATH || '/donate/success',
+    cancelPath: process.env.CHECKOUT_CANCEL_PATH || '/donate',
+  },
+
+  // Donor links for pausing, resuming or cancelling a recurring donation.
+  // Links carry an HMAC of the subscription id; changing the secret revokes them.
+  subscriptions: {
+    tokenSecret: process.env.SUBSCRIPTION_TOKEN_SECRET || process.env.JWT_SECRET || 'your-secret-key-change-in-production',
+    managePath: process.env.SUBSCRIPTION_MANAGE_PATH || '/donate/manage',
+  },
+
+  // Accepted donation currencies with per-currency limits (major units)
+  currencies: {
+    cad: { minAmount: 1.00, maxAmount: 10000.00 },
+    usd: { minAmount: 1.00, maxAmount: 10000.00 },
+    eur: { minAmount: 1.00, maxAmount: 9000.00 },
+    gbp: { minAmount: 1.00, maxAmount: 8000.00 },
+  },
+
+  // Processing fees used when donors choose to cover them
+  fees: {
+    percentage: parseFloat(process.env.PROCESSING_FEE_PERCENT) || 2.9,
+    fixed: { // Fixed fee per transaction, in major units
+      cad: parseFloat(process.env.PROCESSING_FEE_FIXED_CAD || 0.30),
+      usd: parseFloat(process.env.PROCESSING_FEE_FIXED_USD || 0.30),
+      eur: parseFloat(process.env.PROCESSING_FEE_FIXED_EUR || 0.25),
+      gbp: parseFloat(process.env.PROCESSING_FEE_FIXED_GBP || 0.20),
+    },
   },
 
   // Resend Email Configuration
@@ -25,10 +64,61 @@ const config = {
       : 'jemily12313@gmail.com',
   },
 
+  // Email delivery and templates (Handlebars). Transports: 'resend', 'smtp'
+  // or 'outbox' (writes .eml and .json files to DATA_PATH/outbox instead of
+  // sending). Without a Resend key the outbox is used, so development needs no
+  // email account. The fallback transport is tried when the primary one fails.
+  email: {
+    transport: process.env.EMAIL_TRANSPORT || (process.env.RESEND_API_KEY ? 'resend' : 'outbox'),
+    fallbackTransport: process.env.EMAIL_FALLBACK_TRANSPORT || null,
+    outboxDir: process.env.EMAIL_OUTBOX_DIR || 'outbox',
+    smtp: {
+      host: process.env.EMAIL_HOST,
+      port: parseInt(process.env.EMAIL_PORT, 10) || 587,
+      // true for port 465; STARTTLS is used on other ports when offered
+      secure: process.env.EMAIL_SECURE === 'true',
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+      from: process.env.EMAIL_FROM,
+    },
+    templatesPath: process.env.EMAIL_TEMPLATES_PATH || './templates/emails',
+    // Re-read templates on every send outside production so wording edits show up immediately
+    cacheTemplates: process.env.NODE_ENV === 'production',
+    adminPanelUrl: process.env.ADMIN_PANEL_URL || 'http://localhost:5173',
+    // Language for staff emails and for donors who didn't choose one
+    defaultLocale: process.env.EMAIL_DEFAULT_LOCALE || 'en',
+  },
+
+  // Registered charity details printed on official receipts
+  charity: {
+    legalName: process.env.CHARITY_LEGAL_NAME || 'Metrax Indigenous',
+    registrationNumber: process.env.CHARITY_REGISTRATION_NUMBER,
+    address: process.env.CHARITY_ADDRESS,
+    signatoryName: process.env.RECEIPT_SIGNATORY_NAME,
+    signatoryTitle: process.env.RECEIPT_SIGNATORY_TITLE || 'Authorized Signatory',
+    placeOfIssue: process.env.RECEIPT_PLACE_OF_ISSUE,
+  },
+
+  // Official Receipts
+  receipts: {
+    serialPrefix: process.env.RECEIPT_SERIAL_PREFIX || 'MX',
+    timeZone: process.env.RECEIPT_TIME_ZONE || 'America/Toronto',
+  },
+
   // JWT Configuration
   jwt: {
     secret: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
     expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    issuer: 'metrax-backend',
+  },
+
+  // Initial admin account, created on startup if it does not exist yet
+  admin: {
+    email: process.env.ADMIN_EMAIL,
+    password: process.env.ADMIN_PASSWORD,
+    name: process.env.ADMIN_NAME || 'Administrator',
+    usersFile: process.env.ADMIN_USERS_FILE || 'admin-users.json',
   },
 
   // Rate Limiting
@@ -67,6 +157,105 @@ const config = {
     allowedTypes: ['application/pdf', 'image/jpeg', 'image/png'],
   },
 
+  // Local Data Storage
+  storage: {
+    dataPath: process.env.DATA_PATH || './data',
+  },
+
+  // Donation Ledger
+  ledger: {
+    adapter: process.env.LEDGER_ADAPTER || 'file', // 'file' or 'memory'
+    fileName: process.env.LEDGER_FILE || 'donations.json',
+    subscriptionsFile: process.env.SUBSCRIPTIONS_FILE || 'subscriptions.json',
+  },
+
+  // Campaign progress totals
+  progress: {
+    fileName: process.env.PROGRESS_FILE || 'project-progress.json',
+  },
+
+  // Peer-to-peer fundraiser pages
+  fundraisers: {
+    fileName: process.env.FUNDRAISERS_FILE || 'fundraisers.json',
+  },
+
+  // Sponsor matching gift campaigns
+  matching: {
+    fileName: process.env.MATCHING_CAMPAIGNS_FILE || 'matching-campaigns.json',
+  },
+
+  // Accounting exports (GET /api/admin/donations/export)
+  accounting: {
+    quickbooks: {
+      clearingAccount: process.env.QUICKBOOKS_CLEARING_ACCOUNT || 'Stripe Clearing',
+      incomeAccount: process.env.QUICKBOOKS_INCOME_ACCOUNT || 'Donations',
+      feeAccount: process.env.QUICKBOOKS_FEE_ACCOUNT || 'Stripe Fees',
+    },
+    xero: {
+      incomeAccountCode: process.env.XERO_INCOME_ACCOUNT_CODE || '200',
+      feeAccountCode: process.env.XERO_FEE_ACCOUNT_CODE || '404',
+      taxType: process.env.XERO_TAX_TYPE || 'Tax Exempt',
+      trackingCategory: process.env.XERO_TRACKING_CATEGORY || 'Fund',
+    },
+  },
+
+  // Nightly reconciliation of the donation ledger against Stripe
+  reconciliation: {
+    enabled: process.env.RECONCILIATION_ENABLED !== 'false',
+    runHourUtc: process.env.RECONCILIATION_RUN_HOUR_UTC
+      ? parseInt(process.env.RECONCILIATION_RUN_HOUR_UTC)
+      : 8, // 2-3 AM in Winnipeg
+    fileName: process.env.RECONCILIATION_FILE || 'reconciliation-reports.json',
+    retainReports: parseInt(process.env.RECONCILIATION_RETAIN_REPORTS) || 60,
+  },
+
+  // Year-end consolidated receipts batch
+  yearEndReceipts: {
+    fileName: process.env.YEAR_END_RECEIPTS_FILE || 'year-end-receipts.json',
+    // Pause between donor emails to stay under the email provider's rate limit
+    sendIntervalMs: process.env.YEAR_END_RECEIPTS_SEND_INTERVAL_MS
+      ? parseInt(process.env.YEAR_END_RECEIPTS_SEND_INTERVAL_MS)
+      : 600,
+  },
+
+  // Outbound email queue (retries with exponential backoff, then dead-letter)
+  emailQueue: {
+    fileName: process.env.EMAIL_QUEUE_FILE || 'email-queue.json',
+    maxAttempts: parseInt(process.env.EMAIL_QUEUE_MAX_ATTEMPTS) || 6,
+    baseDelayMs: parseInt(process.env.EMAIL_QUEUE_BASE_DELAY_MS) || 30 * 1000, // Doubles after every failure
+    maxDelayMs: parseInt(process.env.EMAIL_QUEUE_MAX_DELAY_MS) || 60 * 60 * 1000,
+    pollIntervalMs: parseInt(process.env.EMAIL_QUEUE_POLL_INTERVAL_MS) || 15 * 1000,
+  },
+
+  // Idempotency-Key handling
+  idempotency: {
+    ttlMs: 24 * 60 * 60 * 1000, // 24 hours, matching Stripe's key retention
+    lockTimeoutMs: 60 * 1000, // Abandon in-progress keys after 1 minute
+  },
+
+  // Stripe webhook event log
+  webhookEvents: {
+    fileName: process.env.WEBHOOK_EVENTS_FILE || 'webhook-events.json',
+    retentionDays: parseInt(process.env.WEBHOOK_EVENTS_RETENTION_DAYS) || 30, // Processed events only
+    processingTimeoutMs: 5 * 60 * 1000, // Treat events stuck in processing as failed after 5 minutes
+  },
+
+  // Project Catalog
+  projects: {
+    catalogFile: process.env.PROJECTS_FILE || './config/projects.json',
+    // How often projects are re-read from Supabase, when configured
+    refreshIntervalMs: parseInt(process.env.PROJECTS_REFRESH_INTERVAL_MS) || 5 * 60 * 1000,
+  },
+
+  // Supabase (the website's database), reached through its REST API with the
+  // service role key. Optional: without it only the catalog file is used.
+  supabase: {
+    url: process.env.SUPABASE_URL,
+    serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+    projectsTable: process.env.SUPABASE_PROJECTS_TABLE || 'projects',
+    timeoutMs: 10 * 1000,
+  },
+
   // Validation
   validation: {
     minDonationAmount: 1.00,
@@ -78,10 +267,12 @@ const config = {
 };
 
 // Validate required environment variables
+const emailTransports = [config.email.transport, config.email.fallbackTransport];
 const requiredEnvVars = [
   'STRIPE_SECRET_KEY',
-  'RESEND_API_KEY',
   'JWT_SECRET',
+  ...(emailTransports.includes('resend') ? ['RESEND_API_KEY'] : []),
+  ...(emailTransports.includes('smtp') ? ['EMAIL_HOST'] : []),
 ];
 
 const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const idempotencyService = require('../services/idempotencyService');
+const logger = require('../utils/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+// Response fields that are never cached; a route that returns one passes a
+// `restore` function that fetches it again for a replay
+const SECRET_FIELDS = ['clientSecret'];
+
+// Keys belong to the client that sent them: the signed-in admin, or else the
+// caller's IP address and user agent. Hashed so no client details are stored.
+const clientId = (req) => crypto
+  .createHash('sha256')
+  .update(req.user ? `user:${req.user.id}` : `client:${req.ip}:${req.get('User-Agent') || ''}`)
+  .digest('hex')
+  .slice(0, 32);
+
+const withoutSecrets = (body) => {
+  if (!body || typeof body !== 'object') {
+    return body;
+  }
+  const cached = { ...body };
+  SECRET_FIELDS.forEach((field) => delete cached[field]);
+  return cached;
+};
+
+// Honour an optional Idempotency-Key header for the given route scope.
+// Retries with the same key and payload from the same client receive the
+// original response; reusing a key with a different payload is rejected
+// with 409.
+const idempotency = (scope, { restore } = {}) => async (req, res, next) => {
+  const header = req.get('Idempotency-Key');
+  const key = header === undefined ? undefined : `${clientId(req)}:${header}`;
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!header || header.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(header)) {
+    return res.status(400).json({
+      error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} printable characters`,
+    });
+  }
+
+  let claim;
+  try {
+    claim = idempotencyService.begin(scope, key, req.body);
+  } catch (error) {
+    logger.error('Idempotency store unavailable', {
+      error: error.message,
+      scope,
+    });
+    return res.status(500).json({
+      error: 'Failed to process Idempotency-Key',
+    });
+  }
+
+  if (claim.status === 'replay') {
+    logger.info('Replaying idempotent response', { scope, key });
+    let body = claim.response.body;
+    if (restore && claim.response.statusCode < 300) {
+      try {
+        body = await restore(body);
+      } catch (error) {
+        logger.error('Failed to restore idempotent response', {
+          error: error.message,
+          scope,
+          key,
+        });
+        return res.status(502).json({
+          error: 'Failed to replay the original response; please retry',
+        });
+      }
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.response.statusCode).json(body);
+  }
+
+  if (claim.status === 'conflict') {
+    logger.warn('Idempotency-Key reused with a different payload', { scope, key });
+    return res.status(409).json({
+      error: 'Idempotency-Key has already been used with a different request payload',
+    });
+  }
+
+  if (claim.status === 'in_progress') {
+    return res.status(409).json({
+      error: 'A request with this Idempotency-Key is still being processed',
+    });
+  }
+
+  // Capture the response so it can be replayed; server errors release the key
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    try {
+      if (res.statusCode >= 500) {
+        idempotencyService.release(scope, key);
+      } else {
+        idempotencyService.complete(scope, key, res.statusCode, withoutSecrets(body));
+      }
+    } catch (error) {
+      logger.error('Failed to store idempotent response', {
+        error: error.message,
+        scope,
+        key,
+      });
+    }
+    return originalJson(body);
+  };
+
+  // Stripe keys are shared by the whole account, so scope them the same way
+  req.idempotencyKey = `${scope}:${crypto.createHash('sha256').update(key).digest('hex')}`;
+  next();
+};
+
+module.exports = { idempotency };
@@ -3,10 +3,12 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const speedLimit = require('express-slow-down');
 const cors = require('cors');
-const xss = require('xss-clean');
+// xss-clean's default export is a middleware factory; clean() sanitizes a value
+const { clean: xss } = require('xss-clean/lib/xss');
 const hpp = require('hpp');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const authService = require('../services/authService');
 
 // Rate limiting middleware
 const createRateLimiter = (windowMs, max, message) => {
@@ -63,8 +65,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Idempotent-Replayed'],
 };
 
 // Input sanitization middleware
@@ -145,6 +147,33 @@ const requestLogger = (req, res, next) => {
   next();
 };
 
+// Admin authentication middleware: requires a valid Bearer access token
+const requireAuth = (req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: 'Authentication required',
+    });
+  }
+
+  try {
+    req.user = authService.verifyAccessToken(token);
+    next();
+  } catch (error) {
+    logger.warn('Rejected admin request', {
+      error: error.message,
+      url: req.originalUrl,
+      ip: req.ip,
+    });
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    res.status(error.statusCode || 401).json({
+      error: error.message,
+    });
+  }
+};
+
 // Error handling middleware
 const errorHandler = (err, req, res, next) => {
   logger.error('Error occurred', {
@@ -192,6 +221,13 @@ module.exports = {
     'Too many payment requests, please try again later.'
   ),
   
+  // Rate limiter for admin login and token refresh
+  authRateLimit: createRateLimiter(
+    15 * 60 * 1000, // 15 minutes
+    10, // 10 attempts per 15 minutes
+    'Too many authentication attempts, please try again later.'
+  ),
+  
   // Speed limiter
   speedLimit: createSpeedLimiter(
     15 * 60 * 1000, // 15 minutes
@@ -224,6 +260,9 @@ module.exports = {
   // Request validation
   validateRequest,
   
+  // Admin authentication
+  requireAuth,
+  
   // Security headers
   securityHeaders,
   
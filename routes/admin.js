@@ -0,0 +1,570 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Services
+const reconciliationService = require('../services/reconciliationService');
+const accountingExportService = require('../services/accountingExportService');
+const yearEndReceiptService = require('../services/yearEndReceiptService');
+const emailQueueService = require('../services/emailQueueService');
+
+// Middleware
+const { requireAuth } = require('../middleware/security');
+
+// Validation
+const { validateDateRange } = require('../utils/validation');
+
+// Logger
+const logger = require('../utils/logger');
+
+// Every admin route needs a signed-in admin
+router.use(requireAuth);
+
+const dateRangeRules = [
+  body('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  body('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+  body('to')
+    .custom((value, { req }) => {
+      if (!req.body.from && !value) {
+        return true;
+      }
+      if (!req.body.from || !value) {
+        throw new Error('from and to must be given together');
+      }
+      if (!validateDateRange(req.body.from, value)) {
+        throw new Error('Date range must be valid, in order and at most one year');
+      }
+      return true;
+    }),
+  body('sendEmail')
+    .optional()
+    .isBoolean()
+    .withMessage('sendEmail must be a boolean'),
+];
+
+// POST /api/admin/reconciliation/run - Reconcile a date range against Stripe
+// (defaults to the previous UTC day)
+router.post('/reconciliation/run', dateRangeRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const range = req.body.from
+      ? { from: req.body.from, to: req.body.to }
+      : reconciliationService.previousDay();
+
+    logger.info('Reconciliation requested', {
+      from: range.from,
+      to: range.to,
+      userId: req.user.id,
+    });
+
+    const report = await reconciliationService.run({
+      ...range,
+      trigger: 'manual',
+      sendEmail: req.body.sendEmail !== false,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error running reconciliation', {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run reconciliation',
+      details: error.message,
+    });
+  }
+});
+
+// GET /api/admin/reconciliation/reports - Recent report summaries
+router.get('/reconciliation/reports',
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('limit must be between 1 and 100')
+      .toInt(),
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const reports = reconciliationService.listReports({ limit: req.query.limit });
+    res.json({
+      success: true,
+      data: reports,
+      count: reports.length,
+    });
+  }
+);
+
+// GET /api/admin/reconciliation/reports/:id - Full report with discrepancies
+router.get('/reconciliation/reports/:id',
+  [param('id').isUUID().withMessage('Invalid report ID')],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const report = reconciliationService.getReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reconciliation report not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  }
+);
+
+// A date-only `to` covers that whole (UTC) day
+const exportRangeEnd = (to) => {
+  const end = new Date(to);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end.setUTCDate(end.getUTCDate() + 1);
+  }
+  return end.toISOString();
+};
+
+// GET /api/admin/donations/export - Download donations and refunds for
+// accounting (?from&to&format=csv|iif|xero)
+router.get('/donations/export',
+  [
+    query('from')
+      .isISO8601()
+      .withMessage('from must be an ISO 8601 date'),
+    query('to')
+      .isISO8601()
+      .withMessage('to must be an ISO 8601 date')
+      .bail()
+      .custom((value, { req }) => {
+        if (!validateDateRange(req.query.from, value)) {
+          throw new Error('Date range must be valid, in order and at most one year');
+        }
+        return true;
+      }),
+    query('format')
+      .default('csv')
+      .isIn(['csv', 'iif', 'xero'])
+      .withMessage('Format must be one of: csv, iif, xero'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const file = await accountingExportService.exportDonations({
+        from: new Date(req.query.from).toISOString(),
+        to: exportRangeEnd(req.query.to),
+        format: req.query.format,
+      });
+
+      logger.info('Donation export downloaded', {
+        format: req.query.format,
+        lines: file.count,
+        userId: req.user.id,
+      });
+
+      res.set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="${file.fileName}"`,
+        'Cache-Control': 'no-store',
+      });
+      res.send(file.body);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      logger.error('Error exporting donations', {
+        error: error.message,
+        stack: error.stack,
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export donations',
+        details: error.message,
+      });
+    }
+  }
+);
+
+// POST /api/admin/receipts/year-end - Issue and email consolidated receipts
+// for a calendar year (defaults to last year). Resumes the year's unfinished run.
+router.post('/receipts/year-end',
+  [
+    body('year')
+      .optional()
+      .isInt({ min: 2000 })
+      .withMessage('year must be a calendar year')
+      .toInt(),
+  ],
+  (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const run = yearEndReceiptService.startRun({
+        year: req.body.year,
+        trigger: 'manual',
+      });
+
+      logger.info('Year-end receipts requested', {
+        runId: run.id,
+        year: run.year,
+        userId: req.user.id,
+      });
+
+      res.status(202).json({
+        success: true,
+        data: run,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      logger.error('Error starting year-end receipts', {
+        error: error.message,
+        stack: error.stack,
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start year-end receipts',
+        details: error.message,
+      });
+    }
+  }
+);
+
+// GET /api/admin/receipts/year-end - Run summaries (?year=2025)
+router.get('/receipts/year-end',
+  [
+    query('year')
+      .optional()
+      .isInt({ min: 2000 })
+      .withMessage('year must be a calendar year')
+      .toInt(),
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const runs = yearEndReceiptService.listRuns({ year: req.query.year });
+    res.json({
+      success: true,
+      data: runs,
+      count: runs.length,
+    });
+  }
+);
+
+// GET /api/admin/receipts/year-end/:id - Run status with per-donor progress
+router.get('/receipts/year-end/:id',
+  [param('id').isUUID().withMessage('Invalid run ID')],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const run = yearEndReceiptService.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Year-end receipt run not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run,
+    });
+  }
+);
+
+const emailIdRules = [param('id').isUUID().withMessage('Invalid email job ID')];
+
+// GET /api/admin/emails - Queued and dead-letter emails (?status=dead&type=...)
+router.get('/emails',
+  [
+    query('status')
+      .optional()
+      .isIn(['pending', 'sending', 'dead'])
+      .withMessage('status must be pending, sending or dead'),
+    query('type')
+      .optional()
+      .isString()
+      .trim(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('limit must be between 1 and 500')
+      .toInt(),
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const jobs = emailQueueService.listJobs({
+      status: req.query.status,
+      type: req.query.type,
+      limit: req.query.limit,
+    });
+    res.json({
+      success: true,
+      data: jobs,
+      count: jobs.length,
+      counts: emailQueueService.countJobs(),
+    });
+  }
+);
+
+// POST /api/admin/emails/dead-letters/retry - Requeue every dead-letter email
+router.post('/emails/dead-letters/retry', (req, res) => {
+  try {
+    const retried = emailQueueService.retryDeadLetters();
+
+    logger.info('Dead-letter emails requeued', {
+      count: retried,
+      userId: req.user.id,
+    });
+
+    res.status(202).json({
+      success: true,
+      data: { retried },
+    });
+  } catch (error) {
+    logger.error('Error retrying dead-letter emails', {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry dead-letter emails',
+      details: error.message,
+    });
+  }
+});
+
+// DELETE /api/admin/emails/dead-letters - Purge dead-letter emails
+// (?before=2025-01-01 keeps those that died on or after the date)
+router.delete('/emails/dead-letters',
+  [
+    query('before')
+      .optional()
+      .isISO8601()
+      .withMessage('before must be an ISO 8601 date'),
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const purged = emailQueueService.purgeDeadLetters({ before: req.query.before });
+
+    logger.info('Dead-letter emails purged by admin', {
+      count: purged,
+      before: req.query.before,
+      userId: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      data: { purged },
+    });
+  }
+);
+
+// GET /api/admin/emails/:id - One email job including its data
+router.get('/emails/:id', emailIdRules, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const job = emailQueueService.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Email job not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job,
+  });
+});
+
+// POST /api/admin/emails/:id/retry - Send a dead-letter or waiting email now
+router.post('/emails/:id/retry', emailIdRules, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const job = emailQueueService.retryJob(req.params.id);
+
+    logger.info('Email retry requested by admin', {
+      jobId: job.id,
+      userId: req.user.id,
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error retrying email', {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry email',
+      details: error.message,
+    });
+  }
+});
+
+// DELETE /api/admin/emails/:id - Purge one dead-letter email
+router.delete('/emails/:id', emailIdRules, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    emailQueueService.purgeJob(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Email purged',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error purging email', {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to purge email',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Services
+const authService = require('../services/authService');
+
+// Middleware
+const {
+  authRateLimit,
+  requireAuth,
+  validateRequest,
+} = require('../middleware/security');
+
+// Logger
+const logger = require('../utils/logger');
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array(),
+    });
+  }
+  next();
+};
+
+// Exchange admin credentials for an access and refresh token
+router.post('/login',
+  authRateLimit,
+  validateRequest,
+  [
+    body('email')
+      .isEmail()
+      .withMessage('A valid email is required'),
+    body('password')
+      .isString()
+      .notEmpty()
+      .withMessage('Password is required'),
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const session = await authService.login(req.body.email, req.body.password);
+      res.json({
+        success: true,
+        ...session,
+      });
+    } catch (error) {
+      if (error.statusCode === 401) {
+        logger.warn('Failed admin login', { ip: req.ip });
+        return res.status(401).json({ error: error.message });
+      }
+
+      logger.error('Error during admin login', {
+        error: error.message,
+      });
+      res.status(500).json({
+        error: 'Failed to log in',
+      });
+    }
+  }
+);
+
+// Rotate a refresh token into a new token pair
+router.post('/refresh',
+  authRateLimit,
+  validateRequest,
+  [
+    body('refreshToken')
+      .isString()
+      .notEmpty()
+      .withMessage('Refresh token is required'),
+  ],
+  handleValidation,
+  (req, res) => {
+    try {
+      const tokens = authService.refresh(req.body.refreshToken);
+      res.json({
+        success: true,
+        ...tokens,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+
+      logger.error('Error refreshing admin token', {
+        error: error.message,
+      });
+      res.status(500).json({
+        error: 'Failed to refresh token',
+      });
+    }
+  }
+);
+
+// Revoke the current access token and optional refresh token
+router.post('/logout',
+  requireAuth,
+  validateRequest,
+  [
+    body('refreshToken')
+      .optional()
+      .isString()
+      .withMessage('Refresh token must be a string'),
+  ],
+  handleValidation,
+  (req, res) => {
+    try {
+      authService.logout(req.user, req.body.refreshToken);
+      res.json({
+        success: true,
+        message: 'Logged out',
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+
+      logger.error('Error during admin logout', {
+        error: error.message,
+      });
+      res.status(500).json({
+        error: 'Failed to log out',
+      });
+    }
+  }
+);
+
+// Current admin user
+router.get('/me', requireAuth, (req, res) => {
+  const { tokenId, tokenExpiresAt, ...user } = req.user;
+  res.json({
+    success: true,
+    user,
+  });
+});
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const sanitizeHtml = require('sanitize-html');
-const resendEmailService = require('../services/resendEmailService');
+const emailQueueService = require('../services/emailQueueService');
 const rateLimit = require('express-rate-limit');
+const { requireAuth } = require('../middleware/security');
+const { stripTags } = require('../utils/validation');
 
 const router = express.Router();
 
@@ -20,30 +21,31 @@ const contactFormLimiter = rateLimit({
 // Contact form submission validation
 const validateContactForm = [
   body('name')
+    .customSanitizer(stripTags)
     .trim()
     .isLength({ min: 2, max: 100 })
-    .withMessage('Name must be between 2 and 100 characters')
-    .escape(),
+    .withMessage('Name must be between 2 and 100 characters'),
   body('email')
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email address'),
   body('subject')
+    .customSanitizer(stripTags)
     .trim()
     .isLength({ min: 5, max: 200 })
-    .withMessage('Subject must be between 5 and 200 characters')
-    .escape(),
+    .withMessage('Subject must be between 5 and 200 characters'),
   body('message')
     .optional()
+    .customSanitizer(stripTags)
     .trim()
     .isLength({ max: 2000 })
-    .withMessage('Message must not exceed 2000 characters')
-    .customSanitizer(value => {
-      return sanitizeHtml(value, {
-        allowedTags: [],
-        allowedAttributes: {}
-      });
-    })
+    .withMessage('Message must not exceed 2000 characters'),
+  body('locale')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 35 })
+    .withMessage('Locale must be a language code such as en or fr')
 ];
 
 // POST /api/contact - Submit contact form
@@ -59,7 +61,7 @@ router.post('/contact', contactFormLimiter, validateContactForm, async (req, res
       });
     }
 
-    const { name, email, subject, message } = req.body;
+    const { name, email, subject, message, locale } = req.body;
     const submittedAt = new Date().toISOString();
 
     // Prepare contact data
@@ -68,15 +70,18 @@ router.post('/contact', contactFormLimiter, validateContactForm, async (req, res
       email,
       subject,
       message: message || '',
+      locale,
       submittedAt
     };
 
-    // Send notification email to admin (non-blocking)
+    // Queue notification email to admin and an acknowledgement to the sender
+    // in their language (sent and retried in the background)
     try {
-      await resendEmailService.sendContactNotification(contactData);
+      emailQueueService.enqueue('contact-notification', contactData);
+      emailQueueService.enqueue('submission-received', { form: 'contact', name, email, subject, locale });
 
     } catch (emailError) {
-      console.error('Failed to send admin notification email:', emailError);
+      console.error('Failed to queue admin notification email:', emailError);
       // Don't fail the request if email fails - just log it
     }
 
@@ -102,9 +107,9 @@ router.post('/contact', contactFormLimiter, validateContactForm, async (req, res
 });
 
 // POST /api/contact/send-notification - Manual trigger for sending notifications (admin only)
-router.post('/contact/send-notification', async (req, res) => {
+router.post('/contact/send-notification', requireAuth, async (req, res) => {
   try {
-    const { name, email, subject, message, submittedAt } = req.body;
+    const { name, email, subject, message, submittedAt, locale } = req.body;
 
     if (!name || !email || !subject) {
       return res.status(400).json({
@@ -118,29 +123,31 @@ router.post('/contact/send-notification', async (req, res) => {
       email,
       subject,
       message: message || '',
+      locale,
       submittedAt: submittedAt || new Date().toISOString()
     };
 
-    const result = await resendEmailService.sendContactNotification(contactData);
+    const job = emailQueueService.enqueue('contact-notification', contactData);
 
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: 'Notification email sent successfully',
-      data: result
+      message: 'Notification email queued',
+      data: job
     });
 
   } catch (error) {
     console.error('Manual notification error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to send notification email',
+      error: 'Failed to queue notification email',
       details: error.message
     });
   }
 });
 
 // POST /volunteers/send-notification - Send admin notification for new volunteer application
-router.post('/volunteers/send-notification', async (req, res) => {
+// and an acknowledgement to the applicant
+router.post('/volunteers/send-notification', requireAuth, async (req, res) => {
   try {
     const data = req.body;
     // Basic required fields check
@@ -151,23 +158,30 @@ router.post('/volunteers/send-notification', async (req, res) => {
       });
     }
     data.submittedAt = data.submittedAt || new Date().toISOString();
-    const result = await resendEmailService.sendVolunteerNotification(data);
-    res.status(200).json({
+    const job = emailQueueService.enqueue('volunteer-notification', data);
+    emailQueueService.enqueue('submission-received', {
+      form: 'volunteer',
+      name: data.firstName,
+      email: data.email,
+      locale: data.locale
+    });
+    res.status(202).json({
       success: true,
-      message: 'Volunteer application notification email sent successfully',
-      data: result
+      message: 'Volunteer application notification email queued',
+      data: job
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to send volunteer application notification',
+      error: 'Failed to queue volunteer application notification',
       details: error.message
     });
   }
 });
 
 // POST /enrollments/send-notification - Send admin notification for new course enrollment
-router.post('/enrollments/send-notification', async (req, res) => {
+// and an acknowledgement to the student
+router.post('/enrollments/send-notification', requireAuth, async (req, res) => {
   try {
     const data = req.body;
     // Basic required fields check
@@ -178,16 +192,22 @@ router.post('/enrollments/send-notification', async (req, res) => {
       });
     }
     data.submittedAt = data.submittedAt || new Date().toISOString();
-    const result = await resendEmailService.sendEnrollmentNotification(data);
-    res.status(200).json({
+    const job = emailQueueService.enqueue('enrollment-notification', data);
+    emailQueueService.enqueue('submission-received', {
+      form: 'enrollment',
+      name: data.firstName,
+      email: data.email,
+      locale: data.locale
+    });
+    res.status(202).json({
       success: true,
-      message: 'Course enrollment notification email sent successfully',
-      data: result
+      message: 'Course enrollment notification email queued',
+      data: job
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to send course enrollment notification',
+      error: 'Failed to queue course enrollment notification',
       details: error.message
     });
   }
@@ -1,27 +1,64 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const validator = require('validator');
 const router = express.Router();
 
 // Services
 const stripeService = require('../services/stripeService');
 const resendEmailService = require('../services/resendEmailService');
+const emailQueueService = require('../services/emailQueueService');
+const projectService = require('../services/projectService');
+const fundraiserService = require('../services/fundraiserService');
+const receiptService = require('../services/receiptService');
+const donationLedger = require('../services/donationLedger');
+const localeService = require('../services/localeService');
 
 // Middleware
 const {
   paymentRateLimit,
   sanitizeInput,
-  validateRequest
+  validateRequest,
+  requireAuth,
 } = require('../middleware/security');
+const { idempotency } = require('../middleware/idempotency');
 
 // Validation
-const { validateDonationData, validateRefundData } = require('../utils/validation');
+const {
+  validateDonationData,
+  validateRefundData,
+  validateAmount,
+  validateCurrency,
+  describeAmountRange,
+  validatePaymentIntentId,
+} = require('../utils/validation');
+const { normalizeCurrency, toMinorUnits, fromMinorUnits } = require('../utils/currency');
+const { signSubscriptionToken, verifySubscriptionToken } = require('../utils/subscriptionToken');
 
 // Logger
 const logger = require('../utils/logger');
 
+// Config
+const config = require('../config/config');
+
 const FRIENDLY_PROJECT_ID_REGEX = /^[a-z0-9-]{3,64}$/i;
 
+const TRIBUTE_TYPES = ['honour', 'memory'];
+
+const TRIBUTE_TYPE_ALIASES = {
+  honor: 'honour',
+  in_honor: 'honour',
+  in_honour: 'honour',
+  memorial: 'memory',
+  in_memory: 'memory',
+};
+
+const RECURRING_INTERVAL_ALIASES = {
+  monthly: 'month',
+  annual: 'year',
+  annually: 'year',
+  yearly: 'year',
+};
+
 const normalizeDonationPayload = (req, res, next) => {
   if (!req.body || typeof req.body !== 'object') {
     return next();
@@ -37,6 +74,20 @@ const normalizeDonationPayload = (req, res, next) => {
     body.projectId = body.projectId.trim();
   }
 
+  // Normalize fundraiserId; a fundraiser page implies its parent project
+  if (!body.fundraiserId) {
+    body.fundraiserId = body.fundraiser_id || body.fundraiserSlug || body.fundraiser_slug || null;
+  }
+  if (typeof body.fundraiserId === 'string') {
+    body.fundraiserId = body.fundraiserId.trim();
+  }
+  if (!body.fundraiserId) {
+    delete body.fundraiserId;
+  } else if (!body.projectId) {
+    const fundraiser = fundraiserService.getFundraiser(body.fundraiserId);
+    body.projectId = fundraiser ? fundraiser.projectId : null;
+  }
+
   // Normalize donorName - handle anonymous case
   if (!body.donorName) {
     if (body.donor_name) {
@@ -75,6 +126,19 @@ const normalizeDonationPayload = (req, res, next) => {
     body.anonymous = false;
   }
 
+  // Normalize coverFees flag
+  if (typeof body.coverFees === 'string') {
+    const normalizedCoverFees = body.coverFees.toLowerCase();
+    if (normalizedCoverFees === 'true' || normalizedCoverFees === 'false') {
+      body.coverFees = normalizedCoverFees === 'true';
+    }
+  }
+
+  // Normalize currency
+  if (typeof body.currency === 'string') {
+    body.currency = body.currency.trim().toLowerCase();
+  }
+
   // Normalize amount
   if (typeof body.amount === 'string') {
     const cleanedAmount = parseFloat(body.amount.replace(/[^0-9.]/g, ''));
@@ -91,71 +155,295 @@ const normalizeDonationPayload = (req, res, next) => {
     body.message = '';
   }
 
-  // Ensure projectTitle exists
-  if (!body.projectTitle && body.project_title) {
-    body.projectTitle = body.project_title;
+  // Normalize tribute (in honour / in memory of) fields
+  if (!body.tributeType && body.tribute_type) {
+    body.tributeType = body.tribute_type;
+  }
+  if (typeof body.tributeType === 'string') {
+    const normalizedTributeType = body.tributeType.trim().toLowerCase();
+    body.tributeType = TRIBUTE_TYPE_ALIASES[normalizedTributeType] || normalizedTributeType;
+  }
+  if (!body.tributeType) {
+    delete body.tributeType;
+  }
+  ['honoreeName', 'tributeRecipientName', 'tributeRecipientEmail', 'tributeMessage'].forEach((field) => {
+    if (typeof body[field] === 'string') {
+      body[field] = body[field].trim();
+    }
+  });
+  if (typeof body.tributeRecipientEmail === 'string') {
+    body.tributeRecipientEmail = body.tributeRecipientEmail.toLowerCase();
+  }
+  if (typeof body.tributeShowAmount === 'string') {
+    body.tributeShowAmount = body.tributeShowAmount.toLowerCase() === 'true';
+  }
+
+  // Normalize donor mailing address (needed for official tax receipts)
+  if (!body.donorAddress && (body.address || body.addressLine1)) {
+    body.donorAddress = {
+      line1: body.addressLine1 || body.address,
+      line2: body.addressLine2,
+      city: body.city,
+      province: body.province,
+      postalCode: body.postalCode || body.postal_code,
+      country: body.country,
+    };
+  }
+  if (body.donorAddress && typeof body.donorAddress === 'object') {
+    body.donorAddress = Object.keys(body.donorAddress).reduce((address, key) => {
+      const value = body.donorAddress[key];
+      if (typeof value === 'string' && value.trim()) {
+        address[key] = value.trim();
+      }
+      return address;
+    }, {});
+    if (Object.keys(body.donorAddress).length === 0) {
+      delete body.donorAddress;
+    }
+  }
+
+  // Normalize the donor's language for emails ("fr-CA" -> "fr"; unsupported
+  // languages get the default)
+  if (!body.locale && body.language) {
+    body.locale = body.language;
+  }
+  if (typeof body.locale === 'string' && body.locale.trim()) {
+    body.locale = localeService.resolve(body.locale);
+  } else {
+    delete body.locale;
+  }
+
+  // Normalize recurring interval (monthly/annual aliases)
+  if (!body.interval && body.frequency) {
+    body.interval = body.frequency;
+  }
+  if (typeof body.interval === 'string') {
+    const normalizedInterval = body.interval.trim().toLowerCase();
+    body.interval = RECURRING_INTERVAL_ALIASES[normalizedInterval] || normalizedInterval;
+  }
+
+  next();
+};
+
+// Build the donation object shared by payment intents and subscriptions.
+// The project title always comes from the catalog, never from the client.
+const buildDonationData = (reqBody, project, fundraiser = null) => ({
+  amount: parseFloat(reqBody.amount),
+  currency: normalizeCurrency(reqBody.currency),
+  projectId: project.id,
+  fundraiserId: fundraiser ? fundraiser.id : null,
+  donorName: reqBody.anonymous ? 'Anonymous' : (reqBody.donorName || 'Anonymous'),
+  donorEmail: reqBody.donorEmail,
+  anonymous: reqBody.anonymous || false,
+  message: reqBody.message || '',
+  donorAddress: reqBody.anonymous ? null : (reqBody.donorAddress || null),
+  locale: reqBody.locale || null,
+  tribute: reqBody.tributeType ? {
+    type: reqBody.tributeType,
+    honoreeName: reqBody.honoreeName,
+    recipientName: reqBody.tributeRecipientName || '',
+    recipientEmail: reqBody.tributeRecipientEmail || '',
+    message: reqBody.tributeMessage || '',
+    showAmount: reqBody.tributeShowAmount === true,
+  } : null,
+  projectTitle: project.title,
+});
+
+// Resolve the requested project from the catalog and reject unknown or closed ones
+const resolveDonationProject = (req, res, next) => {
+  // Let the route report field validation errors first
+  if (!validationResult(req).isEmpty()) {
+    return next();
+  }
+
+  const project = projectService.getProject(req.body.projectId);
+  const validation = projectService.validateDonation(
+    project,
+    parseFloat(req.body.amount),
+    normalizeCurrency(req.body.currency)
+  );
+
+  if (!validation.isValid) {
+    logger.warn('Donation rejected by project catalog', {
+      projectId: req.body.projectId,
+      errors: validation.errors,
+    });
+    return res.status(project ? 400 : 404).json({
+      error: 'Invalid project',
+      details: validation.errors,
+    });
+  }
+
+  req.project = project;
+
+  // Gifts through a fundraiser page must go to that page's project
+  if (req.body.fundraiserId) {
+    const fundraiser = fundraiserService.getFundraiser(req.body.fundraiserId);
+    const fundraiserValidation = fundraiserService.validateDonation(fundraiser, project);
+
+    if (!fundraiserValidation.isValid) {
+      logger.warn('Donation rejected for fundraiser', {
+        fundraiserId: req.body.fundraiserId,
+        projectId: project.id,
+        errors: fundraiserValidation.errors,
+      });
+      return res.status(fundraiser ? 400 : 404).json({
+        error: 'Invalid fundraiser',
+        details: fundraiserValidation.errors,
+      });
+    }
+
+    req.fundraiser = fundraiser;
   }
 
   next();
 };
 
+// Currency (defaults to the Stripe currency) and amount within that currency's limits.
+// Currency must run first so the amount check sees the normalized code.
+const currencyAmountRules = [
+  body('currency')
+    .default(config.stripe.currency)
+    .customSanitizer(normalizeCurrency)
+    .custom(validateCurrency)
+    .withMessage(`Currency must be one of: ${Object.keys(config.currencies).join(', ')}`),
+  body('amount')
+    .isFloat()
+    .withMessage('Amount must be a number')
+    .bail()
+    .custom((value, { req }) => {
+      // An unsupported currency is already reported by the currency rule
+      if (!validateCurrency(req.body.currency)) {
+        return true;
+      }
+      if (!validateAmount(parseFloat(value), req.body.currency)) {
+        throw new Error(`Amount must be between ${describeAmountRange(req.body.currency)}`);
+      }
+      return true;
+    }),
+];
+
+// Shared validation chain for one-time and recurring donations
+const donationValidationRules = [
+  ...currencyAmountRules,
+  body('projectId')
+    .custom((value) => {
+      if (!value || typeof value !== 'string') {
+        logger.warn('Project ID missing or not a string', { value });
+        return false;
+      }
+
+      const trimmedValue = value.trim();
+      if (trimmedValue.toLowerCase() === 'general') {
+        return true;
+      }
+
+      if (validator.isUUID(trimmedValue)) {
+        return true;
+      }
+
+      if (FRIENDLY_PROJECT_ID_REGEX.test(trimmedValue)) {
+        return true;
+      }
+
+      logger.warn('Invalid projectId format', { value });
+      return false;
+    })
+    .withMessage('Invalid project ID'),
+  body('fundraiserId')
+    .optional()
+    .isString()
+    .isLength({ min: 3, max: 64 })
+    .withMessage('Invalid fundraiser ID'),
+  body('donorName')
+    .if((value, { req }) => !req.body.anonymous)
+    .notEmpty()
+    .withMessage('Donor name is required when not anonymous')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Donor name must be between 1 and 100 characters'),
+  body('donorName')
+    .optional({ checkFalsy: true })
+    .isLength({ max: 100 })
+    .withMessage('Donor name must be less than 100 characters'),
+  body('donorEmail')
+    .isEmail()
+    .withMessage('Invalid email format'),
+  body('anonymous')
+    .optional()
+    .isBoolean()
+    .withMessage('Anonymous must be a boolean'),
+  body('message')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Message must be less than 500 characters'),
+  body('donorAddress')
+    .optional()
+    .isObject()
+    .withMessage('Donor address must be an object'),
+  body('donorAddress.line1')
+    .if(body('donorAddress').exists())
+    .isString()
+    .withMessage('Address line 1 is required')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Address line 1 must be less than 100 characters'),
+  body(['donorAddress.line2', 'donorAddress.city', 'donorAddress.province', 'donorAddress.postalCode', 'donorAddress.country'])
+    .optional()
+    .isString()
+    .withMessage('Address fields must be strings')
+    .isLength({ max: 100 })
+    .withMessage('Address fields must be less than 100 characters'),
+  body('tributeType')
+    .optional()
+    .isIn(TRIBUTE_TYPES)
+    .withMessage(`Tribute type must be one of: ${TRIBUTE_TYPES.join(', ')}`),
+  body('honoreeName')
+    .if(body('tributeType').exists())
+    .notEmpty()
+    .withMessage('Honoree name is required for tribute donations')
+    .isLength({ max: 100 })
+    .withMessage('Honoree name must be less than 100 characters'),
+  body('tributeRecipientEmail')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Invalid tribute recipient email'),
+  body('tributeRecipientName')
+    .optional({ checkFalsy: true })
+    .isLength({ max: 100 })
+    .withMessage('Tribute recipient name must be less than 100 characters'),
+  body('tributeMessage')
+    .optional({ checkFalsy: true })
+    .isLength({ max: 400 })
+    .withMessage('Tribute message must be less than 400 characters'),
+  body('tributeShowAmount')
+    .optional()
+    .isBoolean()
+    .withMessage('tributeShowAmount must be a boolean'),
+];
+
+const coverFeesRules = [
+  body('coverFees')
+    .optional()
+    .isBoolean()
+    .withMessage('coverFees must be a boolean'),
+];
+
 // Create payment intent
 router.post('/create-payment-intent',
   normalizeDonationPayload,
   paymentRateLimit,
+  idempotency('create-payment-intent', {
+    // The client secret isn't cached; fetch it from Stripe for a replay
+    restore: async (body) => ({
+      ...body,
+      clientSecret: (await stripeService.getPaymentIntent(body.paymentIntentId)).client_secret,
+    }),
+  }),
   // Temporarily remove sanitizeInput and validateRequest to debug
   // sanitizeInput,
   // validateRequest,
-  [
-    body('amount')
-      .isFloat({ min: 1.0, max: 10000.0 })
-      .withMessage('Amount must be between $1.00 and $10,000.00'),
-    body('projectId')
-      .custom((value) => {
-        if (!value || typeof value !== 'string') {
-          logger.warn('Project ID missing or not a string', { value });
-          return false;
-        }
-
-        const trimmedValue = value.trim();
-        if (trimmedValue.toLowerCase() === 'general') {
-          return true;
-        }
-
-        if (validator.isUUID(trimmedValue)) {
-          return true;
-        }
-
-        if (FRIENDLY_PROJECT_ID_REGEX.test(trimmedValue)) {
-          return true;
-        }
-
-        logger.warn('Invalid projectId format', { value });
-        return false;
-      })
-      .withMessage('Invalid project ID'),
-    body('donorName')
-      .if((value, { req }) => !req.body.anonymous)
-      .notEmpty()
-      .withMessage('Donor name is required when not anonymous')
-      .isLength({ min: 1, max: 100 })
-      .withMessage('Donor name must be between 1 and 100 characters'),
-    body('donorName')
-      .optional({ checkFalsy: true })
-      .isLength({ max: 100 })
-      .withMessage('Donor name must be less than 100 characters'),
-    body('donorEmail')
-      .isEmail()
-      .withMessage('Invalid email format'),
-    body('anonymous')
-      .optional()
-      .isBoolean()
-      .withMessage('Anonymous must be a boolean'),
-    body('message')
-      .optional()
-      .isLength({ max: 500 })
-      .withMessage('Message must be less than 500 characters'),
-  ],
+  donationValidationRules,
+  coverFeesRules,
+  resolveDonationProject,
   async (req, res) => {
     try {
       // Check for validation errors
@@ -172,13 +460,8 @@ router.post('/create-payment-intent',
       }
 
       const donationData = {
-        amount: parseFloat(req.body.amount),
-        projectId: req.body.projectId,
-        donorName: req.body.anonymous ? 'Anonymous' : (req.body.donorName || 'Anonymous'),
-        donorEmail: req.body.donorEmail,
-        anonymous: req.body.anonymous || false,
-        message: req.body.message || '',
-        projectTitle: req.body.projectTitle || 'Community Project',
+        ...buildDonationData(req.body, req.project, req.fundraiser),
+        coverFees: req.body.coverFees === true,
       };
 
       // Additional validation
@@ -191,7 +474,9 @@ router.post('/create-payment-intent',
       }
 
       // Create payment intent
-      const paymentIntent = await stripeService.createPaymentIntent(donationData);
+      const paymentIntent = await stripeService.createPaymentIntent(donationData, {
+        idempotencyKey: req.idempotencyKey,
+      });
 
       logger.info('Payment intent created', {
         paymentIntentId: paymentIntent.paymentIntentId,
@@ -203,6 +488,10 @@ router.post('/create-payment-intent',
         success: true,
         clientSecret: paymentIntent.clientSecret,
         paymentIntentId: paymentIntent.paymentIntentId,
+        amount: fromMinorUnits(paymentIntent.amount, paymentIntent.currency),
+        giftAmount: fromMinorUnits(paymentIntent.giftAmount, paymentIntent.currency),
+        feeAmount: fromMinorUnits(paymentIntent.feeAmount, paymentIntent.currency),
+        currency: paymentIntent.currency,
       });
     } catch (error) {
       logger.error('Error creating payment intent', {
@@ -217,6 +506,276 @@ router.post('/create-payment-intent',
   }
 );
 
+// Create a hosted Stripe Checkout Session (for sites that can't embed Elements)
+router.post('/checkout-session',
+  normalizeDonationPayload,
+  paymentRateLimit,
+  idempotency('checkout-session'),
+  donationValidationRules,
+  coverFeesRules,
+  resolveDonationProject,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      const donationData = {
+        ...buildDonationData(req.body, req.project, req.fundraiser),
+        coverFees: req.body.coverFees === true,
+      };
+
+      // Additional validation
+      const validation = validateDonationData(donationData);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid donation data',
+          details: validation.errors,
+        });
+      }
+
+      const session = await stripeService.createCheckoutSession(donationData, {
+        idempotencyKey: req.idempotencyKey,
+      });
+
+      res.json({
+        success: true,
+        sessionId: session.sessionId,
+        url: session.url,
+        amount: fromMinorUnits(session.amount, session.currency),
+        giftAmount: fromMinorUnits(session.giftAmount, session.currency),
+        feeAmount: fromMinorUnits(session.feeAmount, session.currency),
+        currency: session.currency,
+      });
+    } catch (error) {
+      logger.error('Error creating checkout session', {
+        error: error.message,
+        projectId: req.body.projectId,
+      });
+
+      res.status(500).json({
+        error: error.message || 'Failed to create checkout session',
+      });
+    }
+  }
+);
+
+// Look up a Checkout Session for the success page
+router.get('/checkout-session/:sessionId',
+  [
+    param('sessionId')
+      .matches(/^cs_(test|live)_[A-Za-z0-9]+$/)
+      .withMessage('Invalid checkout session ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      const session = await stripeService.getCheckoutSession(req.params.sessionId);
+      const paymentIntent = session.payment_intent;
+      const metadata = paymentIntent?.metadata || {};
+      const currency = session.currency || config.stripe.currency;
+      const giftAmount = metadata.giftAmount
+        ? parseInt(metadata.giftAmount, 10)
+        : session.amount_total;
+
+      res.json({
+        success: true,
+        sessionId: session.id,
+        status: session.status,
+        paymentStatus: session.payment_status,
+        paymentIntentId: paymentIntent?.id || null,
+        amount: fromMinorUnits(session.amount_total, currency),
+        giftAmount: fromMinorUnits(giftAmount, currency),
+        currency,
+        projectId: metadata.projectId || session.metadata?.projectId || null,
+        projectTitle: projectService.getProject(metadata.projectId || session.metadata?.projectId)?.title || null,
+      });
+    } catch (error) {
+      logger.error('Error retrieving checkout session', {
+        error: error.message,
+        sessionId: req.params.sessionId,
+      });
+
+      res.status(404).json({
+        error: 'Checkout session not found',
+      });
+    }
+  }
+);
+
+// Create recurring donation subscription
+router.post('/create-subscription',
+  normalizeDonationPayload,
+  paymentRateLimit,
+  donationValidationRules,
+  [
+    body('interval')
+      .isIn(config.stripe.subscriptionIntervals)
+      .withMessage(`Interval must be one of: ${config.stripe.subscriptionIntervals.join(', ')}`),
+  ],
+  resolveDonationProject,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.error('Validation failed for subscription creation', {
+          errors: errors.array(),
+          body: req.body,
+        });
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      const donationData = {
+        ...buildDonationData(req.body, req.project, req.fundraiser),
+        interval: req.body.interval,
+      };
+
+      const validation = validateDonationData(donationData);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid donation data',
+          details: validation.errors,
+        });
+      }
+
+      const subscription = await stripeService.createSubscription(donationData);
+
+      logger.info('Subscription created', {
+        subscriptionId: subscription.subscriptionId,
+        interval: donationData.interval,
+        projectId: donationData.projectId,
+      });
+
+      res.json({
+        success: true,
+        clientSecret: subscription.clientSecret,
+        subscriptionId: subscription.subscriptionId,
+        customerId: subscription.customerId,
+        status: subscription.status,
+        manageToken: signSubscriptionToken(subscription.subscriptionId),
+      });
+    } catch (error) {
+      logger.error('Error creating subscription', {
+        error: error.message,
+        body: req.body,
+      });
+
+      res.status(500).json({
+        error: error.message || 'Failed to create subscription',
+      });
+    }
+  }
+);
+
+// Validation for donor-initiated subscription changes
+const subscriptionActionRules = [
+  param('subscriptionId')
+    .matches(/^sub_[A-Za-z0-9]+$/)
+    .withMessage('Invalid subscription ID'),
+  body('token')
+    .notEmpty()
+    .withMessage('A manage token is required to change a subscription')
+    .isString()
+    .withMessage('Manage token must be a string'),
+];
+
+// Shared handler for pause, resume and cancel
+const handleSubscriptionAction = (action, serviceMethod) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+      });
+    }
+
+    const { subscriptionId } = req.params;
+
+    // Only the donor holding the link from their confirmation may change it
+    if (!verifySubscriptionToken(subscriptionId, req.body.token)) {
+      logger.warn('Subscription action rejected: invalid manage token', {
+        subscriptionId,
+        action,
+      });
+      return res.status(404).json({
+        error: 'Subscription not found',
+      });
+    }
+
+    const subscription = await serviceMethod(subscriptionId, req.body);
+
+    logger.info(`Subscription ${action}`, {
+      subscriptionId,
+      status: subscription.status,
+    });
+
+    res.json({
+      success: true,
+      subscription: {
+        id: subscription.id,
+        status: subscription.status,
+        pauseCollection: subscription.pause_collection || null,
+        cancelAtPeriodEnd: subscription.cancel_at_period_end,
+        currentPeriodEnd: subscription.current_period_end,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error updating subscription (${action})`, {
+      error: error.message,
+      subscriptionId: req.params.subscriptionId,
+    });
+
+    // Stripe's messages stay in the log
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to update subscription',
+    });
+  }
+};
+
+// Pause a recurring donation
+router.post('/subscriptions/:subscriptionId/pause',
+  paymentRateLimit,
+  subscriptionActionRules,
+  handleSubscriptionAction('paused', (id) => stripeService.pauseSubscription(id))
+);
+
+// Resume a paused recurring donation
+router.post('/subscriptions/:subscriptionId/resume',
+  paymentRateLimit,
+  subscriptionActionRules,
+  handleSubscriptionAction('resumed', (id) => stripeService.resumeSubscription(id))
+);
+
+// Cancel a recurring donation (immediately, or at the end of the current period)
+router.post('/subscriptions/:subscriptionId/cancel',
+  paymentRateLimit,
+  subscriptionActionRules,
+  [
+    body('atPeriodEnd')
+      .optional()
+      .isBoolean()
+      .withMessage('atPeriodEnd must be a boolean'),
+  ],
+  handleSubscriptionAction('canceled', (id, reqBody) =>
+    stripeService.cancelSubscription(id, { atPeriodEnd: reqBody.atPeriodEnd === true || reqBody.atPeriodEnd === 'true' })
+  )
+);
+
 // Confirm payment
 router.post('/confirm-payment',
   paymentRateLimit,
@@ -231,11 +790,7 @@ router.post('/confirm-payment',
       .withMessage('Project ID is required')
       .isString()
       .withMessage('Project ID must be a string'),
-    body('amount')
-      .isNumeric()
-      .withMessage('Amount must be a number')
-      .isFloat({ min: 1.0, max: 10000.0 })
-      .withMessage('Amount must be between $1.00 and $10,000.00'),
+    ...currencyAmountRules,
     body('donorEmail')
       .isEmail()
       .normalizeEmail()
@@ -275,9 +830,9 @@ router.post('/confirm-payment',
         amount,
         donorName,
         donorEmail,
+        currency,
         anonymous = false,
         message = '',
-        projectTitle,
       } = req.body;
 
       // Get payment intent details from Stripe
@@ -294,12 +849,26 @@ router.post('/confirm-payment',
         });
       }
 
-      // Verify amount matches (Stripe uses cents)
-      const expectedAmount = Math.round(amount * 100);
-      if (paymentIntent.amount !== expectedAmount) {
+      // Verify currency and amount match (Stripe uses the smallest currency unit)
+      if (paymentIntent.currency !== currency) {
+        logger.error('Currency mismatch', {
+          expected: currency,
+          received: paymentIntent.currency,
+        });
+        return res.status(400).json({
+          error: 'Currency mismatch',
+        });
+      }
+
+      // When the donor covered fees, `amount` is the original gift
+      const expectedAmount = toMinorUnits(parseFloat(amount), currency);
+      const giftAmount = paymentIntent.metadata?.giftAmount
+        ? parseInt(paymentIntent.metadata.giftAmount, 10)
+        : paymentIntent.amount;
+      if (giftAmount !== expectedAmount) {
         logger.error('Amount mismatch', {
           expected: expectedAmount,
-          received: paymentIntent.amount,
+          received: giftAmount,
         });
         return res.status(400).json({
           error: 'Amount mismatch',
@@ -310,6 +879,7 @@ router.post('/confirm-payment',
         paymentIntentId,
         projectId,
         amount: parseFloat(amount),
+        currency,
         donorEmail,
       });
 
@@ -319,6 +889,7 @@ router.post('/confirm-payment',
         paymentIntent: {
           id: paymentIntent.id,
           amount: paymentIntent.amount,
+          currency: paymentIntent.currency,
           status: paymentIntent.status,
         },
       });
@@ -349,9 +920,16 @@ router.get('/payment-intent/:id',
 
       const paymentIntent = await stripeService.getPaymentIntent(id);
 
+      // Anyone with the id can call this, so leave out the donor details
+      // in the metadata (address, tribute recipient)
       res.json({
         success: true,
-        paymentIntent,
+        paymentIntent: {
+          id: paymentIntent.id,
+          status: paymentIntent.status,
+          amount: paymentIntent.amount,
+          currency: paymentIntent.currency,
+        },
       });
     } catch (error) {
       logger.error('Error retrieving payment intent', {
@@ -369,8 +947,10 @@ router.get('/payment-intent/:id',
 // Create refund
 router.post('/refund',
   paymentRateLimit,
+  requireAuth,
   sanitizeInput,
   validateRequest,
+  idempotency('refund'),
   [
     body('paymentIntentId')
       .isString()
@@ -396,34 +976,64 @@ router.post('/refund',
 
       const refundData = {
         paymentIntentId: req.body.paymentIntentId,
-        amount: req.body.amount,
+        amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined,
         reason: req.body.reason || 'requested_by_customer',
       };
 
-      // Additional validation
-      const validation = validateRefundData(refundData);
-      if (!validation.isValid) {
+      if (!validatePaymentIntentId(refundData.paymentIntentId)) {
         return res.status(400).json({
           error: 'Invalid refund data',
-          details: validation.errors,
+          details: ['Invalid payment intent ID format'],
         });
       }
 
       // Get original payment intent
       const paymentIntent = await stripeService.getPaymentIntent(refundData.paymentIntentId);
 
+      // Additional validation, with amount limits in the donation's currency
+      const validation = validateRefundData({
+        ...refundData,
+        currency: normalizeCurrency(paymentIntent.currency),
+      });
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid refund data',
+          details: validation.errors,
+        });
+      }
+
+      // Partial refunds accumulate; never refund more than what remains
+      const refundable = await stripeService.getRefundableAmount(refundData.paymentIntentId);
+      if (refundable.remaining <= 0) {
+        return res.status(409).json({
+          error: 'Payment has already been fully refunded',
+        });
+      }
+
+      const requestedAmount = refundData.amount !== undefined
+        ? toMinorUnits(refundData.amount, refundable.currency)
+        : refundable.remaining;
+      if (requestedAmount > refundable.remaining) {
+        return res.status(400).json({
+          error: 'Refund amount exceeds the remaining refundable amount',
+          remaining: fromMinorUnits(refundable.remaining, refundable.currency),
+          currency: refundable.currency,
+        });
+      }
+
       // Create refund
       const refund = await stripeService.createRefund(
         refundData.paymentIntentId,
         refundData.amount,
-        refundData.reason
+        refundData.reason,
+        { idempotencyKey: req.idempotencyKey, currency: paymentIntent.currency }
       );
 
-      // TODO: Generate refund receipt (currently disabled)
-      // const receiptPath = await receiptService.generateRefundReceipt({...});
-
-      // TODO: Send refund notification (currently using Resend)
-      // await emailService.sendRefundNotification({...});
+      // Record the refund, void the tax receipt and notify donor and admins.
+      // The charge.refunded webhook repeats this idempotently.
+      const donation = await donationLedger.recordRefundCreated(paymentIntent, refund);
+      await stripeService.updateCampaignTotals(donation);
+      await stripeService.processRefundNotifications(refundData.paymentIntentId);
 
       logger.info('Refund created successfully', {
         refundId: refund.id,
@@ -434,6 +1044,7 @@ router.post('/refund',
       res.json({
         success: true,
         refund,
+        remaining: fromMinorUnits(refundable.remaining - refund.amount, refundable.currency),
       });
     } catch (error) {
       logger.error('Error creating refund', {
@@ -448,44 +1059,47 @@ router.post('/refund',
   }
 );
 
-// Get receipt
+// Get official tax receipt (PDF)
 router.get('/receipt/:paymentIntentId',
+  [
+    query('email')
+      .isEmail()
+      .withMessage('Donor email is required to download a receipt'),
+  ],
   async (req, res) => {
     try {
-      const { paymentIntentId } = req.params;
-
-      if (!paymentIntentId) {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
-          error: 'Payment intent ID is required',
+          error: 'Validation failed',
+          details: errors.array(),
         });
       }
 
-      // TODO: Receipt generation is currently disabled
-      // Using Resend email receipts instead of PDF receipts
-      return res.status(501).json({
-        error: 'PDF receipt generation is currently disabled. Receipts are sent via email.',
-        message: 'Check your email for the donation confirmation receipt.'
-      });
+      const { paymentIntentId } = req.params;
 
-      // const receiptPath = receiptService.getReceiptPath(paymentIntentId);
-      // const exists = await receiptService.receiptExists(paymentIntentId);
+      // Only the donor may download their receipt
+      const donation = await donationLedger.getDonation(paymentIntentId);
+      const donorEmail = (donation?.donor.email || '').toLowerCase();
+      if (!donation || donorEmail !== req.query.email.trim().toLowerCase()) {
+        return res.status(404).json({
+          error: 'Receipt not found',
+        });
+      }
 
-      // if (!exists) {
-      //   return res.status(404).json({
-      //     error: 'Receipt not found',
-      //   });
-      // }
+      const receipt = await receiptService.issueReceipt(paymentIntentId);
 
-      // Send file
-      // res.download(receiptPath, `receipt-${paymentIntentId}.pdf`);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="receipt-${receipt.serialNumber}.pdf"`);
+      receiptService.renderReceipt(receipt, res);
     } catch (error) {
       logger.error('Error retrieving receipt', {
         error: error.message,
         paymentIntentId: req.params.paymentIntentId,
       });
 
-      res.status(500).json({
-        error: 'Failed to retrieve receipt',
+      res.status(error.statusCode || 500).json({
+        error: error.statusCode ? error.message : 'Failed to retrieve receipt',
       });
     }
   }
@@ -535,69 +1149,106 @@ router.post('/test-email-old',
 );
 
 // POST /donations/send-notification - Send admin notification for new donation
-router.post('/send-notification', async (req, res) => {
+router.post('/send-notification', requireAuth, async (req, res) => {
   try {
-    const { donorName, donorEmail, amount, projectTitle, message, submittedAt } = req.body;
-    if (!donorEmail || !amount || !projectTitle) {
+    const { donorName, donorEmail, amount, currency, projectId, message, submittedAt } = req.body;
+    const project = projectService.getProject(projectId);
+    if (!donorEmail || !amount || !projectId) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: donorEmail, amount, projectTitle'
+        error: 'Missing required fields: donorEmail, amount, projectId'
       });
     }
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found'
+      });
+    }
+    const projectTitle = project.title;
     const donationData = {
       donorName,
       donorEmail,
       amount,
+      currency: normalizeCurrency(currency),
       projectTitle,
       message: message || '',
       submittedAt: submittedAt || new Date().toISOString()
     };
-    const result = await resendEmailService.sendDonationNotification(donationData);
-    res.status(200).json({
+    const job = emailQueueService.enqueue('donation-notification', donationData);
+    res.status(202).json({
       success: true,
-      message: 'Donation notification email sent successfully',
-      data: result
+      message: 'Donation notification email queued',
+      data: job
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to send donation notification',
+      error: 'Failed to queue donation notification',
       details: error.message
     });
   }
 });
 
 // POST /donations/send-confirmation - Send confirmation email to donor
-router.post('/send-confirmation', async (req, res) => {
+router.post('/send-confirmation', requireAuth, async (req, res) => {
   try {
-    const { donorName, donorEmail, amount, projectTitle, message, submittedAt, paymentId } = req.body;
-    if (!donorEmail || !amount || !projectTitle) {
+    const { donorName, donorEmail, amount, feeAmount, currency, projectId, message, submittedAt, paymentId, locale } = req.body;
+    const project = projectService.getProject(projectId);
+    if (!donorEmail || !amount || !projectId) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: donorEmail, amount, projectTitle'
+        error: 'Missing required fields: donorEmail, amount, projectId'
       });
     }
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found'
+      });
+    }
+    const projectTitle = project.title;
 
     const donationData = {
       donorName: donorName || 'Anonymous',
       donorEmail,
       amount,
+      currency: normalizeCurrency(currency),
       projectTitle,
       message: message || '',
       submittedAt: submittedAt || new Date().toISOString(),
-      paymentId
+      paymentId,
+      feeAmount,
+      locale
     };
 
-    const result = await resendEmailService.sendDonationConfirmation(donationData);
-    res.status(200).json({
+    // Tell the donor about any sponsor match the webhook already recorded
+    if (validatePaymentIntentId(paymentId)) {
+      try {
+        const donation = await donationLedger.getDonation(paymentId);
+        const match = donation ? donation.match : null;
+        if (match && match.amount > 0 && match.currency === donationData.currency) {
+          donationData.matchedAmount = fromMinorUnits(match.amount, match.currency);
+          donationData.matchSponsors = match.campaigns.map((campaign) => campaign.sponsor);
+        }
+      } catch (error) {
+        logger.warn('Could not look up donation match', {
+          error: error.message,
+          paymentIntentId: paymentId,
+        });
+      }
+    }
+
+    const job = emailQueueService.enqueue('donation-confirmation', donationData);
+    res.status(202).json({
       success: true,
-      message: 'Donation confirmation email sent successfully',
-      data: result
+      message: 'Donation confirmation email queued',
+      data: job
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to send donation confirmation',
+      error: 'Failed to queue donation confirmation',
       details: error.message
     });
   }
@@ -647,91 +1298,6 @@ router.post('/test-resend', async (req, res) => {
   }
 });
 
-// POST /donations/update-project-amount - Update project amount after successful donation
-router.post('/update-project-amount', async (req, res) => {
-  try {
-    const { projectId, amount } = req.body;
-    
-    if (!projectId || !amount) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: projectId, amount'
-      });
-    }
-
-    // Import Supabase with service role key to bypass RLS
-    const { createClient } = require('@supabase/supabase-js');
-    const supabaseUrl = process.env.SUPABASE_URL;
-    const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-    
-    if (!supabaseUrl || !supabaseServiceKey) {
-      return res.status(500).json({
-        success: false,
-        error: 'Server configuration error'
-      });
-    }
-
-    const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey);
-    
-    // Get current project
-    const { data: project, error: fetchError } = await supabaseAdmin
-      .from('projects')
-      .select('amount_raised, supporters')
-      .eq('id', projectId)
-      .single();
-
-    if (fetchError) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to fetch project'
-      });
-    }
-
-    if (project) {
-      const newAmountRaised = project.amount_raised + parseFloat(amount);
-      const newSupporters = project.supporters + 1;
-
-      const { error: updateError } = await supabaseAdmin
-        .from('projects')
-        .update({ 
-          amount_raised: newAmountRaised,
-          supporters: newSupporters,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', projectId);
-
-      if (updateError) {
-        return res.status(500).json({
-          success: false,
-          error: 'Failed to update project'
-        });
-      }
-      
-      res.status(200).json({
-        success: true,
-        message: 'Project amount updated successfully',
-        data: {
-          projectId,
-          amountAdded: amount,
-          newAmountRaised,
-          newSupporters
-        }
-      });
-    } else {
-      res.status(404).json({
-        success: false,
-        error: 'Project not found'
-      });
-    }
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update project amount',
-      details: error.message
-    });
-  }
-});
-
 // Health check endpoint
 router.get('/health',
   (req, res) => {
@@ -1,8 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
-const { sanitizeInput, validateRequest } = require('../middleware/security');
-const resendEmailService = require('../services/resendEmailService');
+const { sanitizeInput, validateRequest, requireAuth } = require('../middleware/security');
+const emailQueueService = require('../services/emailQueueService');
 
 // Mock database - in a real app, this would be your database
 let expressions = [];
@@ -135,7 +135,7 @@ router.post('/', sanitizeInput, validateRequest, (req, res) => {
 });
 
 // POST /expressions-of-interest/send-notification - Send admin notification for new expression of interest
-router.post('/send-notification', async (req, res) => {
+router.post('/send-notification', requireAuth, async (req, res) => {
   try {
     const data = req.body;
     // Basic required fields check
@@ -146,23 +146,23 @@ router.post('/send-notification', async (req, res) => {
       });
     }
     data.submittedAt = data.submittedAt || new Date().toISOString();
-    const result = await resendEmailService.sendExpressionNotification(data);
-    res.status(200).json({
+    const job = emailQueueService.enqueue('expression-notification', data);
+    res.status(202).json({
       success: true,
-      message: 'Expression of interest notification email sent successfully',
-      data: result
+      message: 'Expression of interest notification email queued',
+      data: job
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to send expression of interest notification',
+      error: 'Failed to queue expression of interest notification',
       details: error.message
     });
   }
 });
 
 // Update expression status and admin notes
-router.patch('/:id', sanitizeInput, validateRequest, (req, res) => {
+router.patch('/:id', requireAuth, sanitizeInput, validateRequest, (req, res) => {
   try {
     const { id } = req.params;
     const { status, admin_notes } = req.body;
@@ -239,7 +239,7 @@ router.get('/:id', (req, res) => {
 });
 
 // Delete expression (admin only)
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requireAuth, (req, res) => {
   try {
     const { id } = req.params;
     const expressionIndex = expressions.findIndex(exp => exp.id === parseInt(id));
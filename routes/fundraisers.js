@@ -0,0 +1,289 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+// Services
+const fundraiserService = require('../services/fundraiserService');
+const campaignProgressService = require('../services/campaignProgressService');
+
+// Middleware
+const { requireAuth } = require('../middleware/security');
+
+// Utils
+const logger = require('../utils/logger');
+const { stripTags } = require('../utils/validation');
+
+// Config
+const config = require('../config/config');
+
+// Rate limiting for new fundraiser pages
+const createFundraiserLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Limit each IP to 5 new pages per windowMs
+  message: {
+    error: 'Too many fundraisers created from this IP, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Goals are in the default currency, like project goals
+const goalRule = (field) => body(field)
+  .isFloat({ min: 1 })
+  .withMessage(`Goal must be a positive amount in ${config.stripe.currency.toUpperCase()}`)
+  .toFloat();
+
+const endsAtRule = body('endsAt')
+  .optional({ values: 'null' })
+  .isISO8601()
+  .withMessage('endsAt must be an ISO 8601 date')
+  .bail()
+  .custom((value) => new Date(value) > new Date())
+  .withMessage('endsAt must be in the future');
+
+const validateFundraiser = [
+  body('title')
+    .customSanitizer(stripTags)
+    .trim()
+    .isLength({ min: 3, max: 120 })
+    .withMessage('Title must be between 3 and 120 characters'),
+  body('slug')
+    .optional({ checkFalsy: true })
+    .trim()
+    .toLowerCase()
+    .custom((value) => fundraiserService.isSlugValid(value))
+    .withMessage('Slug must be 3-64 lowercase letters, numbers or hyphens'),
+  body('story')
+    .optional()
+    .customSanitizer(stripTags)
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Story must not exceed 5000 characters'),
+  goalRule('goal'),
+  body('ownerName')
+    .customSanitizer(stripTags)
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Owner name must be between 2 and 100 characters'),
+  body('ownerEmail')
+    .isEmail()
+    .withMessage('Please provide a valid owner email address'),
+  body('projectId')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Project ID is required'),
+  endsAtRule,
+];
+
+const validateFundraiserUpdate = [
+  body('title')
+    .optional()
+    .customSanitizer(stripTags)
+    .trim()
+    .isLength({ min: 3, max: 120 })
+    .withMessage('Title must be between 3 and 120 characters'),
+  body('story')
+    .optional()
+    .customSanitizer(stripTags)
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Story must not exceed 5000 characters'),
+  goalRule('goal').optional(),
+  body('status')
+    .optional()
+    .isIn(['active', 'closed'])
+    .withMessage('Status must be one of: active, closed'),
+  endsAtRule,
+];
+
+const withProgress = (fundraiser) => ({
+  ...fundraiserService.toPublicFundraiser(fundraiser),
+  progress: campaignProgressService.getFundraiserProgress(fundraiser),
+});
+
+// GET /api/fundraisers - List fundraiser pages, optionally by project or status
+router.get('/', (req, res) => {
+  try {
+    const { projectId, status } = req.query;
+    const fundraisers = fundraiserService.listFundraisers({ projectId, status });
+
+    res.json({
+      success: true,
+      data: fundraisers.map(withProgress),
+      count: fundraisers.length,
+    });
+  } catch (error) {
+    logger.error('Error listing fundraisers', {
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch fundraisers',
+    });
+  }
+});
+
+// POST /api/fundraisers - Create a personal fundraiser page for a project
+router.post('/', createFundraiserLimiter, validateFundraiser, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const fundraiser = fundraiserService.createFundraiser({
+      title: req.body.title,
+      slug: req.body.slug,
+      story: req.body.story,
+      goal: req.body.goal,
+      ownerName: req.body.ownerName,
+      ownerEmail: req.body.ownerEmail,
+      projectId: req.body.projectId,
+      endsAt: req.body.endsAt,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: withProgress(fundraiser),
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error creating fundraiser', {
+      error: error.message,
+      projectId: req.body.projectId,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create fundraiser',
+    });
+  }
+});
+
+// GET /api/fundraisers/:id/progress - Amount raised towards the page's goal
+router.get('/:id/progress', (req, res) => {
+  try {
+    const fundraiser = fundraiserService.getFundraiser(req.params.id);
+
+    if (!fundraiser) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fundraiser not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: campaignProgressService.getFundraiserProgress(fundraiser),
+    });
+  } catch (error) {
+    logger.error('Error fetching fundraiser progress', {
+      error: error.message,
+      fundraiserId: req.params.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch fundraiser progress',
+    });
+  }
+});
+
+// GET /api/fundraisers/:id - Get a fundraiser page by id or slug
+router.get('/:id', (req, res) => {
+  try {
+    const fundraiser = fundraiserService.getFundraiser(req.params.id);
+
+    if (!fundraiser) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fundraiser not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: withProgress(fundraiser),
+    });
+  } catch (error) {
+    logger.error('Error fetching fundraiser', {
+      error: error.message,
+      fundraiserId: req.params.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch fundraiser',
+    });
+  }
+});
+
+// PATCH /api/fundraisers/:id - Edit or close a fundraiser page (admin)
+router.patch('/:id', requireAuth, validateFundraiserUpdate, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const existing = fundraiserService.getFundraiser(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fundraiser not found',
+      });
+    }
+
+    const fundraiser = fundraiserService.updateFundraiser(existing.id, {
+      title: req.body.title,
+      story: req.body.story,
+      goal: req.body.goal,
+      status: req.body.status,
+      endsAt: req.body.endsAt,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...withProgress(fundraiser),
+        ownerEmail: fundraiser.ownerEmail,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error updating fundraiser', {
+      error: error.message,
+      fundraiserId: req.params.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update fundraiser',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Services
+const matchingService = require('../services/matchingService');
+
+// Middleware
+const { requireAuth } = require('../middleware/security');
+
+// Validation
+const { validateCurrency } = require('../utils/validation');
+const { normalizeCurrency } = require('../utils/currency');
+
+// Logger
+const logger = require('../utils/logger');
+
+// Config
+const config = require('../config/config');
+
+const campaignRules = ({ optional }) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('sponsor')
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Sponsor must be between 2 and 100 characters'),
+    field('ratio')
+      .isFloat({ gt: 0, max: 10 })
+      .withMessage('Ratio must be greater than 0 and at most 10')
+      .toFloat(),
+    field('cap')
+      .isFloat({ gt: 0 })
+      .withMessage('Cap must be a positive amount')
+      .toFloat(),
+    field('startsAt')
+      .isISO8601()
+      .withMessage('startsAt must be an ISO 8601 date'),
+    field('endsAt')
+      .isISO8601()
+      .withMessage('endsAt must be an ISO 8601 date'),
+    body('projectIds')
+      .optional()
+      .isArray()
+      .withMessage('projectIds must be an array of project ids'),
+    body('projectIds.*')
+      .isString()
+      .withMessage('projectIds must be an array of project ids'),
+  ];
+};
+
+const validateCampaign = [
+  ...campaignRules({ optional: false }),
+  body('currency')
+    .default(config.stripe.currency)
+    .customSanitizer(normalizeCurrency)
+    .custom(validateCurrency)
+    .withMessage(`Currency must be one of: ${Object.keys(config.currencies).join(', ')}`),
+];
+
+const validateCampaignUpdate = [
+  ...campaignRules({ optional: true }),
+  body('status')
+    .optional()
+    .isIn(['active', 'paused'])
+    .withMessage('Status must be one of: active, paused'),
+];
+
+const sendError = (res, error, message, context) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  logger.error(message, {
+    error: error.message,
+    ...context,
+  });
+
+  return res.status(500).json({
+    success: false,
+    error: message,
+  });
+};
+
+// GET /api/matching-campaigns - List campaigns (?live=true for ones matching right now)
+router.get('/', (req, res) => {
+  try {
+    const { status, projectId } = req.query;
+    const campaigns = matchingService.listCampaigns({
+      status,
+      projectId,
+      live: req.query.live === 'true',
+    });
+
+    res.json({
+      success: true,
+      data: campaigns.map((campaign) => matchingService.toPublicCampaign(campaign)),
+      count: campaigns.length,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch matching campaigns');
+  }
+});
+
+// GET /api/matching-campaigns/:id - Get a single campaign
+router.get('/:id', (req, res) => {
+  try {
+    const campaign = matchingService.getCampaign(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Matching campaign not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: matchingService.toPublicCampaign(campaign),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch matching campaign', { campaignId: req.params.id });
+  }
+});
+
+// POST /api/matching-campaigns - Create a sponsor matching campaign (admin)
+router.post('/', requireAuth, validateCampaign, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const campaign = matchingService.createCampaign({
+      sponsor: req.body.sponsor,
+      ratio: req.body.ratio,
+      cap: req.body.cap,
+      currency: req.body.currency,
+      startsAt: req.body.startsAt,
+      endsAt: req.body.endsAt,
+      projectIds: req.body.projectIds || [],
+    });
+
+    res.status(201).json({
+      success: true,
+      data: matchingService.toPublicCampaign(campaign),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create matching campaign');
+  }
+});
+
+// PATCH /api/matching-campaigns/:id - Edit, pause or resume a campaign (admin)
+router.patch('/:id', requireAuth, validateCampaignUpdate, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const campaign = matchingService.updateCampaign(req.params.id, {
+      sponsor: req.body.sponsor,
+      ratio: req.body.ratio,
+      cap: req.body.cap,
+      startsAt: req.body.startsAt,
+      endsAt: req.body.endsAt,
+      projectIds: req.body.projectIds,
+      status: req.body.status,
+    });
+
+    res.json({
+      success: true,
+      data: matchingService.toPublicCampaign(campaign),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update matching campaign', { campaignId: req.params.id });
+  }
+});
+
+module.exports = router;
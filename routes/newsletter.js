@@ -2,7 +2,8 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const router = express.Router();
-const resendEmailService = require('../services/resendEmailService');
+const emailQueueService = require('../services/emailQueueService');
+const { requireAuth } = require('../middleware/security');
 
 const SUBSCRIBERS_FILE = path.join(__dirname, '../newsletter-subscribers.json');
 
@@ -24,7 +25,7 @@ function writeSubscribers(subscribers) {
 
 // POST /api/newsletter/subscribe
 router.post('/subscribe', async (req, res) => {
-  const { email } = req.body;
+  const { email, locale } = req.body;
   if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
     return res.status(400).json({ success: false, error: 'Invalid email address.' });
   }
@@ -38,15 +39,18 @@ router.post('/subscribe', async (req, res) => {
     subscribers.push(email);
     writeSubscribers(subscribers);
 
-    // Send admin notification email (non-blocking)
+    // Queue admin notification email and a welcome to the subscriber in their
+    // language (sent and retried in the background)
     try {
-      await resendEmailService.sendNewsletterNotification({
+      emailQueueService.enqueue('newsletter-notification', {
         email,
+        locale,
         submittedAt: new Date().toISOString()
       });
+      emailQueueService.enqueue('submission-received', { form: 'newsletter', email, locale });
 
     } catch (emailError) {
-      console.error('Failed to send newsletter notification email:', emailError);
+      console.error('Failed to queue newsletter notification email:', emailError);
       // Don't fail the subscription if email fails - just log it
     }
 
@@ -58,7 +62,7 @@ router.post('/subscribe', async (req, res) => {
 });
 
 // GET /api/newsletter/subscribers
-router.get('/subscribers', (req, res) => {
+router.get('/subscribers', requireAuth, (req, res) => {
   try {
     const subscribers = readSubscribers();
     res.json({ subscribers });
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+
+// Services
+const projectService = require('../services/projectService');
+const campaignProgressService = require('../services/campaignProgressService');
+
+// Logger
+const logger = require('../utils/logger');
+
+// List projects
+router.get('/', (req, res) => {
+  try {
+    const { status } = req.query;
+    const projects = projectService.listProjects({ status });
+
+    res.json({
+      success: true,
+      data: projects,
+      count: projects.length,
+    });
+  } catch (error) {
+    logger.error('Error listing projects', {
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch projects',
+    });
+  }
+});
+
+// Campaign progress: amount raised, goal, supporters and percentage
+router.get('/:id/progress', (req, res) => {
+  try {
+    const project = projectService.getProject(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: campaignProgressService.getProgress(project),
+    });
+  } catch (error) {
+    logger.error('Error fetching project progress', {
+      error: error.message,
+      projectId: req.params.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch project progress',
+    });
+  }
+});
+
+// Get a single project by id or slug
+router.get('/:id', (req, res) => {
+  try {
+    const project = projectService.getProject(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: project,
+    });
+  } catch (error) {
+    logger.error('Error fetching project', {
+      error: error.message,
+      projectId: req.params.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch project',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,14 @@
 const express = require('express');
+const { param, query, validationResult } = require('express-validator');
 const router = express.Router();
 
 // Services
 const stripeService = require('../services/stripeService');
 const resendEmailService = require('../services/resendEmailService');
+const webhookEventService = require('../services/webhookEventService');
 
 // Middleware
-const { sanitizeInput } = require('../middleware/security');
+const { sanitizeInput, requireAuth } = require('../middleware/security');
 
 // Validation
 const { validateWebhookSignature } = require('../utils/validation');
@@ -25,6 +27,13 @@ router.post('/stripe',
       const sig = req.headers['stripe-signature'];
       const payload = req.body;
 
+      if (!Buffer.isBuffer(payload)) {
+        logger.warn('Stripe webhook received without a raw JSON body', {
+          contentType: req.get('Content-Type'),
+        });
+        return res.status(400).json({ error: 'Invalid payload' });
+      }
+
       if (!sig) {
         logger.warn('Stripe webhook received without signature', {
           headers: req.headers,
@@ -32,16 +41,17 @@ router.post('/stripe',
         return res.status(400).json({ error: 'Missing signature' });
       }
 
-      // Verify webhook signature
-      const isValidSignature = validateWebhookSignature(
+      // Verify webhook signature against every active secret
+      const verification = validateWebhookSignature(
         payload,
         sig,
-        config.stripe.webhookSecret
+        config.stripe.webhookSecrets,
+        { tolerance: config.stripe.webhookTolerance }
       );
 
-      if (!isValidSignature) {
+      if (!verification.isValid) {
         logger.warn('Invalid Stripe webhook signature', {
-          signature: sig,
+          reason: verification.error,
           ip: req.ip,
         });
         return res.status(400).json({ error: 'Invalid signature' });
@@ -63,11 +73,18 @@ router.post('/stripe',
         eventId: event.id,
       });
 
-      // Handle the webhook event
-      await stripeService.handleWebhook(event);
+      if (!event || typeof event.id !== 'string' || typeof event.type !== 'string') {
+        return res.status(400).json({ error: 'Invalid payload' });
+      }
+
+      // Record the event and handle it unless it was already processed
+      const result = await webhookEventService.processEvent(event);
 
       // Send appropriate response
-      res.json({ received: true });
+      res.json({
+        received: true,
+        ...(result.status !== 'processed' && { skipped: result.status }),
+      });
     } catch (error) {
       logger.error('Error processing Stripe webhook', {
         error: error.message,
@@ -79,8 +96,11 @@ router.post('/stripe',
   }
 );
 
-// Test webhook endpoint (for development)
+// Test webhook endpoint (for development). Admin only, since handled
+// events update the ledger and campaign totals.
 router.post('/test',
+  requireAuth,
+  express.json(), // Mounted ahead of the global JSON parser
   sanitizeInput,
   async (req, res) => {
     try {
@@ -128,6 +148,133 @@ router.post('/test',
   }
 );
 
+// List recorded webhook events (admin)
+router.get('/events',
+  requireAuth,
+  [
+    query('status')
+      .optional()
+      .isIn(['processing', 'processed', 'failed'])
+      .withMessage('Status must be processing, processed or failed'),
+    query('type')
+      .optional()
+      .isString(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be between 1 and 500')
+      .toInt(),
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+      });
+    }
+
+    try {
+      const events = webhookEventService.listEvents({
+        status: req.query.status,
+        type: req.query.type,
+        limit: req.query.limit,
+      });
+
+      res.json({
+        success: true,
+        data: events,
+        count: events.length,
+      });
+    } catch (error) {
+      logger.error('Error listing webhook events', {
+        error: error.message,
+      });
+      res.status(500).json({
+        error: 'Failed to list webhook events',
+      });
+    }
+  }
+);
+
+// Get a recorded webhook event with its payload (admin)
+router.get('/events/:eventId',
+  requireAuth,
+  [
+    param('eventId')
+      .matches(/^evt_[A-Za-z0-9_]+$/)
+      .withMessage('Invalid event ID'),
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+      });
+    }
+
+    const event = webhookEventService.getEvent(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        error: 'Webhook event not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: event,
+    });
+  }
+);
+
+// Replay a failed webhook event from its stored payload (admin)
+router.post('/events/:eventId/replay',
+  requireAuth,
+  [
+    param('eventId')
+      .matches(/^evt_[A-Za-z0-9_]+$/)
+      .withMessage('Invalid event ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+      });
+    }
+
+    try {
+      const event = await webhookEventService.replayEvent(req.params.eventId);
+      const { payload, ...summary } = event;
+
+      logger.info('Webhook event replayed', {
+        eventId: event.id,
+        status: event.status,
+        adminUserId: req.user.id,
+      });
+
+      res.status(event.status === 'processed' ? 200 : 500).json({
+        success: event.status === 'processed',
+        data: summary,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+
+      logger.error('Error replaying webhook event', {
+        error: error.message,
+        eventId: req.params.eventId,
+      });
+      res.status(500).json({
+        error: 'Failed to replay webhook event',
+      });
+    }
+  }
+);
+
 // Webhook health check
 router.get('/health',
   (req, res) => {
@@ -138,6 +285,7 @@ router.get('/health',
       endpoints: {
         stripe: '/webhooks/stripe',
         test: '/webhooks/test',
+        events: '/webhooks/events',
       },
     });
   }
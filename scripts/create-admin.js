@@ -0,0 +1,20 @@
+// Create an admin user for the protected API routes.
+// Usage: ADMIN_PASSWORD=... node scripts/create-admin.js <email> [name]
+const authService = require('../services/authService');
+
+const [email, name] = process.argv.slice(2);
+const password = process.env.ADMIN_PASSWORD;
+
+if (!email || !password) {
+  console.error('Usage: ADMIN_PASSWORD=<password> node scripts/create-admin.js <email> [name]');
+  process.exit(1);
+}
+
+authService.createUser({ email, password, name })
+  .then((user) => {
+    console.log(`✅ Admin user created: ${user.email} (${user.id})`);
+  })
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
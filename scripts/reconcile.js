@@ -0,0 +1,26 @@
+// Reconcile the donation ledger against Stripe for a date range and email the report.
+// Usage: node scripts/reconcile.js [from] [to]   (defaults to the previous UTC day)
+const reconciliationService = require('../services/reconciliationService');
+const { validateDateRange } = require('../utils/validation');
+
+const [from, to] = process.argv.slice(2);
+
+if ((from || to) && !validateDateRange(from, to)) {
+  console.error('Usage: node scripts/reconcile.js [from] [to]  (ISO dates, at most one year apart)');
+  process.exit(1);
+}
+
+const range = from ? { from, to } : reconciliationService.previousDay();
+
+reconciliationService.run({ ...range, trigger: 'cli' })
+  .then((report) => {
+    const { summary } = report;
+    console.log(`${summary.discrepancies ? '⚠️' : '✅'} ${summary.discrepancies} discrepancies (${report.from} to ${report.to})`);
+    Object.entries(summary.byType).forEach(([type, count]) => console.log(`   ${type}: ${count}`));
+    console.log(`   Report: ${report.id}`);
+    process.exit(summary.discrepancies ? 2 : 0);
+  })
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -27,6 +27,18 @@ const webhookRoutes = require('./routes/webhooks');
 const expressionRoutes = require('./routes/expressions');
 const contactRoutes = require('./routes/contact');
 const newsletterRoutes = require('./routes/newsletter');
+const projectRoutes = require('./routes/projects');
+const fundraiserRoutes = require('./routes/fundraisers');
+const matchingRoutes = require('./routes/matching');
+const adminRoutes = require('./routes/admin');
+const authRoutes = require('./routes/auth');
+
+// Import services
+const authService = require('./services/authService');
+const reconciliationService = require('./services/reconciliationService');
+const yearEndReceiptService = require('./services/yearEndReceiptService');
+const emailQueueService = require('./services/emailQueueService');
+const projectService = require('./services/projectService');
 
 // Create Express app
 const app = express();
@@ -44,6 +56,10 @@ app.use(speedLimit); // Speed limiting
 app.use(securityHeaders); // Additional security headers
 app.use(requestLogger); // Custom request logging
 
+// Webhooks are mounted before the JSON parser so Stripe signatures can be
+// verified against the raw request body
+app.use('/api/webhooks', webhookRoutes);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -57,10 +73,14 @@ app.use('/uploads', express.static(path.join(__dirname, config.upload.path)));
 
 // API Routes
 app.use('/api/donations', donationRoutes);
-app.use('/api/webhooks', webhookRoutes);
 app.use('/api/expressions-of-interest', expressionRoutes);
 app.use('/api', contactRoutes);
 app.use('/api/newsletter', newsletterRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/fundraisers', fundraiserRoutes);
+app.use('/api/matching-campaigns', matchingRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/auth', authRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -74,6 +94,11 @@ app.get('/', (req, res) => {
       webhooks: '/api/webhooks',
       expressions: '/api/expressions-of-interest',
       contact: '/api/contact',
+      projects: '/api/projects',
+      fundraisers: '/api/fundraisers',
+      matching: '/api/matching-campaigns',
+      admin: '/api/admin',
+      auth: '/api/auth',
       health: '/api/health',
     },
   });
@@ -134,6 +159,13 @@ process.on('unhandledRejection', (reason, promise) => {
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
+// Create the initial admin account if configured
+authService.ensureInitialAdmin().catch((error) => {
+  logger.error('Failed to create initial admin user', {
+    error: error.message,
+  });
+});
+
 // Start server
 const server = app.listen(config.port, '0.0.0.0', () => {
   logger.info(`Server started successfully`, {
@@ -143,6 +175,11 @@ const server = app.listen(config.port, '0.0.0.0', () => {
     platform: process.platform,
   });
 
+  reconciliationService.scheduleNightly();
+  yearEndReceiptService.resumeInterrupted();
+  emailQueueService.start();
+  projectService.start();
+
   // Log startup information
   const baseUrl = config.nodeEnv === 'production' 
     ? `https://metrax-backend.onrender.com` 
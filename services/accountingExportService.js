@@ -0,0 +1,329 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const donationLedger = require('./donationLedger');
+const projectService = require('./projectService');
+const receiptService = require('./receiptService');
+const stripeService = require('./stripeService');
+const { fromMinorUnits, isZeroDecimal } = require('../utils/currency');
+
+const EXPORT_FORMATS = ['csv', 'iif', 'xero'];
+
+// Ledger statuses where the money reached us (later refunds are separate lines)
+const EXPORTED_STATUSES = ['succeeded', 'partially_refunded', 'refunded', 'disputed', 'dispute_lost'];
+
+const exportError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Major units as a plain decimal string, e.g. -50.00
+const formatAmount = (amount, currency) => (
+  fromMinorUnits(amount, currency).toFixed(isZeroDecimal(currency) ? 0 : 2)
+);
+
+// Quote CSV fields when needed, and stop spreadsheets treating text as formulas
+const csvField = (value, { text = true } = {}) => {
+  let field = value === null || value === undefined ? '' : String(value);
+  if (text && /^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+// IIF is tab-separated with no quoting; strip anything that would break a row
+const iifField = (value) => (value === null || value === undefined ? '' : String(value))
+  .replace(/[\t\r\n"]/g, ' ')
+  .trim();
+
+const buildCsv = (header, rows) => [header, ...rows]
+  .map((row) => row.map((cell) => (typeof cell === 'object' && cell !== null
+    ? csvField(cell.value, { text: false })
+    : csvField(cell))).join(','))
+  .join('\r\n') + '\r\n';
+
+// Numbers are written without the formula guard (negative amounts start with "-")
+const number = (value) => ({ value });
+
+const datePart = (iso, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+}).formatToParts(new Date(iso)).reduce((parts, { type, value }) => {
+  parts[type] = value;
+  return parts;
+}, {});
+
+// Accounting lines for donations and refunds in a date range. Donations are
+// dated when the payment succeeded; refunds are dated when they were made and
+// appear as negative lines, even when the original gift was in an earlier range.
+class AccountingExportService {
+  // Local calendar date in the receipting time zone
+  formatDate(iso, style = 'iso') {
+    const { year, month, day } = datePart(iso, config.receipts.timeZone);
+    if (style === 'us') {
+      return `${month}/${day}/${year}`;
+    }
+    if (style === 'day-first') {
+      return `${day}/${month}/${year}`;
+    }
+    return `${year}-${month}-${day}`;
+  }
+
+  // Stripe balance transactions (fees and net) keyed by source charge or refund id
+  async loadBalanceTransactions(from, to) {
+    const transactions = new Map();
+    const list = stripeService.stripe.balanceTransactions.list({
+      created: {
+        gte: Math.floor(from.getTime() / 1000),
+        lt: Math.floor(to.getTime() / 1000),
+      },
+      limit: 100,
+    });
+    for await (const transaction of list) {
+      const sourceId = typeof transaction.source === 'string' ? transaction.source : transaction.source?.id;
+      if (sourceId) {
+        transactions.set(sourceId, transaction);
+      }
+    }
+    return transactions;
+  }
+
+  // Charges settled just outside the range are looked up one at a time
+  async findBalanceTransaction(transactions, sourceId) {
+    if (!sourceId) {
+      return null;
+    }
+    if (!transactions.has(sourceId)) {
+      try {
+        const { data } = await stripeService.stripe.balanceTransactions.list({ source: sourceId, limit: 1 });
+        transactions.set(sourceId, data[0] || null);
+      } catch (error) {
+        logger.warn('Error looking up Stripe balance transaction', {
+          error: error.message,
+          sourceId,
+        });
+        transactions.set(sourceId, null);
+      }
+    }
+    return transactions.get(sourceId);
+  }
+
+  // Stripe fee in the donation's currency. Settlement in another currency is
+  // converted back at the rate Stripe used.
+  feeFor(transaction, currency) {
+    if (!transaction) {
+      return 0;
+    }
+    if (transaction.currency === currency || !transaction.exchange_rate) {
+      return transaction.fee;
+    }
+    return Math.round(transaction.fee / transaction.exchange_rate);
+  }
+
+  describeProject(projectId) {
+    const project = projectService.getProject(projectId);
+    return {
+      projectId: projectId || null,
+      projectTitle: project ? project.title : (projectId || ''),
+      fundCode: project ? project.fundCode : (projectId || '').toUpperCase(),
+    };
+  }
+
+  async buildLines({ from, to }) {
+    const start = new Date(from);
+    const end = new Date(to);
+    const inRange = (iso) => {
+      const time = new Date(iso).getTime();
+      return time >= start.getTime() && time < end.getTime();
+    };
+
+    let transactions;
+    try {
+      transactions = await this.loadBalanceTransactions(start, end);
+    } catch (error) {
+      logger.error('Error loading Stripe balance transactions for export', {
+        error: error.message,
+      });
+      throw exportError('Could not load Stripe fees for the export', 502);
+    }
+
+    const records = await donationLedger.listDonations();
+    const lines = [];
+    let missingFees = 0;
+
+    for (const record of records) {
+      const base = {
+        paymentIntentId: record.id,
+        chargeId: record.chargeId,
+        receiptNumber: receiptService.getReceipt(record.id)?.serialNumber || '',
+        donorName: record.donor.name || 'Anonymous',
+        donorEmail: record.donor.email || '',
+        currency: record.currency,
+        ...this.describeProject(record.projectId),
+      };
+
+      const dateReceived = receiptService.getDateReceived(record);
+      if (EXPORTED_STATUSES.includes(record.status) && inRange(dateReceived)) {
+        const transaction = await this.findBalanceTransaction(transactions, record.chargeId);
+        if (!transaction) {
+          missingFees += 1;
+        }
+        const fee = this.feeFor(transaction, record.currency);
+        lines.push({
+          ...base,
+          type: 'donation',
+          date: dateReceived,
+          refundId: '',
+          gross: record.amount,
+          coveredFee: record.coveredFeeAmount || 0,
+          fee,
+          net: record.amount - fee,
+          description: `Donation to ${base.projectTitle}`,
+        });
+      }
+
+      for (const refund of record.refunds) {
+        if (['failed', 'canceled'].includes(refund.status) || !inRange(refund.createdAt)) {
+          continue;
+        }
+        const transaction = await this.findBalanceTransaction(transactions, refund.id);
+        // Refund fees are usually zero; a returned fee shows as a negative fee
+        const fee = this.feeFor(transaction, record.currency);
+        lines.push({
+          ...base,
+          type: 'refund',
+          date: refund.createdAt,
+          refundId: refund.id,
+          gross: -refund.amount,
+          coveredFee: 0,
+          fee,
+          net: -refund.amount - fee,
+          description: `Refund of donation to ${base.projectTitle}`,
+        });
+      }
+    }
+
+    if (missingFees > 0) {
+      logger.warn('Stripe fees missing for exported donations', { count: missingFees });
+    }
+
+    return lines.sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+
+  // Plain CSV with one row per donation or refund
+  toCsv(lines) {
+    const header = [
+      'Date', 'Type', 'Donor Name', 'Donor Email', 'Project', 'Fund Code', 'Receipt Number',
+      'Currency', 'Gross', 'Stripe Fee', 'Net', 'Fee Covered By Donor',
+      'Payment Intent', 'Charge', 'Refund',
+    ];
+    const rows = lines.map((line) => [
+      this.formatDate(line.date),
+      line.type,
+      line.donorName,
+      line.donorEmail,
+      line.projectTitle,
+      line.fundCode,
+      line.receiptNumber,
+      line.currency.toUpperCase(),
+      number(formatAmount(line.gross, line.currency)),
+      number(formatAmount(line.fee, line.currency)),
+      number(formatAmount(line.net, line.currency)),
+      number(formatAmount(line.coveredFee, line.currency)),
+      line.paymentIntentId,
+      line.chargeId,
+      line.refundId,
+    ]);
+    return buildCsv(header, rows);
+  }
+
+  // QuickBooks Desktop IIF: one general journal entry per line. The net
+  // lands in the Stripe clearing account, the gross in donation income and
+  // the fee in the fees expense account; the fund code is the QuickBooks class.
+  toIif(lines) {
+    const { clearingAccount, incomeAccount, feeAccount } = config.accounting.quickbooks;
+    const columns = 'TRNSTYPE\tDATE\tACCNT\tNAME\tCLASS\tAMOUNT\tDOCNUM\tMEMO';
+    const output = [`!TRNS\t${columns}`, `!SPL\t${columns}`, '!ENDTRNS'];
+
+    lines.forEach((line) => {
+      const date = this.formatDate(line.date, 'us');
+      const name = iifField(line.donorName);
+      const fundClass = iifField(line.fundCode);
+      const docNumber = iifField(line.receiptNumber || line.refundId || line.paymentIntentId);
+      const memo = iifField(`${line.description} (${line.paymentIntentId})`);
+      const row = (kind, account, amount, rowName = '') => [
+        kind, 'GENERAL JOURNAL', date, iifField(account), rowName, fundClass,
+        formatAmount(amount, line.currency), docNumber, memo,
+      ].join('\t');
+
+      output.push(row('TRNS', clearingAccount, line.net));
+      output.push(row('SPL', incomeAccount, -line.gross, name));
+      if (line.fee !== 0) {
+        output.push(row('SPL', feeAccount, line.fee));
+      }
+      output.push('ENDTRNS');
+    });
+
+    return `${output.join('\r\n')}\r\n`;
+  }
+
+  // Xero bank statement CSV for the Stripe clearing account, pre-coded with
+  // account codes and the fund as a tracking option. Each donation or refund
+  // is one line for the gross and one for the Stripe fee.
+  toXeroCsv(lines) {
+    const { incomeAccountCode, feeAccountCode, taxType, trackingCategory } = config.accounting.xero;
+    const header = [
+      '*Date', '*Amount', 'Payee', 'Description', 'Reference',
+      'Account Code', 'Tax Type', 'Tracking Name', 'Tracking Option', 'Currency',
+    ];
+    const rows = [];
+
+    lines.forEach((line) => {
+      const date = this.formatDate(line.date, 'day-first');
+      const reference = line.receiptNumber || line.refundId || line.paymentIntentId;
+      const currency = line.currency.toUpperCase();
+
+      rows.push([
+        date, number(formatAmount(line.gross, line.currency)), line.donorName, line.description,
+        reference, incomeAccountCode, taxType, trackingCategory, line.fundCode, currency,
+      ]);
+      if (line.fee !== 0) {
+        rows.push([
+          date, number(formatAmount(-line.fee, line.currency)), 'Stripe', `Stripe fee: ${line.description}`,
+          reference, feeAccountCode, taxType, trackingCategory, line.fundCode, currency,
+        ]);
+      }
+    });
+
+    return buildCsv(header, rows);
+  }
+
+  // Build an export file: { body, contentType, fileName, count }
+  async exportDonations({ from, to, format = 'csv' }) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw exportError(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    const lines = await this.buildLines({ from, to });
+    const range = `${new Date(from).toISOString().slice(0, 10)}-to-${new Date(new Date(to).getTime() - 1).toISOString().slice(0, 10)}`;
+
+    const file = {
+      csv: () => ({ body: this.toCsv(lines), contentType: 'text/csv; charset=utf-8', fileName: `donations-${range}.csv` }),
+      iif: () => ({ body: this.toIif(lines), contentType: 'text/plain; charset=utf-8', fileName: `donations-${range}.iif` }),
+      xero: () => ({ body: this.toXeroCsv(lines), contentType: 'text/csv; charset=utf-8', fileName: `donations-${range}-xero.csv` }),
+    }[format]();
+
+    logger.info('Donations exported', {
+      format,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      lines: lines.length,
+    });
+
+    return { ...file, count: lines.length };
+  }
+}
+
+module.exports = new AccountingExportService();
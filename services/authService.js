@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+const DEFAULT_JWT_SECRET = 'your-secret-key-change-in-production';
+const MIN_PASSWORD_LENGTH = 12;
+
+// Used to keep login timing the same whether or not the email exists
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('metrax-dummy-password', 4);
+
+const authError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class AuthService {
+  constructor() {
+    this.store = new JsonFileStore(config.admin.usersFile, { users: [], revokedTokens: {} });
+
+    if (config.nodeEnv === 'production' && config.jwt.secret === DEFAULT_JWT_SECRET) {
+      logger.warn('JWT_SECRET is not configured; admin tokens are signed with the default secret');
+    }
+  }
+
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  // Strip the password hash before a user leaves this service
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      createdAt: user.createdAt,
+      lastLoginAt: user.lastLoginAt || null,
+    };
+  }
+
+  findUser(predicate) {
+    return this.store.read().users.find(predicate) || null;
+  }
+
+  async createUser({ email, password, name, role = 'admin' }) {
+    const normalizedEmail = this.normalizeEmail(email);
+    if (!normalizedEmail) {
+      throw authError('Email is required', 400);
+    }
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw authError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+
+    const passwordHash = await bcrypt.hash(password, config.security.bcryptRounds);
+
+    const user = this.store.update((data) => {
+      if (data.users.some((existing) => existing.email === normalizedEmail)) {
+        return null;
+      }
+      const created = {
+        id: crypto.randomUUID(),
+        email: normalizedEmail,
+        name: name || normalizedEmail,
+        role,
+        passwordHash,
+        createdAt: new Date().toISOString(),
+        lastLoginAt: null,
+      };
+      data.users.push(created);
+      return created;
+    });
+
+    if (!user) {
+      throw authError('An admin user with this email already exists', 409);
+    }
+
+    logger.info('Admin user created', { userId: user.id, email: user.email });
+    return this.toPublicUser(user);
+  }
+
+  // Create the admin account from ADMIN_EMAIL / ADMIN_PASSWORD on first start
+  async ensureInitialAdmin() {
+    const { email, password, name } = config.admin;
+    if (!email || !password) {
+      if (this.store.read().users.length === 0) {
+        logger.warn('No admin users exist; set ADMIN_EMAIL and ADMIN_PASSWORD to create one');
+      }
+      return null;
+    }
+
+    const normalizedEmail = this.normalizeEmail(email);
+    if (this.findUser((user) => user.email === normalizedEmail)) {
+      return null;
+    }
+
+    return this.createUser({ email, password, name });
+  }
+
+  signToken(user, type, expiresIn) {
+    return jwt.sign(
+      { email: user.email, role: user.role, type },
+      config.jwt.secret,
+      {
+        subject: user.id,
+        expiresIn,
+        issuer: config.jwt.issuer,
+        jwtid: crypto.randomUUID(),
+      }
+    );
+  }
+
+  issueTokens(user) {
+    return {
+      tokenType: 'Bearer',
+      accessToken: this.signToken(user, 'access', config.jwt.expiresIn),
+      expiresIn: config.jwt.expiresIn,
+      refreshToken: this.signToken(user, 'refresh', config.jwt.refreshExpiresIn),
+      refreshExpiresIn: config.jwt.refreshExpiresIn,
+    };
+  }
+
+  async login(email, password) {
+    const normalizedEmail = this.normalizeEmail(email);
+    const user = this.findUser((candidate) => candidate.email === normalizedEmail);
+
+    const passwordMatches = await bcrypt.compare(
+      password || '',
+      user ? user.passwordHash : DUMMY_PASSWORD_HASH
+    );
+    if (!user || !passwordMatches) {
+      throw authError('Invalid email or password', 401);
+    }
+
+    const lastLoginAt = new Date().toISOString();
+    this.store.update((data) => {
+      const stored = data.users.find((candidate) => candidate.id === user.id);
+      if (stored) {
+        stored.lastLoginAt = lastLoginAt;
+      }
+    });
+
+    logger.info('Admin login', { userId: user.id });
+
+    return {
+      user: this.toPublicUser({ ...user, lastLoginAt }),
+      ...this.issueTokens(user),
+    };
+  }
+
+  // Verify signature, expiry, token type, revocation and that the user still exists
+  verifyToken(token, expectedType) {
+    let payload;
+    try {
+      payload = jwt.verify(token, config.jwt.secret, { issuer: config.jwt.issuer });
+    } catch (error) {
+      throw authError(
+        error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token',
+        401
+      );
+    }
+
+    if (payload.type !== expectedType) {
+      throw authError('Invalid token', 401);
+    }
+
+    const data = this.store.read();
+    if (data.revokedTokens[payload.jti]) {
+      throw authError('Token has been revoked', 401);
+    }
+
+    const user = data.users.find((candidate) => candidate.id === payload.sub);
+    if (!user) {
+      throw authError('Invalid token', 401);
+    }
+
+    return { payload, user };
+  }
+
+  verifyAccessToken(token) {
+    const { payload, user } = this.verifyToken(token, 'access');
+    return { ...this.toPublicUser(user), tokenId: payload.jti, tokenExpiresAt: payload.exp };
+  }
+
+  // Refresh tokens are single use: the old one is revoked when rotated
+  refresh(refreshToken) {
+    const { payload, user } = this.verifyToken(refreshToken, 'refresh');
+    this.revokeTokenId(payload.jti, payload.exp);
+    return this.issueTokens(user);
+  }
+
+  // Revoke a token by its id until it would have expired anyway
+  revokeTokenId(tokenId, expiresAt) {
+    const now = Math.floor(Date.now() / 1000);
+    this.store.update((data) => {
+      Object.keys(data.revokedTokens).forEach((id) => {
+        if (data.revokedTokens[id] <= now) {
+          delete data.revokedTokens[id];
+        }
+      });
+      data.revokedTokens[tokenId] = expiresAt;
+    });
+  }
+
+  // Revoke the current access token and, when given, the refresh token
+  logout(accessUser, refreshToken) {
+    this.revokeTokenId(accessUser.tokenId, accessUser.tokenExpiresAt);
+
+    if (refreshToken) {
+      const { payload } = this.verifyToken(refreshToken, 'refresh');
+      if (payload.sub !== accessUser.id) {
+        throw authError('Refresh token does not belong to this user', 403);
+      }
+      this.revokeTokenId(payload.jti, payload.exp);
+    }
+
+    logger.info('Admin logout', { userId: accessUser.id });
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+const supabaseService = require('./supabaseService');
+const { fromMinorUnits } = require('../utils/currency');
+
+// Ledger statuses whose money counts towards a campaign. Disputed gifts keep
+// counting until the dispute is lost.
+const COUNTED_STATUSES = ['succeeded', 'partially_refunded', 'refunded', 'disputed'];
+
+// Running totals per project and per fundraiser page, built from verified
+// Stripe webhooks only. A gift made through a fundraiser counts towards both,
+// and sponsor matches (see matchingService) are totalled alongside gifts.
+// Each payment intent's contribution is stored so redelivered events and
+// later refunds adjust the totals by the difference instead of adding again.
+// Every change is a single synchronous read-modify-write on the store.
+// Totals of projects from Supabase are also written to their row's
+// amount_raised and supporters, which the website shows.
+class CampaignProgressService {
+  constructor() {
+    this.store = new JsonFileStore(config.progress.fileName, { projects: {}, fundraisers: {}, contributions: {} });
+    this.supabaseUpdates = new Map();
+  }
+
+  // Amount of a ledger record that counts towards its project, in minor units.
+  // Covered processing fees never count; refunds come off the gift.
+  countedAmount(donation) {
+    if (!COUNTED_STATUSES.includes(donation.status)) {
+      return 0;
+    }
+    const giftAmount = donation.giftAmount ?? donation.amount;
+    return Math.max(0, Math.min(giftAmount, donation.amount - (donation.amountRefunded || 0)));
+  }
+
+  // Supporters are counted by donor email, hashed so no PII is kept here
+  supporterKey(donation) {
+    const email = (donation.donor?.email || '').trim().toLowerCase();
+    return email
+      ? crypto.createHash('sha256').update(email).digest('hex')
+      : donation.id;
+  }
+
+  applyContribution(data, contribution, sign) {
+    this.applyToTotals(data.projects, contribution.projectId, contribution, sign);
+    if (contribution.fundraiserId) {
+      data.fundraisers = data.fundraisers || {};
+      this.applyToTotals(data.fundraisers, contribution.fundraiserId, contribution, sign);
+    }
+  }
+
+  applyToTotals(collection, key, contribution, sign) {
+    const totals = collection[key] ||
+      (collection[key] = { raised: {}, matched: {}, supporters: {}, updatedAt: null });
+    totals.matched = totals.matched || {};
+
+    totals.raised[contribution.currency] =
+      (totals.raised[contribution.currency] || 0) + sign * contribution.amount;
+    if (contribution.matched) {
+      totals.matched[contribution.currency] =
+        (totals.matched[contribution.currency] || 0) + sign * contribution.matched;
+    }
+
+    const count = (totals.supporters[contribution.supporterKey] || 0) + sign;
+    if (count > 0) {
+      totals.supporters[contribution.supporterKey] = count;
+    } else {
+      delete totals.supporters[contribution.supporterKey];
+    }
+    totals.updatedAt = new Date().toISOString();
+  }
+
+  // Bring a donation's contribution in line with its ledger record
+  recordDonation(donation) {
+    if (!donation || !donation.projectId) {
+      return null;
+    }
+
+    const next = {
+      projectId: donation.projectId,
+      fundraiserId: donation.fundraiserId || null,
+      currency: donation.currency,
+      amount: this.countedAmount(donation),
+      matched: donation.match ? donation.match.amount : 0,
+      supporterKey: this.supporterKey(donation),
+    };
+
+    const change = this.store.update((data) => {
+      const previous = data.contributions[donation.id];
+      if (previous && previous.amount === next.amount && previous.projectId === next.projectId &&
+          (previous.fundraiserId || null) === next.fundraiserId && (previous.matched || 0) === next.matched) {
+        return null;
+      }
+
+      if (previous) {
+        this.applyContribution(data, previous, -1);
+        delete data.contributions[donation.id];
+      }
+      if (next.amount > 0) {
+        this.applyContribution(data, next, 1);
+        data.contributions[donation.id] = { ...next, updatedAt: new Date().toISOString() };
+      }
+      return {
+        previousAmount: previous ? previous.amount : 0,
+        previousProjectId: previous ? previous.projectId : null,
+      };
+    });
+
+    if (change) {
+      logger.info('Campaign progress updated', {
+        projectId: donation.projectId,
+        fundraiserId: next.fundraiserId,
+        paymentIntentId: donation.id,
+        amount: next.amount,
+        matched: next.matched,
+        previousAmount: change.previousAmount,
+      });
+      [...new Set([change.previousProjectId, donation.projectId])]
+        .filter(Boolean)
+        .forEach((projectId) => this.queueSupabaseUpdate(projectId));
+    }
+
+    return change;
+  }
+
+  // Remember a Supabase project's amount_raised and supporters the first time
+  // it is loaded, with our totals at that moment. Later updates add our change
+  // since then, so gifts counted before this server took over are kept.
+  setSupabaseBaseline(projectId, { amount_raised: amountRaised, supporters }) {
+    return this.store.update((data) => {
+      data.supabase = data.supabase || {};
+      if (data.supabase[projectId]) {
+        return null;
+      }
+
+      const summary = this.summarize(data.projects[projectId]);
+      data.supabase[projectId] = {
+        amountRaised: Number(amountRaised) || 0,
+        supporters: Number(supporters) || 0,
+        total: summary.total,
+        supporterCount: summary.supporters,
+        createdAt: new Date().toISOString(),
+      };
+      return data.supabase[projectId];
+    });
+  }
+
+  // Values for a Supabase project row, or null for projects not in Supabase
+  getSupabaseProgress(projectId) {
+    const data = this.store.read();
+    const baseline = (data.supabase || {})[projectId];
+    if (!baseline) {
+      return null;
+    }
+
+    const summary = this.summarize(data.projects[projectId]);
+    return {
+      amount_raised: Math.round((baseline.amountRaised + summary.total - baseline.total) * 100) / 100,
+      supporters: Math.max(0, baseline.supporters + summary.supporters - baseline.supporterCount),
+    };
+  }
+
+  // Write a project's current values to Supabase, one update per project at a
+  // time; each reads the totals when it runs, so the last write is current
+  queueSupabaseUpdate(projectId) {
+    if (!supabaseService.isConfigured() || !this.getSupabaseProgress(projectId)) {
+      return Promise.resolve(null);
+    }
+
+    const previous = this.supabaseUpdates.get(projectId) || Promise.resolve();
+    const update = previous.then(async () => {
+      const progress = this.getSupabaseProgress(projectId);
+      try {
+        await supabaseService.updateProject(projectId, progress);
+        logger.info('Supabase project progress updated', { projectId, ...progress });
+        return progress;
+      } catch (error) {
+        logger.error('Error updating Supabase project progress', {
+          error: error.message,
+          projectId,
+        });
+        return null;
+      }
+    });
+
+    this.supabaseUpdates.set(projectId, update);
+    update.then(() => {
+      if (this.supabaseUpdates.get(projectId) === update) {
+        this.supabaseUpdates.delete(projectId);
+      }
+    });
+    return update;
+  }
+
+  // Progress for a catalog project. The goal is in the default currency, so
+  // the percentage only reflects gifts and matches made in that currency.
+  getProgress(project) {
+    const totals = this.store.read().projects[project.id];
+    return {
+      projectId: project.id,
+      ...this.summarize(totals, project.goal),
+    };
+  }
+
+  // Progress for a fundraiser page, measured against the owner's own goal
+  getFundraiserProgress(fundraiser) {
+    const totals = (this.store.read().fundraisers || {})[fundraiser.id];
+    return {
+      fundraiserId: fundraiser.id,
+      projectId: fundraiser.projectId,
+      ...this.summarize(totals, fundraiser.goal),
+    };
+  }
+
+  // Sponsor matches count towards the goal alongside donors' gifts
+  summarize(totals = { raised: {}, matched: {}, supporters: {}, updatedAt: null }, goal) {
+    const currency = config.stripe.currency;
+
+    const toMajorUnits = (amounts = {}) => Object.entries(amounts).reduce((result, [code, amount]) => {
+      if (amount > 0) {
+        result[code] = fromMinorUnits(amount, code);
+      }
+      return result;
+    }, {});
+    const raisedByCurrency = toMajorUnits(totals.raised);
+    const matchedByCurrency = toMajorUnits(totals.matched);
+
+    const raised = raisedByCurrency[currency] || 0;
+    const matched = matchedByCurrency[currency] || 0;
+    const total = fromMinorUnits((totals.raised[currency] || 0) + ((totals.matched || {})[currency] || 0), currency);
+    const percentage = goal
+      ? Math.round((total / goal) * 1000) / 10
+      : null;
+
+    return {
+      currency,
+      raised,
+      matched,
+      total,
+      goal,
+      supporters: Object.keys(totals.supporters).length,
+      percentage,
+      raisedByCurrency,
+      matchedByCurrency,
+      updatedAt: totals.updatedAt,
+    };
+  }
+}
+
+module.exports = new CampaignProgressService();
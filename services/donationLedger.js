@@ -0,0 +1,549 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { fromAddressMetadata } = require('../utils/donorAddress');
+const FileLedgerAdapter = require('./ledgerAdapters/fileLedgerAdapter');
+const MemoryLedgerAdapter = require('./ledgerAdapters/memoryLedgerAdapter');
+
+// Storage adapters must implement async get(id), put(record) and list().
+// Register additional adapters (e.g. a database) with registerAdapter().
+const adapterFactories = {
+  file: (options) => new FileLedgerAdapter(options),
+  memory: () => new MemoryLedgerAdapter(),
+};
+
+// How far along a donation is. Stripe doesn't guarantee event order and
+// webhook events can be replayed, so a status only replaces one of equal or
+// lower precedence: a late payment_intent.succeeded can't undo a refund or
+// a dispute. Refund failures and won disputes move back explicitly.
+const STATUS_PRECEDENCE = {
+  processing: 1,
+  failed: 1,
+  canceled: 1,
+  succeeded: 2,
+  partially_refunded: 3,
+  refunded: 4,
+  disputed: 5,
+  dispute_lost: 6,
+};
+
+// Refunds that have failed or been canceled stay that way
+const FINAL_REFUND_STATUSES = ['failed', 'canceled'];
+
+const toIsoTimestamp = (unixSeconds) => (
+  unixSeconds ? new Date(unixSeconds * 1000).toISOString() : new Date().toISOString()
+);
+
+class DonationLedger {
+  constructor() {
+    this.adapter = null;
+    // Payment intent id -> promise for the last queued update of that record
+    this.pending = new Map();
+  }
+
+  // Register a storage adapter factory under a name usable in config
+  registerAdapter(name, factory) {
+    adapterFactories[name] = factory;
+  }
+
+  // Swap the storage adapter (defaults to config.ledger.adapter on first use)
+  useAdapter(adapter) {
+    this.adapter = adapter;
+  }
+
+  getAdapter() {
+    if (!this.adapter) {
+      const factory = adapterFactories[config.ledger.adapter];
+      if (!factory) {
+        throw new Error(`Unknown ledger adapter: ${config.ledger.adapter}`);
+      }
+      this.adapter = factory({ fileName: config.ledger.fileName });
+    }
+    return this.adapter;
+  }
+
+  // Build a fresh ledger record from a Stripe payment intent.
+  // Amounts are stored in the currency's smallest unit, as Stripe reports them.
+  createRecord(paymentIntent) {
+    const metadata = paymentIntent.metadata || {};
+    const anonymous = metadata.anonymous === 'true';
+
+    // When the donor covered processing fees, `amount` includes the fee
+    const giftAmount = metadata.giftAmount
+      ? parseInt(metadata.giftAmount, 10)
+      : paymentIntent.amount;
+
+    return {
+      id: paymentIntent.id,
+      amount: paymentIntent.amount,
+      giftAmount,
+      coveredFeeAmount: metadata.feeAmount ? parseInt(metadata.feeAmount, 10) : 0,
+      currency: paymentIntent.currency || config.stripe.currency,
+      projectId: metadata.projectId || null,
+      fundraiserId: metadata.fundraiserId || null,
+      description: paymentIntent.description || null,
+      donor: {
+        name: anonymous ? 'Anonymous' : (metadata.donorName || null),
+        email: metadata.donorEmail || paymentIntent.receipt_email || null,
+        address: anonymous ? null : fromAddressMetadata(metadata),
+        locale: metadata.locale || null,
+      },
+      anonymous,
+      message: metadata.message || '',
+      tribute: metadata.tributeType ? {
+        type: metadata.tributeType,
+        honoreeName: metadata.honoreeName || '',
+        recipientName: metadata.tributeRecipientName || '',
+        recipientEmail: metadata.tributeRecipientEmail || '',
+        message: metadata.tributeMessage || '',
+        showAmount: metadata.tributeShowAmount === 'true',
+        notifiedAt: null,
+      } : null,
+      customerId: paymentIntent.customer || null,
+      chargeId: paymentIntent.latest_charge || null,
+      subscriptionId: metadata.subscriptionId || null,
+      invoiceId: paymentIntent.invoice || null,
+      dispute: null,
+      confirmationSentAt: null,
+      fundraiserNotifiedAt: null,
+      match: null,
+      status: null,
+      statusHistory: [],
+      amountRefunded: 0,
+      refunds: [],
+      receivedAt: null,
+      createdAt: toIsoTimestamp(paymentIntent.created),
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  // Read, change and save one record, one update per payment intent at a time.
+  // Webhooks for the same payment (e.g. payment_intent.succeeded and
+  // charge.refunded) can arrive together; run unqueued, the second write
+  // would drop the first one's changes. The mutator gets the stored record
+  // (or null) and returns the record to save, or null to save nothing.
+  updateRecord(paymentIntentId, mutator) {
+    const previous = this.pending.get(paymentIntentId) || Promise.resolve();
+    const run = previous.then(async () => {
+      const adapter = this.getAdapter();
+      const record = await mutator(await adapter.get(paymentIntentId));
+      if (record) {
+        await adapter.put(record);
+      }
+      return record;
+    });
+
+    const settled = run.catch(() => {});
+    this.pending.set(paymentIntentId, settled);
+    settled.then(() => {
+      if (this.pending.get(paymentIntentId) === settled) {
+        this.pending.delete(paymentIntentId);
+      }
+    });
+
+    return run;
+  }
+
+  // When the gift was made, from Stripe's own timestamp (the charge, or the
+  // payment intent when the charge isn't expanded). Receipts use this as the
+  // date received, so a late or replayed webhook can't change it.
+  markReceived(record, unixSeconds) {
+    if (!record.receivedAt && unixSeconds) {
+      record.receivedAt = toIsoTimestamp(unixSeconds);
+    }
+  }
+
+  // Append a status change. Redeliveries of the same status and details are
+  // ignored, and so are lower-precedence statuses unless `force` is set.
+  applyStatus(record, status, details = {}, { force = false } = {}) {
+    const last = record.statusHistory[record.statusHistory.length - 1];
+    const unchanged = last && last.status === status &&
+      Object.keys(details).every((key) => last[key] === details[key]);
+    if (record.status === status && unchanged) {
+      return false;
+    }
+    if (!force && record.status &&
+        (STATUS_PRECEDENCE[status] || 0) < (STATUS_PRECEDENCE[record.status] || 0)) {
+      logger.info('Donation ledger ignored out-of-order status', {
+        paymentIntentId: record.id,
+        status: record.status,
+        ignored: status,
+      });
+      return false;
+    }
+
+    record.status = status;
+    record.statusHistory.push({
+      status,
+      at: new Date().toISOString(),
+      ...details,
+    });
+    return true;
+  }
+
+  // Record a payment intent reaching a new status
+  async recordPaymentIntent(paymentIntent, status, details = {}) {
+    const record = await this.updateRecord(paymentIntent.id, (existing) => {
+      const next = existing || this.createRecord(paymentIntent);
+
+      // Keep the latest charge reference from Stripe
+      if (paymentIntent.latest_charge) {
+        next.chargeId = paymentIntent.latest_charge;
+      }
+
+      this.applyStatus(next, status, details);
+      if (status === 'succeeded') {
+        this.markReceived(next, paymentIntent.latest_charge?.created || paymentIntent.created);
+      }
+      next.updatedAt = new Date().toISOString();
+      return next;
+    });
+
+    logger.info('Donation ledger updated', {
+      paymentIntentId: record.id,
+      status: record.status,
+    });
+
+    return record;
+  }
+
+  // Add a refund to a record, or refresh its status if already known
+  upsertRefund(record, refund) {
+    const existingRefund = record.refunds.find((entry) => entry.id === refund.id);
+    if (existingRefund) {
+      if (!FINAL_REFUND_STATUSES.includes(existingRefund.status)) {
+        existingRefund.status = refund.status;
+      }
+      return existingRefund;
+    }
+
+    const entry = {
+      id: refund.id,
+      amount: refund.amount,
+      status: refund.status,
+      reason: refund.reason || null,
+      createdAt: toIsoTimestamp(refund.created),
+      notifiedAt: null,
+    };
+    record.refunds.push(entry);
+    return entry;
+  }
+
+  // Update the cumulative refunded amount and the matching status.
+  // A refund that later fails can bring the total back down (`force`);
+  // otherwise a lower total is a stale event and is ignored.
+  applyRefundTotals(record, amountRefunded, { force = false } = {}) {
+    const previouslyRefunded = record.amountRefunded;
+    if (!force && amountRefunded < previouslyRefunded) {
+      return;
+    }
+    record.amountRefunded = amountRefunded;
+
+    if (amountRefunded > 0) {
+      this.applyStatus(
+        record,
+        amountRefunded >= record.amount ? 'refunded' : 'partially_refunded',
+        { amountRefunded },
+        { force }
+      );
+    } else if (previouslyRefunded > 0) {
+      this.applyStatus(record, 'succeeded', { amountRefunded: 0 }, { force });
+    }
+    record.updatedAt = new Date().toISOString();
+  }
+
+  // Sum of refunds that have not failed or been canceled
+  sumActiveRefunds(record) {
+    return record.refunds
+      .filter((entry) => !FINAL_REFUND_STATUSES.includes(entry.status))
+      .reduce((total, entry) => total + entry.amount, 0);
+  }
+
+  // Record a refund we just created through the API, before Stripe's webhook arrives
+  async recordRefundCreated(paymentIntent, refund) {
+    const record = await this.updateRecord(paymentIntent.id, (existing) => {
+      const next = existing || this.createRecord(paymentIntent);
+      this.upsertRefund(next, refund);
+      this.applyRefundTotals(next, Math.max(next.amountRefunded, this.sumActiveRefunds(next)));
+      return next;
+    });
+
+    logger.info('Donation ledger refund recorded', {
+      paymentIntentId: record.id,
+      refundId: refund.id,
+      amountRefunded: record.amountRefunded,
+      status: record.status,
+    });
+
+    return record;
+  }
+
+  // Record refunds reported on a Stripe charge
+  async recordRefund(charge) {
+    const paymentIntentId = charge.payment_intent;
+    if (!paymentIntentId) {
+      logger.warn('Refund received for charge without payment intent', {
+        chargeId: charge.id,
+      });
+      return null;
+    }
+
+    const record = await this.updateRecord(paymentIntentId, (existing) => {
+      const next = existing || this.createRecord({
+        id: paymentIntentId,
+        amount: charge.amount,
+        currency: charge.currency,
+        metadata: charge.metadata,
+        receipt_email: charge.receipt_email,
+        created: charge.created,
+        latest_charge: charge.id,
+      });
+
+      (charge.refunds?.data || []).forEach((refund) => this.upsertRefund(next, refund));
+
+      // A refunded charge was paid when it was created
+      this.markReceived(next, charge.created);
+
+      // The charge's cumulative refunded amount is authoritative, unless it
+      // is lower than what we have (a replayed older event)
+      next.chargeId = next.chargeId || charge.id;
+      this.applyRefundTotals(next, charge.amount_refunded || 0);
+      return next;
+    });
+
+    logger.info('Donation ledger refund recorded', {
+      paymentIntentId,
+      amountRefunded: record.amountRefunded,
+      status: record.status,
+    });
+
+    return record;
+  }
+
+  // Record a refund status change (e.g. a refund that failed after being created)
+  async recordRefundUpdate(refund) {
+    if (!refund.payment_intent) {
+      return null;
+    }
+
+    const record = await this.updateRecord(refund.payment_intent, (existing) => {
+      if (!existing) {
+        return null;
+      }
+
+      const entry = this.upsertRefund(existing, refund);
+      entry.failureReason = refund.failure_reason || null;
+      // A failed refund lowers the total and can move the status back
+      this.applyRefundTotals(existing, this.sumActiveRefunds(existing), { force: true });
+      return existing;
+    });
+    if (!record) {
+      return null;
+    }
+
+    logger.info('Donation ledger refund updated', {
+      paymentIntentId: record.id,
+      refundId: refund.id,
+      refundStatus: refund.status,
+      amountRefunded: record.amountRefunded,
+    });
+
+    return record;
+  }
+
+  // Record a subscription invoice payment. Invoice payment intents carry no
+  // donation metadata, so donor and project come from the subscription.
+  async recordInvoicePayment(invoice, metadata, status, details = {}) {
+    const paymentIntentId = typeof invoice.payment_intent === 'string'
+      ? invoice.payment_intent
+      : invoice.payment_intent?.id;
+    if (!paymentIntentId) {
+      return null;
+    }
+
+    const fromInvoice = this.createRecord({
+      id: paymentIntentId,
+      amount: status === 'succeeded' ? invoice.amount_paid : invoice.amount_due,
+      currency: invoice.currency,
+      metadata: { ...metadata, subscriptionId: invoice.subscription },
+      customer: invoice.customer,
+      receipt_email: invoice.customer_email,
+      latest_charge: invoice.charge,
+      invoice: invoice.id,
+      created: invoice.created,
+    });
+
+    const record = await this.updateRecord(paymentIntentId, (existing) => {
+      const next = existing || fromInvoice;
+      if (existing && !existing.projectId) {
+        // The payment_intent.succeeded webhook got here first without metadata
+        ['projectId', 'fundraiserId', 'donor', 'anonymous', 'message', 'tribute'].forEach((field) => {
+          next[field] = fromInvoice[field];
+        });
+      }
+      next.subscriptionId = invoice.subscription || next.subscriptionId || null;
+      next.invoiceId = invoice.id;
+      next.chargeId = next.chargeId || invoice.charge || null;
+
+      this.applyStatus(next, status, details);
+      if (status === 'succeeded') {
+        this.markReceived(next, invoice.status_transitions?.paid_at || invoice.created);
+      }
+      next.updatedAt = new Date().toISOString();
+      return next;
+    });
+
+    logger.info('Donation ledger updated from invoice', {
+      paymentIntentId,
+      invoiceId: invoice.id,
+      subscriptionId: record.subscriptionId,
+      status: record.status,
+    });
+
+    return record;
+  }
+
+  // Record a dispute opening or closing on a donation's charge
+  async recordDispute(paymentIntentId, dispute) {
+    const record = await this.updateRecord(paymentIntentId, (existing) => {
+      if (!existing) {
+        return null;
+      }
+
+      const closed = ['won', 'lost', 'warning_closed'].includes(dispute.status);
+      existing.dispute = {
+        id: dispute.id,
+        status: dispute.status,
+        reason: dispute.reason || null,
+        amount: dispute.amount,
+        currency: dispute.currency,
+        evidenceDueBy: toIsoTimestamp(dispute.evidence_details?.due_by),
+        createdAt: existing.dispute?.createdAt || toIsoTimestamp(dispute.created),
+        closedAt: closed ? (existing.dispute?.closedAt || new Date().toISOString()) : null,
+      };
+
+      if (!closed) {
+        this.applyStatus(existing, 'disputed', { disputeId: dispute.id, reason: dispute.reason || null });
+      } else if (dispute.status === 'lost') {
+        this.applyStatus(existing, 'dispute_lost', { disputeId: dispute.id });
+      } else if (existing.status === 'disputed') {
+        // Won (or an inquiry closed): go back to the status held before the dispute
+        const previous = [...existing.statusHistory]
+          .reverse()
+          .find((entry) => !['disputed', 'dispute_lost'].includes(entry.status));
+        this.applyStatus(existing, previous ? previous.status : 'succeeded', {
+          disputeId: dispute.id,
+          outcome: dispute.status,
+        }, { force: true });
+      }
+      existing.updatedAt = new Date().toISOString();
+      return existing;
+    });
+    if (!record) {
+      return null;
+    }
+
+    logger.info('Donation ledger dispute recorded', {
+      paymentIntentId,
+      disputeId: dispute.id,
+      disputeStatus: dispute.status,
+      status: record.status,
+    });
+
+    return record;
+  }
+
+  // Remember that the donor confirmation for a payment went out
+  async markConfirmationSent(paymentIntentId) {
+    return this.updateRecord(paymentIntentId, (record) => {
+      if (!record) {
+        return null;
+      }
+
+      record.confirmationSentAt = new Date().toISOString();
+      record.updatedAt = record.confirmationSentAt;
+      return record;
+    });
+  }
+
+  // Store a donation's sponsor match summary (see matchingService.recordDonation)
+  async recordMatch(paymentIntentId, match) {
+    let unchanged = null;
+    const record = await this.updateRecord(paymentIntentId, (existing) => {
+      if (!existing) {
+        return null;
+      }
+      if (JSON.stringify(existing.match || null) === JSON.stringify(match || null)) {
+        unchanged = existing;
+        return null;
+      }
+
+      existing.match = match || null;
+      existing.updatedAt = new Date().toISOString();
+      return existing;
+    });
+    return record || unchanged;
+  }
+
+  // Remember that the fundraiser owner was told about this gift
+  async markFundraiserNotified(paymentIntentId) {
+    return this.updateRecord(paymentIntentId, (record) => {
+      if (!record) {
+        return null;
+      }
+
+      record.fundraiserNotifiedAt = new Date().toISOString();
+      record.updatedAt = record.fundraiserNotifiedAt;
+      return record;
+    });
+  }
+
+  // Remember that a refund's notifications went out
+  async markRefundNotified(paymentIntentId, refundId) {
+    return this.updateRecord(paymentIntentId, (record) => {
+      const refund = record?.refunds.find((entry) => entry.id === refundId);
+      if (!refund) {
+        return null;
+      }
+
+      refund.notifiedAt = new Date().toISOString();
+      record.updatedAt = refund.notifiedAt;
+      return record;
+    });
+  }
+
+  // Remember that the tribute e-card went out so redelivered webhooks don't resend it
+  async markTributeNotified(paymentIntentId) {
+    return this.updateRecord(paymentIntentId, (record) => {
+      if (!record || !record.tribute) {
+        return null;
+      }
+
+      record.tribute.notifiedAt = new Date().toISOString();
+      record.updatedAt = record.tribute.notifiedAt;
+      return record;
+    });
+  }
+
+  // Fetch a single donation record
+  async getDonation(paymentIntentId) {
+    return this.getAdapter().get(paymentIntentId);
+  }
+
+  // List donation records, newest first, optionally filtered
+  async listDonations({ status, projectId, donorEmail, from, to } = {}) {
+    const records = await this.getAdapter().list();
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    const email = donorEmail ? donorEmail.toLowerCase() : null;
+
+    return records
+      .filter((record) => !status || record.status === status)
+      .filter((record) => !projectId || record.projectId === projectId)
+      .filter((record) => !email || (record.donor.email || '').toLowerCase() === email)
+      .filter((record) => fromTime === null || new Date(record.createdAt).getTime() >= fromTime)
+      .filter((record) => toTime === null || new Date(record.createdAt).getTime() <= toTime)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+}
+
+module.exports = new DonationLedger();
@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+const resendEmailService = require('./resendEmailService');
+const emailTransport = require('./emailTransport');
+
+// Emails that can be queued, by job type. Job data is stored as JSON, so
+// emails with attachments (year-end receipts) are sent directly instead.
+const EMAIL_TYPES = {
+  'contact-notification': 'sendContactNotification',
+  'donation-notification': 'sendDonationNotification',
+  'donation-confirmation': 'sendDonationConfirmation',
+  'expression-notification': 'sendExpressionNotification',
+  'volunteer-notification': 'sendVolunteerNotification',
+  'enrollment-notification': 'sendEnrollmentNotification',
+  'newsletter-notification': 'sendNewsletterNotification',
+  'submission-received': 'sendSubmissionReceived',
+};
+
+// Queued jobs are pending (waiting for their next attempt) or sending; jobs
+// that run out of attempts move to the dead-letter list with status dead
+const JOB_STATUSES = ['pending', 'sending', 'dead'];
+
+const queueError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Persistent outbound email queue. Routes enqueue emails and return straight
+// away; the worker sends them, retrying failures with exponential backoff,
+// and keeps emails that never went out in a dead-letter list for admins to
+// retry or purge. Delivery is at least once: an email being sent when the
+// server stopped is sent again on startup.
+class EmailQueueService {
+  constructor() {
+    this.store = new JsonFileStore(config.emailQueue.fileName, { jobs: [], deadLetters: [] });
+    this.timer = null;
+    this.processing = false;
+    this.rerun = false;
+  }
+
+  // Delay before the next attempt: base, 2x base, 4x base... up to the maximum
+  backoffMs(attempts) {
+    const { baseDelayMs, maxDelayMs } = config.emailQueue;
+    return Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+  }
+
+  toSummary(job) {
+    const { data, ...summary } = job;
+    return summary;
+  }
+
+  // Add an email to the queue and start sending it
+  enqueue(type, data) {
+    if (!EMAIL_TYPES[type]) {
+      throw queueError(`Unknown email type: ${type}`, 400);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      data,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: config.emailQueue.maxAttempts,
+      createdAt: now,
+      nextAttemptAt: now,
+      lastAttemptAt: null,
+      lastError: null,
+    };
+
+    this.store.update((queue) => {
+      queue.jobs.push(job);
+    });
+
+    logger.info('Email queued', { jobId: job.id, type });
+    setImmediate(() => this.processDue());
+
+    return this.toSummary(job);
+  }
+
+  // Take the next job that is due and mark it as sending
+  claimNext() {
+    const now = new Date();
+    return this.store.update((queue) => {
+      const job = queue.jobs
+        .filter((entry) => entry.status === 'pending' && new Date(entry.nextAttemptAt) <= now)
+        .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt))[0];
+      if (!job) {
+        return null;
+      }
+      job.status = 'sending';
+      job.attempts += 1;
+      job.lastAttemptAt = now.toISOString();
+      return { ...job };
+    });
+  }
+
+  async deliver(job) {
+    try {
+      const result = await resendEmailService[EMAIL_TYPES[job.type]](job.data);
+      // Falling back to the outbox only wrote the email to disk. Outside
+      // development keep it queued so it is retried and, failing that,
+      // ends up in the dead-letter list.
+      const [primary] = emailTransport.describe();
+      if (result && result.transport === 'outbox' && primary !== 'outbox' && config.nodeEnv !== 'development') {
+        throw new Error(`Email only reached the outbox after ${primary} failed`);
+      }
+      this.store.update((queue) => {
+        queue.jobs = queue.jobs.filter((entry) => entry.id !== job.id);
+      });
+      logger.info('Queued email sent', {
+        jobId: job.id,
+        type: job.type,
+        attempts: job.attempts,
+        transport: result && result.transport,
+      });
+    } catch (error) {
+      this.recordFailure(job, error);
+    }
+  }
+
+  recordFailure(job, error) {
+    const now = new Date();
+    const dead = this.store.update((queue) => {
+      const entry = queue.jobs.find((candidate) => candidate.id === job.id);
+      if (!entry) {
+        return false;
+      }
+      entry.lastError = error.message;
+
+      if (entry.attempts >= entry.maxAttempts) {
+        queue.jobs = queue.jobs.filter((candidate) => candidate.id !== job.id);
+        queue.deadLetters.unshift({ ...entry, status: 'dead', deadAt: now.toISOString() });
+        return true;
+      }
+
+      entry.status = 'pending';
+      entry.nextAttemptAt = new Date(now.getTime() + this.backoffMs(entry.attempts)).toISOString();
+      return false;
+    });
+
+    if (dead) {
+      logger.error('Email moved to dead-letter list', {
+        jobId: job.id,
+        type: job.type,
+        attempts: job.attempts,
+        error: error.message,
+      });
+    } else {
+      logger.warn('Email send failed, will retry', {
+        jobId: job.id,
+        type: job.type,
+        attempts: job.attempts,
+        error: error.message,
+      });
+    }
+  }
+
+  // Send every job that is due, one at a time
+  async processDue() {
+    if (this.processing) {
+      this.rerun = true;
+      return;
+    }
+
+    this.processing = true;
+    try {
+      let job = this.claimNext();
+      while (job) {
+        await this.deliver(job);
+        job = this.claimNext();
+      }
+    } catch (error) {
+      logger.error('Email queue processing failed', {
+        error: error.message,
+      });
+    } finally {
+      this.processing = false;
+    }
+
+    // Jobs enqueued while the last one was sending
+    if (this.rerun) {
+      this.rerun = false;
+      await this.processDue();
+    }
+  }
+
+  // Start the worker. Jobs left sending by a stopped server are sent again.
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const recovered = this.store.update((queue) => {
+      const stuck = queue.jobs.filter((job) => job.status === 'sending');
+      stuck.forEach((job) => {
+        job.status = 'pending';
+        job.nextAttemptAt = new Date().toISOString();
+      });
+      return stuck.length;
+    });
+    if (recovered > 0) {
+      logger.warn('Requeued emails interrupted by a restart', { count: recovered });
+    }
+
+    this.timer = setInterval(() => this.processDue(), config.emailQueue.pollIntervalMs);
+    this.timer.unref();
+    this.processDue();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Queued jobs and dead letters (without email data), oldest queued first
+  // and newest dead letter first
+  listJobs({ status, type, limit = 100 } = {}) {
+    const { jobs, deadLetters } = this.store.read();
+    return [...jobs, ...deadLetters]
+      .filter((job) => !status || job.status === status)
+      .filter((job) => !type || job.type === type)
+      .slice(0, limit)
+      .map((job) => this.toSummary(job));
+  }
+
+  countJobs() {
+    const counts = {};
+    JOB_STATUSES.forEach((status) => {
+      counts[status] = 0;
+    });
+    const { jobs, deadLetters } = this.store.read();
+    [...jobs, ...deadLetters].forEach((job) => {
+      counts[job.status] += 1;
+    });
+    return counts;
+  }
+
+  // Full job including the email data
+  getJob(id) {
+    const { jobs, deadLetters } = this.store.read();
+    return jobs.find((job) => job.id === id) || deadLetters.find((job) => job.id === id) || null;
+  }
+
+  // Send a dead or waiting email now, with a fresh set of attempts
+  retryJob(id) {
+    const now = new Date().toISOString();
+    const job = this.store.update((queue) => {
+      const deadIndex = queue.deadLetters.findIndex((entry) => entry.id === id);
+      if (deadIndex !== -1) {
+        const [entry] = queue.deadLetters.splice(deadIndex, 1);
+        delete entry.deadAt;
+        queue.jobs.push(entry);
+      }
+
+      const entry = queue.jobs.find((candidate) => candidate.id === id);
+      if (!entry) {
+        throw queueError('Email job not found', 404);
+      }
+      if (entry.status === 'sending') {
+        throw queueError('Email is being sent', 409);
+      }
+
+      Object.assign(entry, {
+        status: 'pending',
+        attempts: 0,
+        maxAttempts: config.emailQueue.maxAttempts,
+        nextAttemptAt: now,
+      });
+      return { ...entry };
+    });
+
+    logger.info('Email retry requested', { jobId: id, type: job.type });
+    setImmediate(() => this.processDue());
+
+    return this.toSummary(job);
+  }
+
+  // Requeue every dead letter; returns how many were requeued
+  retryDeadLetters() {
+    const ids = this.store.read().deadLetters.map((job) => job.id);
+    ids.forEach((id) => this.retryJob(id));
+    return ids.length;
+  }
+
+  // Remove one dead letter
+  purgeJob(id) {
+    this.store.update((queue) => {
+      const index = queue.deadLetters.findIndex((entry) => entry.id === id);
+      if (index === -1) {
+        if (queue.jobs.some((entry) => entry.id === id)) {
+          throw queueError('Only dead-letter emails can be purged', 409);
+        }
+        throw queueError('Email job not found', 404);
+      }
+      queue.deadLetters.splice(index, 1);
+    });
+    logger.info('Dead-letter email purged', { jobId: id });
+  }
+
+  // Remove all dead letters (or those that died before a date); returns how many
+  purgeDeadLetters({ before } = {}) {
+    const purged = this.store.update((queue) => {
+      const cutoff = before ? new Date(before) : null;
+      const kept = queue.deadLetters.filter((job) => cutoff && new Date(job.deadAt) >= cutoff);
+      const count = queue.deadLetters.length - kept.length;
+      queue.deadLetters = kept;
+      return count;
+    });
+    logger.info('Dead-letter emails purged', { count: purged });
+    return purged;
+  }
+}
+
+module.exports = new EmailQueueService();
@@ -0,0 +1,83 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const ResendTransport = require('./emailTransports/resendTransport');
+const SmtpTransport = require('./emailTransports/smtpTransport');
+const OutboxTransport = require('./emailTransports/outboxTransport');
+
+// Transports must have a name and implement async send(message), where message
+// is { from, to, subject, html, text, attachments: [{ filename, content }] },
+// returning { id }. Register additional transports with registerTransport().
+const transportFactories = {
+  resend: () => new ResendTransport({ apiKey: config.resend.apiKey }),
+  smtp: () => new SmtpTransport(config.email.smtp),
+  outbox: () => new OutboxTransport({ directory: config.email.outboxDir }),
+};
+
+class EmailTransport {
+  constructor() {
+    this.transports = null;
+  }
+
+  // Register a transport factory under a name usable in config
+  registerTransport(name, factory) {
+    transportFactories[name] = factory;
+  }
+
+  // Swap the transports in the order they are tried (defaults to
+  // config.email.transport then config.email.fallbackTransport)
+  useTransports(...transports) {
+    this.transports = transports.filter(Boolean);
+  }
+
+  createTransport(name) {
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown email transport: ${name}`);
+    }
+    return factory();
+  }
+
+  getTransports() {
+    if (!this.transports) {
+      const names = [config.email.transport, config.email.fallbackTransport]
+        .filter((name, index, list) => name && list.indexOf(name) === index);
+      this.transports = names.map((name) => this.createTransport(name));
+    }
+    return this.transports;
+  }
+
+  // Names of the configured transports, primary first
+  describe() {
+    return this.getTransports().map((transport) => transport.name);
+  }
+
+  // Send with the primary transport, falling back to the next one when it
+  // fails. Returns { data: { id, transport }, error } like the Resend client,
+  // with error set only when every transport failed.
+  async send(message) {
+    let lastError = null;
+
+    for (const transport of this.getTransports()) {
+      try {
+        const { id } = await transport.send(message);
+        if (lastError) {
+          logger.info('Email sent with fallback transport', { transport: transport.name });
+        }
+        return { data: { id, transport: transport.name }, error: null };
+      } catch (error) {
+        logger.warn('Email transport failed', {
+          transport: transport.name,
+          error: error.message,
+        });
+        lastError = error;
+      }
+    }
+
+    return {
+      data: null,
+      error: { message: lastError ? lastError.message : 'No email transport configured' },
+    };
+  }
+}
+
+module.exports = new EmailTransport();
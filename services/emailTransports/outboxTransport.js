@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const config = require('../../config/config');
+
+// Writes each email to an outbox directory instead of sending it: a .eml file
+// that opens in any mail client and a .json file with the same message for
+// scripts and tests. Intended for local development.
+class OutboxTransport {
+  constructor({ directory = 'outbox' } = {}) {
+    this.name = 'outbox';
+    this.directory = path.isAbsolute(directory)
+      ? directory
+      : path.resolve(config.storage.dataPath, directory);
+  }
+
+  buildEml(message) {
+    return new Promise((resolve, reject) => {
+      new MailComposer(message).compile().build((error, eml) => (error ? reject(error) : resolve(eml)));
+    });
+  }
+
+  async send(message) {
+    const id = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+    // Timestamp first so the directory lists in sending order
+    const baseName = `${createdAt.replace(/[:.]/g, '-')}-${id}`;
+    const eml = await this.buildEml(message);
+
+    const { attachments = [], ...fields } = message;
+    const record = {
+      id,
+      createdAt,
+      ...fields,
+      attachments: attachments.map((attachment) => ({
+        filename: attachment.filename,
+        size: Buffer.byteLength(attachment.content || ''),
+      })),
+    };
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(path.join(this.directory, `${baseName}.eml`), eml);
+    await fs.promises.writeFile(path.join(this.directory, `${baseName}.json`), JSON.stringify(record, null, 2));
+
+    return { id };
+  }
+}
+
+module.exports = OutboxTransport;
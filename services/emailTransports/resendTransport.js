@@ -0,0 +1,31 @@
+const { Resend } = require('resend');
+
+// Sends through the Resend API. The client is created on first send so the
+// app starts without a Resend key when another transport is used.
+class ResendTransport {
+  constructor({ apiKey } = {}) {
+    this.name = 'resend';
+    this.apiKey = apiKey;
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      if (!this.apiKey) {
+        throw new Error('RESEND_API_KEY is not configured');
+      }
+      this.client = new Resend(this.apiKey);
+    }
+    return this.client;
+  }
+
+  async send(message) {
+    const { data, error } = await this.getClient().emails.send(message);
+    if (error) {
+      throw new Error(error.message || 'Unknown Resend error');
+    }
+    return { id: data.id };
+  }
+}
+
+module.exports = ResendTransport;
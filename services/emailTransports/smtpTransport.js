@@ -0,0 +1,46 @@
+const nodemailer = require('nodemailer');
+
+// Sends through any SMTP server with nodemailer. SMTP servers usually only
+// accept their own sender address, so EMAIL_FROM replaces the address part
+// of the message's from header (the display name is kept).
+class SmtpTransport {
+  constructor({ host, port, secure, user, pass, from } = {}) {
+    this.name = 'smtp';
+    this.from = from;
+    this.options = {
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    };
+    this.transporter = null;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      if (!this.options.host) {
+        throw new Error('EMAIL_HOST is not configured');
+      }
+      this.transporter = nodemailer.createTransport(this.options);
+    }
+    return this.transporter;
+  }
+
+  senderFor(from) {
+    if (!this.from) {
+      return from;
+    }
+    const displayName = /^(.*?)\s*<[^>]*>$/.exec(from || '');
+    return displayName && displayName[1] ? `${displayName[1]} <${this.from}>` : this.from;
+  }
+
+  async send(message) {
+    const info = await this.getTransporter().sendMail({
+      ...message,
+      from: this.senderFor(message.from),
+    });
+    return { id: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
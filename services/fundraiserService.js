@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+const projectService = require('./projectService');
+
+const FUNDRAISER_STATUSES = ['active', 'closed'];
+const SLUG_REGEX = /^[a-z0-9](?:[a-z0-9-]{1,62}[a-z0-9])$/;
+
+const fundraiserError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Turn a page title into a URL slug, e.g. "Sam's 40th Birthday!" -> "sams-40th-birthday"
+const slugify = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/['’]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 64)
+  .replace(/-+$/, '');
+
+// Personal fundraiser pages run by community members on behalf of a catalog
+// project. Gifts made through a page count towards both the page and its project.
+class FundraiserService {
+  constructor() {
+    this.store = new JsonFileStore(config.fundraisers.fileName, { fundraisers: [] });
+  }
+
+  // Owner contact details stay private; pages only show the owner's name
+  toPublicFundraiser(fundraiser) {
+    const project = projectService.getProject(fundraiser.projectId);
+    return {
+      id: fundraiser.id,
+      slug: fundraiser.slug,
+      title: fundraiser.title,
+      story: fundraiser.story,
+      goal: fundraiser.goal,
+      ownerName: fundraiser.ownerName,
+      projectId: fundraiser.projectId,
+      projectTitle: project ? project.title : null,
+      status: fundraiser.status,
+      endsAt: fundraiser.endsAt,
+      createdAt: fundraiser.createdAt,
+    };
+  }
+
+  isSlugValid(slug) {
+    return typeof slug === 'string' && SLUG_REGEX.test(slug);
+  }
+
+  // Look up a fundraiser by id or slug (slugs are case-insensitive)
+  getFundraiser(idOrSlug) {
+    if (!idOrSlug || typeof idOrSlug !== 'string') {
+      return null;
+    }
+
+    const key = idOrSlug.trim().toLowerCase();
+    return this.store.read().fundraisers.find(
+      (fundraiser) => fundraiser.id === key || fundraiser.slug === key
+    ) || null;
+  }
+
+  // List fundraisers, newest first, optionally filtered by project or status
+  listFundraisers({ projectId, status } = {}) {
+    const project = projectId ? projectService.getProject(projectId) : null;
+    if (projectId && !project) {
+      return [];
+    }
+
+    return this.store.read().fundraisers
+      .filter((fundraiser) => !project || fundraiser.projectId === project.id)
+      .filter((fundraiser) => !status || fundraiser.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Pages close on request or once their end date has passed
+  isAcceptingDonations(fundraiser) {
+    if (fundraiser.status !== 'active') {
+      return false;
+    }
+    return !fundraiser.endsAt || new Date(fundraiser.endsAt) > new Date();
+  }
+
+  createFundraiser({ title, slug, story, goal, ownerName, ownerEmail, projectId, endsAt }) {
+    const project = projectService.getProject(projectId);
+    if (!project) {
+      throw fundraiserError('Unknown project', 404);
+    }
+    if (project.status !== 'open') {
+      throw fundraiserError(`Project "${project.title}" is not accepting donations`, 400);
+    }
+
+    const finalSlug = slug ? slug.trim().toLowerCase() : slugify(title);
+    if (!this.isSlugValid(finalSlug)) {
+      throw fundraiserError('Slug must be 3-64 lowercase letters, numbers or hyphens', 400);
+    }
+
+    const fundraiser = this.store.update((data) => {
+      if (data.fundraisers.some((existing) => existing.slug === finalSlug)) {
+        return null;
+      }
+      const now = new Date().toISOString();
+      const created = {
+        id: crypto.randomUUID(),
+        slug: finalSlug,
+        title,
+        story: story || '',
+        goal: Number(goal),
+        ownerName,
+        ownerEmail: ownerEmail.trim().toLowerCase(),
+        projectId: project.id,
+        status: 'active',
+        endsAt: endsAt ? new Date(endsAt).toISOString() : null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      data.fundraisers.push(created);
+      return created;
+    });
+
+    if (!fundraiser) {
+      throw fundraiserError('A fundraiser with this slug already exists', 409);
+    }
+
+    logger.info('Fundraiser created', {
+      fundraiserId: fundraiser.id,
+      slug: fundraiser.slug,
+      projectId: fundraiser.projectId,
+    });
+
+    return fundraiser;
+  }
+
+  // Admin edits: title, story, goal, end date and open/closed status
+  updateFundraiser(id, changes) {
+    const allowed = ['title', 'story', 'goal', 'endsAt', 'status'];
+    if (changes.status !== undefined && !FUNDRAISER_STATUSES.includes(changes.status)) {
+      throw fundraiserError(`Status must be one of: ${FUNDRAISER_STATUSES.join(', ')}`, 400);
+    }
+
+    const fundraiser = this.store.update((data) => {
+      const existing = data.fundraisers.find((item) => item.id === id);
+      if (!existing) {
+        return null;
+      }
+      allowed.forEach((field) => {
+        if (changes[field] === undefined) {
+          return;
+        }
+        if (field === 'goal') {
+          existing.goal = Number(changes.goal);
+        } else if (field === 'endsAt') {
+          existing.endsAt = changes.endsAt ? new Date(changes.endsAt).toISOString() : null;
+        } else {
+          existing[field] = changes[field];
+        }
+      });
+      existing.updatedAt = new Date().toISOString();
+      return existing;
+    });
+
+    if (!fundraiser) {
+      throw fundraiserError('Fundraiser not found', 404);
+    }
+
+    logger.info('Fundraiser updated', {
+      fundraiserId: fundraiser.id,
+      fields: Object.keys(changes).filter((field) => allowed.includes(field)),
+    });
+
+    return fundraiser;
+  }
+
+  // Check that a donation may be made through a fundraiser page for a project
+  validateDonation(fundraiser, project) {
+    const errors = [];
+
+    if (!fundraiser) {
+      errors.push('Unknown fundraiser');
+    } else {
+      if (!this.isAcceptingDonations(fundraiser)) {
+        errors.push(`Fundraiser "${fundraiser.title}" is not accepting donations`);
+      }
+      if (project && fundraiser.projectId !== project.id) {
+        errors.push('Fundraiser does not belong to this project');
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+}
+
+module.exports = new FundraiserService();
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+class IdempotencyService {
+  constructor() {
+    this.store = new JsonFileStore('idempotency-keys.json', {});
+  }
+
+  // Hash the request payload so key reuse with a different body can be detected
+  fingerprint(payload) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(payload || {}))
+      .digest('hex');
+  }
+
+  // Drop entries past their TTL and abandoned in-progress locks
+  prune(entries, now) {
+    Object.keys(entries).forEach((storeKey) => {
+      const entry = entries[storeKey];
+      const lockExpired = entry.status === 'in_progress' &&
+        now - entry.createdAt > config.idempotency.lockTimeoutMs;
+      if (entry.expiresAt <= now || lockExpired) {
+        delete entries[storeKey];
+      }
+    });
+  }
+
+  // Claim a key for a request. Returns one of:
+  //   { status: 'new' }                       - caller should process the request
+  //   { status: 'replay', response }          - return the cached response
+  //   { status: 'conflict' }                  - key reused with a different payload
+  //   { status: 'in_progress' }               - an identical request is still running
+  begin(scope, key, payload) {
+    const storeKey = `${scope}:${key}`;
+    const fingerprint = this.fingerprint(payload);
+    const now = Date.now();
+
+    return this.store.update((entries) => {
+      this.prune(entries, now);
+
+      const existing = entries[storeKey];
+      if (existing) {
+        if (existing.fingerprint !== fingerprint) {
+          return { status: 'conflict' };
+        }
+        if (existing.status === 'in_progress') {
+          return { status: 'in_progress' };
+        }
+        return { status: 'replay', response: existing.response };
+      }
+
+      entries[storeKey] = {
+        fingerprint,
+        status: 'in_progress',
+        createdAt: now,
+        expiresAt: now + config.idempotency.ttlMs,
+      };
+      return { status: 'new' };
+    });
+  }
+
+  // Cache the final response for a claimed key
+  complete(scope, key, statusCode, body) {
+    const storeKey = `${scope}:${key}`;
+
+    this.store.update((entries) => {
+      if (!entries[storeKey]) {
+        return;
+      }
+      entries[storeKey].status = 'completed';
+      entries[storeKey].response = { statusCode, body };
+      entries[storeKey].completedAt = Date.now();
+    });
+
+    logger.info('Idempotent response stored', { scope, key, statusCode });
+  }
+
+  // Release a claimed key so the request can be retried (e.g. after a server error)
+  release(scope, key) {
+    const storeKey = `${scope}:${key}`;
+
+    this.store.update((entries) => {
+      delete entries[storeKey];
+    });
+  }
+}
+
+module.exports = new IdempotencyService();
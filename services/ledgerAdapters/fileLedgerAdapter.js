@@ -0,0 +1,26 @@
+const JsonFileStore = require('../../utils/jsonFileStore');
+
+// Stores ledger records in a JSON file keyed by payment intent id.
+// Intended for local development and single-instance deployments.
+class FileLedgerAdapter {
+  constructor({ fileName = 'donations.json' } = {}) {
+    this.store = new JsonFileStore(fileName, {});
+  }
+
+  async get(id) {
+    return this.store.read()[id] || null;
+  }
+
+  async put(record) {
+    this.store.update((records) => {
+      records[record.id] = record;
+    });
+    return record;
+  }
+
+  async list() {
+    return Object.values(this.store.read());
+  }
+}
+
+module.exports = FileLedgerAdapter;
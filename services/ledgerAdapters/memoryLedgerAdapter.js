@@ -0,0 +1,22 @@
+// Keeps ledger records in process memory. Useful for tests and throwaway
+// environments; everything is lost on restart.
+class MemoryLedgerAdapter {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(id) {
+    return this.records.get(id) || null;
+  }
+
+  async put(record) {
+    this.records.set(record.id, record);
+    return record;
+  }
+
+  async list() {
+    return Array.from(this.records.values());
+  }
+}
+
+module.exports = MemoryLedgerAdapter;
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Email wording lives in one catalog per locale in templates/emails/locales:
+//   { "name": "Français", "intlLocale": "fr-CA", "fallback": "en", "messages": { ... } }
+// A key missing from a catalog is looked up in its fallback, then in the
+// default locale. The Cree and Ojibwe catalogs only hold the greeting; they
+// add it to English emails and are not full translations.
+const CATALOG_DIR = 'locales';
+
+class LocaleService {
+  constructor() {
+    this.catalogs = null;
+  }
+
+  get catalogPath() {
+    return path.resolve(__dirname, '..', config.email.templatesPath, CATALOG_DIR);
+  }
+
+  getCatalogs() {
+    if (!this.catalogs || !config.email.cacheTemplates) {
+      const dir = this.catalogPath;
+      const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter((file) => file.endsWith('.json')) : [];
+      this.catalogs = Object.fromEntries(files.map((file) => [
+        file.slice(0, -'.json'.length),
+        JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8')),
+      ]));
+    }
+    return this.catalogs;
+  }
+
+  // Locale codes with a catalog
+  listLocales() {
+    return Object.keys(this.getCatalogs()).sort();
+  }
+
+  // Supported locale for a requested one: "fr-CA" and "FR" become "fr";
+  // unknown or missing locales get the default
+  resolve(locale) {
+    if (typeof locale !== 'string' || !locale.trim()) {
+      return config.email.defaultLocale;
+    }
+    const catalogs = this.getCatalogs();
+    const requested = locale.trim().toLowerCase().replace('_', '-');
+    const [language] = requested.split('-');
+    return [requested, language].find((code) => catalogs[code]) || config.email.defaultLocale;
+  }
+
+  // Locales to look a key up in, most specific first
+  fallbackChain(locale) {
+    const catalogs = this.getCatalogs();
+    const chain = [];
+    let code = this.resolve(locale);
+    while (code && catalogs[code] && !chain.includes(code)) {
+      chain.push(code);
+      code = catalogs[code].fallback;
+    }
+    if (!chain.includes(config.email.defaultLocale)) {
+      chain.push(config.email.defaultLocale);
+    }
+    return chain;
+  }
+
+  // Language name for display, in that language (the code itself when
+  // there is no catalog for it)
+  getName(locale) {
+    const catalogs = this.getCatalogs();
+    const requested = typeof locale === 'string' ? locale.trim().toLowerCase().replace('_', '-') : '';
+    const catalog = catalogs[requested] || catalogs[requested.split('-')[0]];
+    return catalog ? catalog.name : locale;
+  }
+
+  // Locale used for Intl date and number formatting
+  getIntlLocale(locale) {
+    const catalogs = this.getCatalogs();
+    const code = this.fallbackChain(locale).find((entry) => catalogs[entry] && catalogs[entry].intlLocale);
+    return code ? catalogs[code].intlLocale : 'en-CA';
+  }
+
+  lookup(locale, key) {
+    const catalogs = this.getCatalogs();
+    for (const code of this.fallbackChain(locale)) {
+      const messages = (catalogs[code] && catalogs[code].messages) || {};
+      if (Object.prototype.hasOwnProperty.call(messages, key)) {
+        return messages[key];
+      }
+    }
+    return undefined;
+  }
+
+  // Message for a key with {placeholders} filled in. With a count, the
+  // plural form for the locale is used (key.one, key.other...).
+  translate(locale, key, values = {}) {
+    let message;
+    if (values.count !== undefined) {
+      const form = new Intl.PluralRules(this.getIntlLocale(locale)).select(Number(values.count));
+      message = this.lookup(locale, `${key}.${form}`);
+      if (message === undefined) {
+        message = this.lookup(locale, `${key}.other`);
+      }
+    } else {
+      message = this.lookup(locale, key);
+    }
+
+    if (message === undefined) {
+      logger.warn('Missing email message', { locale, key });
+      return key;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (
+      values[name] === undefined || values[name] === null ? '' : String(values[name])
+    ));
+  }
+}
+
+module.exports = new LocaleService();
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+const projectService = require('./projectService');
+const { normalizeCurrency, toMinorUnits, fromMinorUnits } = require('../utils/currency');
+
+const CAMPAIGN_STATUSES = ['active', 'paused'];
+
+const matchingError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Sponsor matching campaigns: a sponsor matches gifts to eligible projects at
+// a ratio (1 = dollar for dollar) during a time window, up to a cap.
+// Amounts are kept in minor units. Each matched payment intent is stored on
+// its campaign so redelivered webhooks never match twice, and refunds shrink
+// the match and give the freed amount back to the cap.
+class MatchingService {
+  constructor() {
+    this.store = new JsonFileStore(config.matching.fileName, { campaigns: [] });
+  }
+
+  // Campaign as shown to donors and admins, in major units, without per-donation detail
+  toPublicCampaign(campaign) {
+    return {
+      id: campaign.id,
+      sponsor: campaign.sponsor,
+      ratio: campaign.ratio,
+      currency: campaign.currency,
+      cap: fromMinorUnits(campaign.cap, campaign.currency),
+      matched: fromMinorUnits(campaign.matched, campaign.currency),
+      remaining: fromMinorUnits(Math.max(0, campaign.cap - campaign.matched), campaign.currency),
+      startsAt: campaign.startsAt,
+      endsAt: campaign.endsAt,
+      projectIds: campaign.projectIds,
+      status: campaign.status,
+      live: this.isLive(campaign),
+      donations: Object.keys(campaign.matches).length,
+      createdAt: campaign.createdAt,
+    };
+  }
+
+  // Active, inside its window and with cap left
+  isLive(campaign, at = new Date()) {
+    const time = new Date(at).getTime();
+    return campaign.status === 'active' &&
+      time >= new Date(campaign.startsAt).getTime() &&
+      time < new Date(campaign.endsAt).getTime() &&
+      campaign.matched < campaign.cap;
+  }
+
+  getCampaign(id) {
+    return this.store.read().campaigns.find((campaign) => campaign.id === id) || null;
+  }
+
+  // List campaigns, newest first, optionally only live ones or those covering a project
+  listCampaigns({ status, projectId, live } = {}) {
+    const project = projectId ? projectService.getProject(projectId) : null;
+    if (projectId && !project) {
+      return [];
+    }
+
+    return this.store.read().campaigns
+      .filter((campaign) => !status || campaign.status === status)
+      .filter((campaign) => !project || this.coversProject(campaign, project.id))
+      .filter((campaign) => !live || this.isLive(campaign))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // An empty project list means every project is eligible
+  coversProject(campaign, projectId) {
+    return campaign.projectIds.length === 0 || campaign.projectIds.includes(projectId);
+  }
+
+  // Check a create or update against the catalog and the campaign's own window
+  validateCampaign({ projectIds, startsAt, endsAt }) {
+    const unknown = projectIds.filter((id) => !projectService.getProject(id));
+    if (unknown.length > 0) {
+      throw matchingError(`Unknown projects: ${unknown.join(', ')}`, 400);
+    }
+    if (new Date(startsAt) >= new Date(endsAt)) {
+      throw matchingError('endsAt must be after startsAt', 400);
+    }
+  }
+
+  createCampaign({ sponsor, ratio, cap, currency, startsAt, endsAt, projectIds = [] }) {
+    const campaignCurrency = normalizeCurrency(currency || config.stripe.currency);
+    // Store catalog ids so slugs and ids both match later
+    const resolvedProjectIds = projectIds.map((id) => projectService.getProject(id)?.id || id);
+
+    this.validateCampaign({ projectIds: resolvedProjectIds, startsAt, endsAt });
+
+    const now = new Date().toISOString();
+    const campaign = {
+      id: crypto.randomUUID(),
+      sponsor,
+      ratio: Number(ratio),
+      cap: toMinorUnits(Number(cap), campaignCurrency),
+      currency: campaignCurrency,
+      startsAt: new Date(startsAt).toISOString(),
+      endsAt: new Date(endsAt).toISOString(),
+      projectIds: [...new Set(resolvedProjectIds)],
+      status: 'active',
+      matched: 0,
+      matches: {},
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.store.update((data) => {
+      data.campaigns.push(campaign);
+    });
+
+    logger.info('Matching campaign created', {
+      campaignId: campaign.id,
+      sponsor: campaign.sponsor,
+      ratio: campaign.ratio,
+      cap: campaign.cap,
+      currency: campaign.currency,
+    });
+
+    return campaign;
+  }
+
+  // Ratio changes only apply to gifts matched afterwards
+  updateCampaign(id, changes) {
+    if (changes.status !== undefined && !CAMPAIGN_STATUSES.includes(changes.status)) {
+      throw matchingError(`Status must be one of: ${CAMPAIGN_STATUSES.join(', ')}`, 400);
+    }
+
+    const campaign = this.store.update((data) => {
+      const existing = data.campaigns.find((item) => item.id === id);
+      if (!existing) {
+        throw matchingError('Matching campaign not found', 404);
+      }
+
+      const next = { ...existing };
+      ['sponsor', 'status'].forEach((field) => {
+        if (changes[field] !== undefined) {
+          next[field] = changes[field];
+        }
+      });
+      ['startsAt', 'endsAt'].forEach((field) => {
+        if (changes[field] !== undefined) {
+          next[field] = new Date(changes[field]).toISOString();
+        }
+      });
+      if (changes.ratio !== undefined) {
+        next.ratio = Number(changes.ratio);
+      }
+      if (changes.projectIds !== undefined) {
+        next.projectIds = [...new Set(changes.projectIds.map((projectId) => projectService.getProject(projectId)?.id || projectId))];
+      }
+      if (changes.cap !== undefined) {
+        next.cap = toMinorUnits(Number(changes.cap), existing.currency);
+        if (next.cap < existing.matched) {
+          throw matchingError('Cap cannot be lower than the amount already matched', 400);
+        }
+      }
+
+      this.validateCampaign(next);
+      next.updatedAt = new Date().toISOString();
+      Object.assign(existing, next);
+      return existing;
+    });
+
+    logger.info('Matching campaign updated', {
+      campaignId: campaign.id,
+      fields: Object.keys(changes).filter((field) => changes[field] !== undefined),
+    });
+
+    return campaign;
+  }
+
+  // Campaigns that would match a new gift: same currency, eligible project,
+  // and the payment was created inside the campaign window
+  isEligible(campaign, donation) {
+    return campaign.currency === donation.currency &&
+      this.coversProject(campaign, donation.projectId) &&
+      this.isLive(campaign, donation.createdAt || new Date());
+  }
+
+  // Bring a donation's matches in line with the amount that still counts
+  // (see campaignProgressService.countedAmount). New matches are only made
+  // the first time a donation succeeds; later events can only shrink them.
+  // Returns the donation's match summary in minor units, or null if unmatched.
+  recordDonation(donation, countedAmount) {
+    if (!donation || !donation.projectId) {
+      return null;
+    }
+
+    const result = this.store.update((data) => {
+      const matches = [];
+      let changed = false;
+
+      data.campaigns.forEach((campaign) => {
+        const match = campaign.matches[donation.id];
+        if (!match) {
+          return;
+        }
+        // A failed refund gives the match back only while the cap allows
+        const target = Math.min(match.allocated, Math.round(countedAmount * match.ratio));
+        const amount = target > match.amount
+          ? match.amount + Math.max(0, Math.min(target - match.amount, campaign.cap - campaign.matched))
+          : target;
+        if (amount !== match.amount) {
+          campaign.matched += amount - match.amount;
+          match.amount = amount;
+          match.updatedAt = new Date().toISOString();
+          campaign.updatedAt = match.updatedAt;
+          changed = true;
+        }
+        matches.push({ campaign, amount });
+      });
+
+      if (matches.length === 0 && donation.status === 'succeeded' && countedAmount > 0) {
+        data.campaigns
+          .filter((campaign) => this.isEligible(campaign, donation))
+          .sort((a, b) => a.startsAt.localeCompare(b.startsAt))
+          .forEach((campaign) => {
+            const amount = Math.min(
+              Math.round(countedAmount * campaign.ratio),
+              campaign.cap - campaign.matched
+            );
+            if (amount <= 0) {
+              return;
+            }
+            const now = new Date().toISOString();
+            campaign.matches[donation.id] = {
+              allocated: amount,
+              amount,
+              ratio: campaign.ratio,
+              projectId: donation.projectId,
+              createdAt: now,
+              updatedAt: now,
+            };
+            campaign.matched += amount;
+            campaign.updatedAt = now;
+            changed = true;
+            matches.push({ campaign, amount });
+          });
+      }
+
+      if (matches.length === 0) {
+        return { changed, match: null };
+      }
+
+      return {
+        changed,
+        match: {
+          amount: matches.reduce((sum, item) => sum + item.amount, 0),
+          currency: donation.currency,
+          campaigns: matches.map(({ campaign, amount }) => ({
+            id: campaign.id,
+            sponsor: campaign.sponsor,
+            amount,
+          })),
+        },
+      };
+    });
+
+    if (result.changed) {
+      logger.info('Donation match updated', {
+        paymentIntentId: donation.id,
+        matchedAmount: result.match ? result.match.amount : 0,
+        campaigns: result.match ? result.match.campaigns.map((item) => item.id) : [],
+      });
+    }
+
+    return result.match;
+  }
+}
+
+module.exports = new MatchingService();
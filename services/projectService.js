@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const supabaseService = require('./supabaseService');
+const campaignProgressService = require('./campaignProgressService');
+const { formatCurrency } = require('../utils/currency');
+
+const PROJECT_STATUSES = ['open', 'closed'];
+
+class ProjectService {
+  constructor() {
+    this.catalogFile = path.resolve(config.projects.catalogFile);
+    this.fileProjects = [];
+    this.remoteProjects = [];
+    this.projects = [];
+    this.timer = null;
+    this.reload();
+  }
+
+  // Load (or reload) the project catalog from disk
+  reload() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.catalogFile, 'utf-8'));
+      if (!Array.isArray(data)) {
+        throw new Error('Project catalog must be a JSON array');
+      }
+
+      this.fileProjects = data.map((project) => this.normalizeProject(project));
+
+      logger.info('Project catalog loaded', {
+        file: this.catalogFile,
+        count: this.fileProjects.length,
+      });
+    } catch (error) {
+      logger.error('Error loading project catalog', {
+        error: error.message,
+        file: this.catalogFile,
+      });
+      this.fileProjects = [];
+    }
+
+    return this.merge();
+  }
+
+  // Load the website's projects from Supabase, so donations to their UUIDs
+  // resolve. Keeps the last loaded list when Supabase can't be reached.
+  async syncRemoteProjects() {
+    if (!supabaseService.isConfigured()) {
+      return this.projects;
+    }
+
+    try {
+      const rows = await supabaseService.listProjects();
+      this.remoteProjects = rows.map((row) => this.normalizeProject(this.fromSupabaseRow(row)));
+      rows.forEach((row) => campaignProgressService.setSupabaseBaseline(String(row.id), row));
+
+      logger.info('Supabase projects loaded', { count: this.remoteProjects.length });
+    } catch (error) {
+      logger.error('Error loading Supabase projects', {
+        error: error.message,
+        count: this.remoteProjects.length,
+      });
+    }
+
+    return this.merge();
+  }
+
+  // Sync from Supabase now and then every refreshIntervalMs
+  start() {
+    if (this.timer || !supabaseService.isConfigured()) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.syncRemoteProjects(), config.projects.refreshIntervalMs);
+    this.timer.unref();
+    this.syncRemoteProjects();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Catalog file entries win over Supabase rows with the same id
+  merge() {
+    const fileIds = new Set(this.fileProjects.map((project) => project.id.toLowerCase()));
+    this.projects = [
+      ...this.fileProjects,
+      ...this.remoteProjects.filter((project) => !fileIds.has(project.id.toLowerCase())),
+    ];
+    return this.projects;
+  }
+
+  // Map a Supabase projects row to a catalog entry. Rows are open unless
+  // their status is "closed", and use the default amount limits.
+  fromSupabaseRow(row) {
+    return {
+      id: row.id,
+      slug: row.slug,
+      title: row.title || row.name,
+      description: row.description,
+      status: row.status === 'closed' ? 'closed' : 'open',
+      goal: row.goal ?? row.target_amount ?? null,
+      fundCode: row.fund_code,
+    };
+  }
+
+  // Fill defaults so every project has the same shape
+  normalizeProject(project) {
+    const status = PROJECT_STATUSES.includes(project.status) ? project.status : 'closed';
+    const limits = this.normalizeLimits(project);
+    const defaultLimits = limits[config.stripe.currency];
+
+    return {
+      id: String(project.id),
+      slug: project.slug || String(project.id),
+      title: project.title || 'Community Project',
+      description: project.description || '',
+      status,
+      minAmount: defaultLimits ? defaultLimits.minAmount : config.validation.minDonationAmount,
+      maxAmount: defaultLimits ? defaultLimits.maxAmount : config.validation.maxDonationAmount,
+      limits,
+      goal: project.goal !== undefined && project.goal !== null ? Number(project.goal) : null,
+      // Fund or class code used in accounting exports
+      fundCode: project.fundCode || String(project.id).toUpperCase(),
+    };
+  }
+
+  // Amount limits per accepted currency (major units). minAmount/maxAmount
+  // are the default currency's limits; `limits` sets them for any currency.
+  // A project that sets neither takes the site-wide limits for every
+  // currency; one that does only accepts the currencies it has limits for.
+  normalizeLimits(project) {
+    const ownLimits = { ...(project.limits || {}) };
+    if (project.minAmount !== undefined || project.maxAmount !== undefined) {
+      ownLimits[config.stripe.currency] = {
+        minAmount: project.minAmount,
+        maxAmount: project.maxAmount,
+        ...ownLimits[config.stripe.currency],
+      };
+    }
+    const hasOwnLimits = Object.keys(ownLimits).length > 0;
+
+    const limits = {};
+    Object.entries(config.currencies).forEach(([currency, defaults]) => {
+      const own = ownLimits[currency];
+      if (own) {
+        limits[currency] = {
+          minAmount: Number(own.minAmount) || defaults.minAmount,
+          maxAmount: Number(own.maxAmount) || defaults.maxAmount,
+        };
+      } else if (!hasOwnLimits) {
+        limits[currency] = { ...defaults };
+      }
+    });
+    return limits;
+  }
+
+  // List all projects, optionally filtered by status
+  listProjects({ status } = {}) {
+    if (status) {
+      return this.projects.filter((project) => project.status === status);
+    }
+    return [...this.projects];
+  }
+
+  // Look up a project by id or slug (slugs are case-insensitive)
+  getProject(idOrSlug) {
+    if (!idOrSlug || typeof idOrSlug !== 'string') {
+      return null;
+    }
+
+    const key = idOrSlug.trim().toLowerCase();
+    return this.projects.find(
+      (project) => project.id.toLowerCase() === key || project.slug.toLowerCase() === key
+    ) || null;
+  }
+
+  // Check that a donation may be made to a project, in the project's amount
+  // limits for the donation's currency
+  validateDonation(project, amount, currency = config.stripe.currency) {
+    const errors = [];
+
+    if (!project) {
+      errors.push('Unknown project');
+    } else {
+      if (project.status !== 'open') {
+        errors.push(`Project "${project.title}" is not accepting donations`);
+      }
+
+      const limits = project.limits[currency];
+      if (!limits) {
+        const accepted = Object.keys(project.limits).map((code) => code.toUpperCase());
+        errors.push(`Project "${project.title}" only accepts donations in ${accepted.join(', ')}`);
+      } else if (typeof amount === 'number' &&
+          (amount < limits.minAmount || amount > limits.maxAmount)) {
+        errors.push(`Amount must be between ${formatCurrency(limits.minAmount, currency)} and ${formatCurrency(limits.maxAmount, currency)} for this project`);
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+}
+
+module.exports = new ProjectService();
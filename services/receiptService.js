@@ -0,0 +1,425 @@
+const { PassThrough } = require('stream');
+const PDFDocument = require('pdfkit');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+const donationLedger = require('./donationLedger');
+
+const CRA_WEBSITE_LINE = 'Canada Revenue Agency: canada.ca/charities-giving';
+
+// Errors raised by the receipt service carry an HTTP status for the routes
+const receiptError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Format an amount in the currency's smallest unit as dollars
+const formatCad = (amountInCents) => `$${(amountInCents / 100).toFixed(2)} CAD`;
+
+class ReceiptService {
+  constructor() {
+    // { nextSerial, receipts: { [paymentIntentId]: receipt },
+    //   consolidated: { [year:donorEmail]: receipt }, cancelled: [receipt] }
+    this.store = new JsonFileStore('receipts.json', { nextSerial: 1, receipts: {}, consolidated: {} });
+  }
+
+  formatDate(isoDate) {
+    return new Date(isoDate).toLocaleDateString('en-CA', {
+      timeZone: config.receipts.timeZone,
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+  }
+
+  formatSerialNumber(serial) {
+    return `${config.receipts.serialPrefix}-${String(serial).padStart(6, '0')}`;
+  }
+
+  // Date the gift was received: Stripe's payment time, not when we
+  // processed the webhook
+  getDateReceived(donation) {
+    return donation.receivedAt || donation.createdAt;
+  }
+
+  // Calendar year the gift was received, in the receipting time zone
+  getTaxYear(donation) {
+    return Number(new Intl.DateTimeFormat('en-CA', {
+      timeZone: config.receipts.timeZone,
+      year: 'numeric',
+    }).format(new Date(this.getDateReceived(donation))));
+  }
+
+  assertConfigured() {
+    const { charity } = config;
+    if (!charity.registrationNumber || !charity.address || !charity.placeOfIssue) {
+      throw receiptError('Official receipting is not configured', 503);
+    }
+  }
+
+  // Check that a ledger record may be receipted
+  assertReceiptable(donation) {
+    if (!donation) {
+      throw receiptError('Donation not found', 404);
+    }
+    if (donation.anonymous) {
+      throw receiptError('Official receipts are not issued for anonymous donations', 422);
+    }
+    if (donation.status === 'refunded') {
+      throw receiptError('Official receipts are not issued for refunded donations', 409);
+    }
+    if (!['succeeded', 'partially_refunded'].includes(donation.status)) {
+      throw receiptError('Donation has not been completed', 409);
+    }
+    if ((donation.currency || '').toLowerCase() !== 'cad') {
+      throw receiptError('Official receipts can only be issued for CAD donations', 422);
+    }
+    if (!donation.donor.name || !donation.donor.address) {
+      throw receiptError('Donor name and address are required for an official receipt', 422);
+    }
+  }
+
+  // Issue (or return the already issued) receipt for a payment intent.
+  // Serial numbers are assigned once, in issue order, and never reused.
+  async issueReceipt(paymentIntentId) {
+    const { charity } = config;
+    this.assertConfigured();
+
+    const existing = this.store.read().receipts[paymentIntentId];
+    if (existing && existing.status === 'issued') {
+      return existing;
+    }
+
+    // Gifts already on a year-end receipt are not receipted twice
+    const consolidated = this.findConsolidatedReceipt(paymentIntentId);
+    if (consolidated) {
+      return consolidated;
+    }
+
+    const donation = await donationLedger.getDonation(paymentIntentId);
+
+    // A fully refunded (or charged back) gift only ever has its cancelled receipt
+    if (existing && ['refunded', 'dispute_lost'].includes(donation?.status)) {
+      return existing;
+    }
+
+    this.assertReceiptable(donation);
+
+    const receipt = this.store.update((data) => {
+      // Another request may have issued it between the read and this update
+      const current = data.receipts[paymentIntentId];
+      if (current && current.status === 'issued') {
+        return current;
+      }
+
+      // Keep cancelled receipts on file; the replacement gets a new serial
+      if (current) {
+        data.cancelled = data.cancelled || [];
+        data.cancelled.push(current);
+      }
+
+      const giftAmount = donation.giftAmount ?? donation.amount;
+      const serial = data.nextSerial;
+      data.nextSerial += 1;
+
+      const issued = {
+        serialNumber: this.formatSerialNumber(serial),
+        paymentIntentId,
+        status: 'issued',
+        issuedAt: new Date().toISOString(),
+        dateReceived: this.getDateReceived(donation),
+        placeOfIssue: charity.placeOfIssue,
+        donor: {
+          name: donation.donor.name,
+          email: donation.donor.email,
+          address: donation.donor.address,
+        },
+        // Processing fees covered by the donor are not part of the receiptable gift
+        amount: giftAmount,
+        advantageAmount: 0,
+        eligibleAmount: Math.max(0, giftAmount - (donation.amountRefunded || 0)),
+        projectId: donation.projectId,
+        replaces: current ? current.serialNumber : null,
+      };
+      data.receipts[paymentIntentId] = issued;
+      return issued;
+    });
+
+    logger.info('Donation receipt issued', {
+      serialNumber: receipt.serialNumber,
+      paymentIntentId,
+      eligibleAmount: receipt.eligibleAmount,
+    });
+
+    return receipt;
+  }
+
+  // Cancel the issued receipt for a refunded donation. A partially refunded
+  // donation can then be issued a replacement receipt for the remaining gift.
+  // A year-end receipt covering the gift is cancelled as a whole; running the
+  // year-end batch again issues its replacement.
+  async voidReceipt(paymentIntentId, reason) {
+    const receipt = this.store.update((data) => {
+      const current = data.receipts[paymentIntentId]?.status === 'issued'
+        ? data.receipts[paymentIntentId]
+        : this.findConsolidatedReceipt(paymentIntentId, data);
+      if (!current) {
+        return null;
+      }
+
+      current.status = 'cancelled';
+      current.cancelledAt = new Date().toISOString();
+      current.cancellationReason = reason || 'Donation refunded';
+      return current;
+    });
+
+    if (receipt) {
+      logger.info('Donation receipt cancelled', {
+        serialNumber: receipt.serialNumber,
+        paymentIntentId,
+        reason: receipt.cancellationReason,
+      });
+    }
+
+    return receipt;
+  }
+
+  // Look up an issued receipt without issuing a new one
+  getReceipt(paymentIntentId) {
+    return this.store.read().receipts[paymentIntentId] || null;
+  }
+
+  // Issued year-end receipt that covers a payment intent, if any
+  findConsolidatedReceipt(paymentIntentId, data = this.store.read()) {
+    return Object.values(data.consolidated || {}).find((receipt) => (
+      receipt.status === 'issued'
+      && receipt.donations.some((gift) => gift.paymentIntentId === paymentIntentId)
+    )) || null;
+  }
+
+  // Receiptable gifts received in a calendar year, grouped by donor email
+  // (lower-cased) in date order. Gifts with their own receipt are left out.
+  async getYearEndDonors(year) {
+    const { receipts } = this.store.read();
+    const donations = await donationLedger.listDonations();
+    const donors = new Map();
+
+    donations
+      .filter((donation) => this.getTaxYear(donation) === year)
+      .filter((donation) => receipts[donation.id]?.status !== 'issued')
+      .sort((a, b) => new Date(this.getDateReceived(a)) - new Date(this.getDateReceived(b)))
+      .forEach((donation) => {
+        try {
+          this.assertReceiptable(donation);
+        } catch {
+          return;
+        }
+        const email = (donation.donor.email || '').trim().toLowerCase();
+        if (!email) {
+          return;
+        }
+        if (!donors.has(email)) {
+          donors.set(email, []);
+        }
+        donors.get(email).push(donation);
+      });
+
+    return donors;
+  }
+
+  // Issue (or return the already issued) year-end receipt for one donor's
+  // gifts in a calendar year. If the gifts changed since it was issued (a late
+  // gift or a refund), the old receipt is cancelled and replaced.
+  async issueConsolidatedReceipt(year, donorEmail, donations) {
+    const { charity } = config;
+    this.assertConfigured();
+    if (donations.length === 0) {
+      throw receiptError('No receiptable donations for this donor and year', 422);
+    }
+
+    const key = `${year}:${donorEmail.toLowerCase()}`;
+    const gifts = donations.map((donation) => {
+      const giftAmount = donation.giftAmount ?? donation.amount;
+      return {
+        paymentIntentId: donation.id,
+        dateReceived: this.getDateReceived(donation),
+        amount: giftAmount,
+        eligibleAmount: Math.max(0, giftAmount - (donation.amountRefunded || 0)),
+        projectId: donation.projectId,
+      };
+    });
+    const sameGifts = (receipt) => receipt.donations.length === gifts.length
+      && receipt.donations.every((gift, index) => (
+        gift.paymentIntentId === gifts[index].paymentIntentId
+        && gift.eligibleAmount === gifts[index].eligibleAmount
+      ));
+
+    let isNew = false;
+    const receipt = this.store.update((data) => {
+      data.consolidated = data.consolidated || {};
+      const current = data.consolidated[key];
+      if (current && current.status === 'issued' && sameGifts(current)) {
+        return current;
+      }
+
+      if (current) {
+        if (current.status === 'issued') {
+          current.status = 'cancelled';
+          current.cancelledAt = new Date().toISOString();
+          current.cancellationReason = 'Replaced by an updated year-end receipt';
+        }
+        data.cancelled = data.cancelled || [];
+        data.cancelled.push(current);
+      }
+
+      // Name and address as given on the donor's most recent gift
+      const latest = donations[donations.length - 1];
+      const serial = data.nextSerial;
+      data.nextSerial += 1;
+
+      const issued = {
+        serialNumber: this.formatSerialNumber(serial),
+        type: 'consolidated',
+        year,
+        status: 'issued',
+        issuedAt: new Date().toISOString(),
+        emailedAt: null,
+        placeOfIssue: charity.placeOfIssue,
+        donor: {
+          name: latest.donor.name,
+          email: latest.donor.email,
+          address: latest.donor.address,
+          locale: latest.donor.locale || null,
+        },
+        donations: gifts,
+        amount: gifts.reduce((total, gift) => total + gift.amount, 0),
+        advantageAmount: 0,
+        eligibleAmount: gifts.reduce((total, gift) => total + gift.eligibleAmount, 0),
+        replaces: current ? current.serialNumber : null,
+      };
+      data.consolidated[key] = issued;
+      isNew = true;
+      return issued;
+    });
+
+    if (isNew) {
+      logger.info('Year-end receipt issued', {
+        serialNumber: receipt.serialNumber,
+        year,
+        donations: receipt.donations.length,
+        eligibleAmount: receipt.eligibleAmount,
+        replaces: receipt.replaces,
+      });
+    }
+
+    return receipt;
+  }
+
+  // Record that a year-end receipt was emailed so later runs skip it
+  markConsolidatedEmailed(serialNumber) {
+    return this.store.update((data) => {
+      const receipt = Object.values(data.consolidated || {})
+        .find((entry) => entry.serialNumber === serialNumber);
+      if (receipt) {
+        receipt.emailedAt = new Date().toISOString();
+      }
+      return receipt || null;
+    });
+  }
+
+  // Render a receipt as a PDF into a writable stream
+  renderReceipt(receipt, stream) {
+    const { charity } = config;
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+    doc.pipe(stream);
+
+    const address = receipt.donor.address;
+    const addressLines = [
+      address.line1,
+      address.line2,
+      [address.city, address.province, address.postalCode].filter(Boolean).join(' '),
+      address.country,
+    ].filter(Boolean);
+
+    // Charity header
+    doc.fontSize(18).font('Helvetica-Bold').text(charity.legalName);
+    doc.fontSize(10).font('Helvetica').text(charity.address);
+    doc.text(`Charitable Registration Number: ${charity.registrationNumber}`);
+    doc.moveDown(1.5);
+
+    if (receipt.status === 'cancelled') {
+      doc.fontSize(24).fillColor('#b91c1c').font('Helvetica-Bold').text('CANCELLED', { align: 'center' });
+      doc.fontSize(11).font('Helvetica')
+        .text(`This receipt was cancelled on ${this.formatDate(receipt.cancelledAt)} (${receipt.cancellationReason}) and is not valid for income tax purposes.`, { align: 'center' });
+      doc.fillColor('#000000').moveDown();
+    }
+
+    doc.fontSize(14).font('Helvetica-Bold').text('Official Receipt for Income Tax Purposes', { align: 'center' });
+    if (receipt.type === 'consolidated') {
+      doc.fontSize(11).font('Helvetica').text(`Consolidated receipt for donations received in ${receipt.year}`, { align: 'center' });
+    }
+    doc.moveDown();
+
+    // Receipt details
+    const details = [
+      ['Receipt serial number', receipt.serialNumber],
+      ...(receipt.replaces ? [['Replaces cancelled receipt', receipt.replaces]] : []),
+      ['Date issued', this.formatDate(receipt.issuedAt)],
+      ['Place of issue', receipt.placeOfIssue],
+      receipt.type === 'consolidated'
+        ? ['Year donations received', String(receipt.year)]
+        : ['Date donation received', this.formatDate(receipt.dateReceived)],
+      ['Total amount received', formatCad(receipt.amount)],
+      ['Value of advantage', formatCad(receipt.advantageAmount)],
+      ['Eligible amount of gift for tax purposes', formatCad(receipt.eligibleAmount)],
+    ];
+    doc.fontSize(11);
+    details.forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+      doc.font('Helvetica').text(value);
+    });
+    doc.moveDown();
+
+    // Donor
+    doc.font('Helvetica-Bold').text('Donor');
+    doc.font('Helvetica').text(receipt.donor.name);
+    addressLines.forEach((line) => doc.text(line));
+    doc.moveDown(2);
+
+    // Gifts covered by a year-end receipt
+    if (receipt.type === 'consolidated') {
+      doc.font('Helvetica-Bold').text('Donations included');
+      doc.font('Helvetica');
+      receipt.donations.forEach((gift) => {
+        const refunded = gift.eligibleAmount !== gift.amount ? ` (of ${formatCad(gift.amount)}, after refund)` : '';
+        doc.text(`${this.formatDate(gift.dateReceived)}: ${formatCad(gift.eligibleAmount)}${refunded}`);
+      });
+      doc.moveDown(2);
+    }
+
+    // Signature
+    doc.text('_______________________________');
+    doc.text(charity.signatoryName ? `${charity.signatoryName}, ${charity.signatoryTitle}` : 'Authorized signature');
+    doc.moveDown(2);
+
+    doc.fontSize(9).fillColor('#555555').text(CRA_WEBSITE_LINE);
+
+    doc.end();
+    return doc;
+  }
+
+  // Render a receipt as a PDF in memory (for email attachments)
+  renderReceiptBuffer(receipt) {
+    return new Promise((resolve, reject) => {
+      const stream = new PassThrough();
+      const chunks = [];
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+      stream.on('error', reject);
+      this.renderReceipt(receipt, stream);
+    });
+  }
+}
+
+module.exports = new ReceiptService();
@@ -0,0 +1,441 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+const donationLedger = require('./donationLedger');
+const stripeService = require('./stripeService');
+const resendEmailService = require('./resendEmailService');
+const { fromMinorUnits } = require('../utils/currency');
+
+const DISCREPANCY_TYPES = ['missing_locally', 'missing_in_stripe', 'amount_mismatch', 'status_mismatch'];
+
+// Ledger statuses that mean money moved and Stripe must have a charge for it
+const SETTLED_STATUSES = ['succeeded', 'partially_refunded', 'refunded', 'disputed', 'dispute_lost'];
+
+// Balance transaction types that belong to a donation charge or its refunds
+const CHARGE_TRANSACTION_TYPES = ['charge', 'payment'];
+const REFUND_TRANSACTION_TYPES = ['refund', 'payment_refund'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const reconciliationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toUnixTime = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+// Compares what Stripe settled with what the donation ledger recorded for a
+// date range, and keeps a report of every discrepancy it finds. Runs nightly
+// for the previous UTC day and on demand from the admin API.
+class ReconciliationService {
+  constructor() {
+    this.store = new JsonFileStore(config.reconciliation.fileName, { reports: [] });
+    this.running = null;
+    this.timer = null;
+  }
+
+  get stripe() {
+    return stripeService.stripe;
+  }
+
+  // Page through a Stripe list endpoint created within the range
+  async listAll(resource, from, to, params = {}) {
+    const items = [];
+    const list = resource.list({
+      created: { gte: toUnixTime(from), lt: toUnixTime(to) },
+      limit: 100,
+      ...params,
+    });
+    for await (const item of list) {
+      items.push(item);
+    }
+    return items;
+  }
+
+  // Ledger status a Stripe charge implies. Disputed charges accept any of the
+  // dispute statuses, since a won dispute returns the donation to its old status.
+  expectedStatuses(charge) {
+    let status;
+    if (charge.status === 'failed') {
+      status = 'failed';
+    } else if (charge.status === 'pending') {
+      status = 'processing';
+    } else if (charge.amount_refunded >= charge.amount) {
+      status = 'refunded';
+    } else if (charge.amount_refunded > 0) {
+      status = 'partially_refunded';
+    } else {
+      status = 'succeeded';
+    }
+
+    return charge.disputed ? [status, 'disputed', 'dispute_lost'] : [status];
+  }
+
+  compareCharge(charge, record, discrepancies) {
+    const base = { paymentIntentId: record.id, chargeId: charge.id };
+
+    if (record.currency !== charge.currency || record.amount !== charge.amount) {
+      discrepancies.push({
+        ...base,
+        type: 'amount_mismatch',
+        field: 'amount',
+        local: { amount: record.amount, currency: record.currency },
+        stripe: { amount: charge.amount, currency: charge.currency },
+        message: `Ledger has ${record.amount} ${record.currency}, Stripe charged ${charge.amount} ${charge.currency}`,
+      });
+    }
+
+    if ((record.amountRefunded || 0) !== (charge.amount_refunded || 0)) {
+      discrepancies.push({
+        ...base,
+        type: 'amount_mismatch',
+        field: 'amountRefunded',
+        local: { amountRefunded: record.amountRefunded || 0 },
+        stripe: { amountRefunded: charge.amount_refunded || 0 },
+        message: `Ledger has ${record.amountRefunded || 0} refunded, Stripe has ${charge.amount_refunded || 0}`,
+      });
+    }
+
+    const expected = this.expectedStatuses(charge);
+    if (!expected.includes(record.status)) {
+      discrepancies.push({
+        ...base,
+        type: 'status_mismatch',
+        field: 'status',
+        local: { status: record.status },
+        stripe: { status: charge.status, disputed: Boolean(charge.disputed), expected: expected[0] },
+        message: `Ledger status is ${record.status}, Stripe implies ${expected[0]}`,
+      });
+    }
+  }
+
+  compareRefund(refund, record, discrepancies) {
+    const base = { paymentIntentId: record.id, chargeId: refund.charge, refundId: refund.id };
+    const local = record.refunds.find((entry) => entry.id === refund.id);
+
+    if (!local) {
+      discrepancies.push({
+        ...base,
+        type: 'missing_locally',
+        field: 'refund',
+        local: null,
+        stripe: { amount: refund.amount, status: refund.status },
+        message: `Refund ${refund.id} is not in the ledger`,
+      });
+      return;
+    }
+
+    if (local.amount !== refund.amount) {
+      discrepancies.push({
+        ...base,
+        type: 'amount_mismatch',
+        field: 'refund.amount',
+        local: { amount: local.amount },
+        stripe: { amount: refund.amount },
+        message: `Refund ${refund.id} is ${local.amount} in the ledger, ${refund.amount} in Stripe`,
+      });
+    }
+    if (local.status !== refund.status) {
+      discrepancies.push({
+        ...base,
+        type: 'status_mismatch',
+        field: 'refund.status',
+        local: { status: local.status },
+        stripe: { status: refund.status },
+        message: `Refund ${refund.id} is ${local.status} in the ledger, ${refund.status} in Stripe`,
+      });
+    }
+  }
+
+  // Settled totals per settlement currency, and checks that each donation
+  // charge's balance transaction moved the amount the ledger expects
+  compareBalanceTransactions(transactions, chargesById, recordsByCharge, discrepancies) {
+    const settled = {};
+
+    transactions.forEach((transaction) => {
+      const isCharge = CHARGE_TRANSACTION_TYPES.includes(transaction.type);
+      const isRefund = REFUND_TRANSACTION_TYPES.includes(transaction.type);
+      if (!isCharge && !isRefund) {
+        return;
+      }
+
+      const totals = settled[transaction.currency] ||
+        (settled[transaction.currency] = { gross: 0, fee: 0, net: 0, count: 0 });
+      totals.gross += transaction.amount;
+      totals.fee += transaction.fee;
+      totals.net += transaction.net;
+      totals.count += 1;
+
+      if (!isCharge) {
+        return;
+      }
+
+      const chargeId = typeof transaction.source === 'string' ? transaction.source : transaction.source?.id;
+      const record = recordsByCharge.get(chargeId);
+      if (!record) {
+        // Charges missing from the ledger are reported from the charge list
+        if (!chargesById.has(chargeId)) {
+          discrepancies.push({
+            type: 'missing_locally',
+            field: 'balance_transaction',
+            paymentIntentId: null,
+            chargeId,
+            balanceTransactionId: transaction.id,
+            local: null,
+            stripe: { amount: transaction.amount, currency: transaction.currency },
+            message: `Balance transaction ${transaction.id} has no matching donation`,
+          });
+        }
+        return;
+      }
+
+      // Settlement in another currency is converted by Stripe; only compare like for like
+      if (transaction.currency === record.currency && transaction.amount !== record.amount) {
+        discrepancies.push({
+          type: 'amount_mismatch',
+          field: 'balance_transaction.amount',
+          paymentIntentId: record.id,
+          chargeId,
+          balanceTransactionId: transaction.id,
+          local: { amount: record.amount, currency: record.currency },
+          stripe: { amount: transaction.amount, currency: transaction.currency },
+          message: `Balance transaction ${transaction.id} settled ${transaction.amount}, ledger has ${record.amount}`,
+        });
+      }
+    });
+
+    return Object.entries(settled).reduce((result, [currency, totals]) => {
+      result[currency] = {
+        gross: fromMinorUnits(totals.gross, currency),
+        fee: fromMinorUnits(totals.fee, currency),
+        net: fromMinorUnits(totals.net, currency),
+        count: totals.count,
+      };
+      return result;
+    }, {});
+  }
+
+  // Reconcile [from, to). Only one run at a time.
+  async run({ from, to, trigger = 'manual', sendEmail = true }) {
+    if (this.running) {
+      throw reconciliationError('A reconciliation run is already in progress', 409);
+    }
+
+    this.running = this.reconcile({ from: new Date(from), to: new Date(to), trigger });
+    try {
+      const report = await this.running;
+      this.saveReport(report);
+      if (sendEmail) {
+        await this.emailReport(report);
+      }
+      return report;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async reconcile({ from, to, trigger }) {
+    const startedAt = new Date();
+    logger.info('Reconciliation started', { from: from.toISOString(), to: to.toISOString(), trigger });
+
+    const [charges, refunds, transactions, localRecords] = await Promise.all([
+      this.listAll(this.stripe.charges, from, to),
+      this.listAll(this.stripe.refunds, from, to),
+      this.listAll(this.stripe.balanceTransactions, from, to),
+      donationLedger.listDonations({ from: from.toISOString(), to: new Date(to.getTime() - 1).toISOString() }),
+    ]);
+
+    const discrepancies = [];
+    const chargesById = new Map(charges.map((charge) => [charge.id, charge]));
+    const recordsByCharge = new Map();
+    const checkedRecords = new Set();
+
+    // Every Stripe charge should have a ledger record
+    for (const charge of charges) {
+      const record = charge.payment_intent
+        ? await donationLedger.getDonation(charge.payment_intent)
+        : null;
+
+      if (!record) {
+        discrepancies.push({
+          type: 'missing_locally',
+          field: 'charge',
+          paymentIntentId: charge.payment_intent || null,
+          chargeId: charge.id,
+          local: null,
+          stripe: { amount: charge.amount, currency: charge.currency, status: charge.status },
+          message: `Charge ${charge.id} has no donation record`,
+        });
+        continue;
+      }
+
+      recordsByCharge.set(charge.id, record);
+      checkedRecords.add(record.id);
+      // A payment can have several charges (failed attempts); the latest is authoritative
+      if (!record.chargeId || record.chargeId === charge.id) {
+        this.compareCharge(charge, record, discrepancies);
+      }
+    }
+
+    // Every settled ledger record should have a Stripe charge
+    for (const record of localRecords) {
+      if (checkedRecords.has(record.id) || !SETTLED_STATUSES.includes(record.status)) {
+        continue;
+      }
+
+      // The charge may fall just outside the range; look it up directly
+      let charge = null;
+      if (record.chargeId) {
+        try {
+          charge = await this.stripe.charges.retrieve(record.chargeId);
+        } catch (error) {
+          if (error.statusCode !== 404) {
+            throw error;
+          }
+        }
+      }
+
+      if (!charge) {
+        discrepancies.push({
+          type: 'missing_in_stripe',
+          field: 'charge',
+          paymentIntentId: record.id,
+          chargeId: record.chargeId || null,
+          local: { amount: record.amount, currency: record.currency, status: record.status },
+          stripe: null,
+          message: `Donation ${record.id} has no Stripe charge`,
+        });
+        continue;
+      }
+
+      recordsByCharge.set(charge.id, record);
+      this.compareCharge(charge, record, discrepancies);
+    }
+
+    // Refunds made in the range, including refunds of older donations
+    for (const refund of refunds) {
+      const record = refund.payment_intent
+        ? await donationLedger.getDonation(refund.payment_intent)
+        : null;
+
+      if (!record) {
+        discrepancies.push({
+          type: 'missing_locally',
+          field: 'refund',
+          paymentIntentId: refund.payment_intent || null,
+          chargeId: refund.charge || null,
+          refundId: refund.id,
+          local: null,
+          stripe: { amount: refund.amount, status: refund.status },
+          message: `Refund ${refund.id} has no donation record`,
+        });
+        continue;
+      }
+      this.compareRefund(refund, record, discrepancies);
+    }
+
+    const settled = this.compareBalanceTransactions(transactions, chargesById, recordsByCharge, discrepancies);
+
+    const byType = DISCREPANCY_TYPES.reduce((counts, type) => {
+      counts[type] = discrepancies.filter((item) => item.type === type).length;
+      return counts;
+    }, {});
+
+    const report = {
+      id: crypto.randomUUID(),
+      from: from.toISOString(),
+      to: to.toISOString(),
+      trigger,
+      startedAt: startedAt.toISOString(),
+      completedAt: new Date().toISOString(),
+      summary: {
+        stripeCharges: charges.length,
+        stripeRefunds: refunds.length,
+        balanceTransactions: transactions.length,
+        localDonations: localRecords.length,
+        discrepancies: discrepancies.length,
+        byType,
+        settled,
+      },
+      discrepancies,
+    };
+
+    logger[discrepancies.length ? 'warn' : 'info']('Reconciliation completed', {
+      reportId: report.id,
+      from: report.from,
+      to: report.to,
+      discrepancies: discrepancies.length,
+      byType,
+    });
+
+    return report;
+  }
+
+  saveReport(report) {
+    this.store.update((data) => {
+      data.reports.unshift(report);
+      data.reports = data.reports.slice(0, config.reconciliation.retainReports);
+    });
+  }
+
+  async emailReport(report) {
+    try {
+      await resendEmailService.sendReconciliationReport(report);
+    } catch (error) {
+      // The report is stored either way and can be read from the admin API
+      logger.error('Error emailing reconciliation report', {
+        error: error.message,
+        reportId: report.id,
+      });
+    }
+  }
+
+  // Report summaries, newest first
+  listReports({ limit = 30 } = {}) {
+    return this.store.read().reports
+      .slice(0, limit)
+      .map(({ discrepancies, ...summary }) => summary);
+  }
+
+  getReport(id) {
+    return this.store.read().reports.find((report) => report.id === id) || null;
+  }
+
+  // The previous whole UTC day
+  previousDay(now = new Date()) {
+    const to = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    return { from: new Date(to.getTime() - DAY_MS), to };
+  }
+
+  // Run every night at the configured UTC hour for the previous day
+  scheduleNightly() {
+    if (!config.reconciliation.enabled || this.timer) {
+      return;
+    }
+
+    const now = new Date();
+    const next = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), config.reconciliation.runHourUtc));
+    if (next <= now) {
+      next.setTime(next.getTime() + DAY_MS);
+    }
+
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      try {
+        await this.run({ ...this.previousDay(), trigger: 'nightly' });
+      } catch (error) {
+        logger.error('Nightly reconciliation failed', {
+          error: error.message,
+        });
+      }
+      this.scheduleNightly();
+    }, next - now);
+    this.timer.unref();
+
+    logger.info('Nightly reconciliation scheduled', { nextRunAt: next.toISOString() });
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -1,11 +1,23 @@
-const { Resend } = require('resend');
-
-const resend = new Resend(process.env.RESEND_API_KEY);
+const config = require('../config/config');
+const emailTransport = require('./emailTransport');
+const templateService = require('./templateService');
+
+// Discrepancy types as shown in reconciliation reports
+const DISCREPANCY_LABELS = {
+  missing_locally: 'Missing locally',
+  missing_in_stripe: 'Missing in Stripe',
+  amount_mismatch: 'Amount mismatch',
+  status_mismatch: 'Status mismatch',
+};
+
+// Forms that send the submitter an acknowledgement; each has its own
+// submission-received.<form>.* messages
+const SUBMISSION_FORMS = ['contact', 'volunteer', 'enrollment', 'newsletter'];
 
 class ResendEmailService {
   constructor() {
-    // Validate Resend API key on initialization
-    if (!process.env.RESEND_API_KEY) {
+    // Validate Resend API key on initialization when Resend is used
+    if (emailTransport.describe().includes('resend') && !process.env.RESEND_API_KEY) {
       console.error('⚠️ RESEND_API_KEY is not configured in environment variables');
     }
   }
@@ -15,103 +27,49 @@ class ResendEmailService {
     const isProduction = process.env.NODE_ENV === 'production';
     return {
       isProduction,
-      fromAddress: isProduction 
-        ? 'Metrax Website <noreply@mail.metraxindigenous.com>' 
+      fromAddress: isProduction
+        ? 'Metrax Website <noreply@mail.metraxindigenous.com>'
         : 'Metrax Website <onboarding@resend.dev>',
+      // Use a verified from address for donor-facing emails
+      donorFromAddress: isProduction
+        ? 'Metrax Indigenous <noreply@mail.metraxindigenous.com>'
+        : 'Metrax Indigenous <onboarding@resend.dev>',
       adminEmail: isProduction
         ? ['h.logsend@metraxindigenous.com']
         : ['h.logsend@metraxindigenous.com']
     };
   }
+
+  // Subject, HTML and text for an email from templates/emails. Emails to
+  // donors are written in the donor's locale; staff emails use the default.
+  renderEmail(name, data, locale) {
+    const { isProduction } = this.getEmailConfig();
+    return templateService.render(name, {
+      ...data,
+      isProduction,
+      adminPanelUrl: config.email.adminPanelUrl,
+    }, { locale });
+  }
+
   async sendContactNotification(contactData) {
     try {
-      const { name, email, subject, message, submittedAt } = contactData;
+      const { name, email, subject } = contactData;
 
       // Validate required fields
       if (!name || !email || !subject) {
         throw new Error('Missing required fields: name, email, or subject');
       }
 
-      const { isProduction, fromAddress, adminEmail } = this.getEmailConfig();
+      const { fromAddress, adminEmail } = this.getEmailConfig();
 
-      const { data, error } = await resend.emails.send({
+      const { data, error } = await emailTransport.send({
         from: fromAddress,
         to: adminEmail,
-        subject: `🔔 ${isProduction ? '' : '[TEST] '}New Contact Form Submission: ${subject}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9fafb;">
-            ${!isProduction ? `
-            <div style="background-color: #f59e0b; color: white; padding: 10px; text-align: center; border-radius: 6px; margin-bottom: 10px;">
-              <strong>⚠️ TEST MODE - This email would normally go to info@metraxindigenous.com</strong>
-            </div>
-            ` : ''}
-            
-            <div style="background-color: #0a0a6b; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
-              <h1 style="margin: 0; font-size: 24px;">📧 New Contact Form Submission</h1>
-            </div>
-            
-            <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-              <div style="border-left: 4px solid #0a0a6b; padding-left: 20px; margin-bottom: 30px;">
-                <h2 style="color: #0a0a6b; margin: 0 0 10px 0;">Contact Details</h2>
-                <p style="margin: 5px 0; color: #666;"><strong>Name:</strong> ${name}</p>
-                <p style="margin: 5px 0; color: #666;"><strong>Email:</strong> <a href="mailto:${email}" style="color: #0a0a6b;">${email}</a></p>
-                <p style="margin: 5px 0; color: #666;"><strong>Subject:</strong> ${subject}</p>
-                <p style="margin: 5px 0; color: #666;"><strong>Submitted:</strong> ${new Date(submittedAt).toLocaleString()}</p>
-                ${!isProduction ? `<p style="margin: 10px 0; padding: 10px; background-color: #fef3c7; color: #92400e; border-radius: 4px; font-size: 14px;"><strong>Note:</strong> In production, this would be sent to info@metraxindigenous.com</p>` : ''}
-              </div>
-
-              ${message ? `
-              <div style="border-left: 4px solid #10b981; padding-left: 20px; margin-bottom: 30px;">
-                <h3 style="color: #10b981; margin: 0 0 15px 0;">Message</h3>
-                <div style="background-color: #f0f9ff; padding: 15px; border-radius: 6px; color: #1f2937; line-height: 1.6;">
-                  ${message.replace(/\n/g, '<br>')}
-                </div>
-              </div>
-              ` : ''}
-
-              <div style="background-color: #f8fafc; padding: 20px; border-radius: 6px; border: 1px solid #e2e8f0;">
-                <h3 style="color: #374151; margin: 0 0 15px 0;">🚀 Quick Actions</h3>
-                <div style="display: flex; gap: 10px; flex-wrap: wrap;">
-                  <a href="mailto:${email}?subject=Re: ${subject}" 
-                     style="background-color: #0a0a6b; color: white; padding: 10px 20px; text-decoration: none; border-radius: 6px; font-weight: 500; display: inline-block;">
-                    📧 Reply to ${name}
-                  </a>
-                  <a href="${process.env.ADMIN_PANEL_URL || 'http://localhost:5173'}/admin/contact-submissions" 
-                     style="background-color: #10b981; color: white; padding: 10px 20px; text-decoration: none; border-radius: 6px; font-weight: 500; display: inline-block;">
-                    🔧 Manage in Admin Panel
-                  </a>
-                </div>
-              </div>
-
-              <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center; color: #6b7280; font-size: 14px;">
-                <p>This email was automatically generated when someone submitted the contact form on your website.</p>
-                <p style="margin: 5px 0;">
-                  <strong>Metrax Indigenous</strong> • Building Communities • Training Students
-                </p>
-                ${!isProduction ? `<p style="margin: 10px 0; color: #f59e0b;"><strong>Testing Mode:</strong> Emails are sent to your verified address only</p>` : ''}
-              </div>
-            </div>
-          </div>
-        `,
-        text: `
-${!isProduction ? '⚠️ TEST MODE - This email would normally go to info@metraxindigenous.com\n\n' : ''}New Contact Form Submission
-
-Name: ${name}
-Email: ${email}
-Subject: ${subject}
-Submitted: ${new Date(submittedAt).toLocaleString()}
-
-${message ? `Message:\n${message}` : 'No message provided.'}
-
-Reply to this inquiry: mailto:${email}?subject=Re: ${subject}
-Manage in admin panel: ${process.env.ADMIN_PANEL_URL || 'http://localhost:5173'}/admin/contact-submissions
-
-${!isProduction ? '\nNote: In production, this would be sent to info@metraxindigenous.com' : ''}
-        `
+        ...this.renderEmail('contact-notification', contactData),
       });
 
       if (error) {
-        console.error('Resend error:', error);
+        console.error('Email transport error:', error);
         throw new Error(`Failed to send email: ${error.message || 'Unknown error'}`);
       }
 
@@ -124,64 +82,23 @@ ${!isProduction ? '\nNote: In production, this would be sent to info@metraxindig
 
   async sendDonationNotification(donationData) {
     try {
-      const { donorName, donorEmail, amount, projectTitle, message, submittedAt } = donationData;
-      
+      const { donorEmail, amount, projectTitle } = donationData;
+
       // Validate required fields
       if (!donorEmail || !amount || !projectTitle) {
         throw new Error('Missing required fields: donorEmail, amount, or projectTitle');
       }
 
-      const { isProduction, fromAddress, adminEmail } = this.getEmailConfig();
-      
-      const { data, error } = await resend.emails.send({
+      const { fromAddress, adminEmail } = this.getEmailConfig();
+
+      const { data, error } = await emailTransport.send({
         from: fromAddress,
         to: adminEmail,
-        subject: `💸 ${isProduction ? '' : '[TEST] '}New Donation Received: ${projectTitle}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9fafb;">
-            ${!isProduction ? `
-            <div style="background-color: #f59e0b; color: white; padding: 10px; text-align: center; border-radius: 6px; margin-bottom: 10px;">
-              <strong>⚠️ TEST MODE</strong>
-            </div>
-            ` : ''}
-            
-            <div style="background-color: #0a0a6b; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
-              <h1 style="margin: 0; font-size: 24px;">💸 New Donation Received</h1>
-            </div>
-            
-            <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-              <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; border-left: 4px solid #0a0a6b; margin: 20px 0;">
-                <h3 style="color: #0a0a6b; margin: 0 0 15px 0;">Donation Details</h3>
-                <p style="margin: 5px 0; color: #374151;"><strong>Name:</strong> ${donorName || 'Anonymous'}</p>
-                <p style="margin: 5px 0; color: #374151;"><strong>Email:</strong> <a href="mailto:${donorEmail}" style="color: #0a0a6b;">${donorEmail}</a></p>
-                <p style="margin: 5px 0; color: #374151;"><strong>Amount:</strong> $${amount}</p>
-                <p style="margin: 5px 0; color: #374151;"><strong>Project:</strong> ${projectTitle}</p>
-                <p style="margin: 5px 0; color: #374151;"><strong>Submitted:</strong> ${new Date(submittedAt).toLocaleString()}</p>
-                ${message ? `<p style="margin: 15px 0 5px 0; color: #374151;"><strong>Message:</strong></p><p style="font-style: italic; color: #6b7280;">"${message}"</p>` : ''}
-              </div>
-
-              <div style="text-align: center; margin: 30px 0;">
-                <a href="https://metraxindigenous.com/admin/donations" 
-                   style="background-color: #0a0a6b; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: 600; display: inline-block;">
-                  View in Admin Panel
-                </a>
-              </div>
-
-              <div style="text-align: center; color: #6b7280; font-size: 14px;">
-                <p style="margin: 5px 0;">
-                  <strong>Metrax Indigenous</strong><br>
-                  Building Communities • Training Students • Creating Futures
-                </p>
-                ${!isProduction ? '<p style="color: #f59e0b; font-weight: 600;">This is a test notification</p>' : ''}
-              </div>
-            </div>
-          </div>
-        `,
-        text: `${!isProduction ? '⚠️ TEST MODE\n\n' : ''}New Donation Received\n\nDonor: ${donorName || 'Anonymous'}\nEmail: ${donorEmail}\nAmount: $${amount}\nProject: ${projectTitle}\nMessage: ${message || 'None'}\nSubmitted: ${new Date(submittedAt).toLocaleString()}\n\n${!isProduction ? 'This is a test notification' : ''}`
+        ...this.renderEmail('donation-notification', donationData),
       });
-      
+
       if (error) {
-        console.error('Resend error:', error);
+        console.error('Email transport error:', error);
         throw new Error(`Failed to send donation notification: ${error.message || 'Unknown error'}`);
       }
 
@@ -194,46 +111,22 @@ ${!isProduction ? '\nNote: In production, this would be sent to info@metraxindig
 
   async sendExpressionNotification(expressionData) {
     try {
-      const { communityName, province, address, coordinatorName, phone, email, membersToEnroll, programYears, homesPerYear, totalHomes, landsIdentified, siteSurveyCompleted, soilStudyCompleted, architecturalDesignSelected, constructionFundsAvailable, educationFundsAvailable, comments, submittedAt } = expressionData;
-      
+      const { communityName, coordinatorName, email } = expressionData;
+
       // Validate required fields
       if (!communityName || !coordinatorName || !email) {
         throw new Error('Missing required fields: communityName, coordinatorName, or email');
       }
 
-      const { isProduction, fromAddress, adminEmail } = this.getEmailConfig();
-      
-      const { data, error } = await resend.emails.send({
+      const { fromAddress, adminEmail } = this.getEmailConfig();
+
+      const { data, error } = await emailTransport.send({
         from: fromAddress,
         to: adminEmail,
-        subject: `🏠 ${isProduction ? '' : '[TEST] '}New Home Model Expression of Interest`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9fafb;">
-            <h2>New Expression of Interest</h2>
-            <p><strong>Community:</strong> ${communityName}</p>
-            <p><strong>Province:</strong> ${province}</p>
-            <p><strong>Address:</strong> ${address}</p>
-            <p><strong>Coordinator:</strong> ${coordinatorName}</p>
-            <p><strong>Phone:</strong> ${phone}</p>
-            <p><strong>Email:</strong> ${email}</p>
-            <p><strong>Members to Enroll:</strong> ${membersToEnroll}</p>
-            <p><strong>Program Years:</strong> ${programYears}</p>
-            <p><strong>Homes Per Year:</strong> ${homesPerYear}</p>
-            <p><strong>Total Homes:</strong> ${totalHomes}</p>
-            <p><strong>Lands Identified:</strong> ${landsIdentified}</p>
-            <p><strong>Site Survey Completed:</strong> ${siteSurveyCompleted}</p>
-            <p><strong>Soil Study Completed:</strong> ${soilStudyCompleted}</p>
-            <p><strong>Architectural Design Selected:</strong> ${architecturalDesignSelected}</p>
-            <p><strong>Construction Funds Available:</strong> ${constructionFundsAvailable}</p>
-            <p><strong>Education Funds Available:</strong> ${educationFundsAvailable}</p>
-            <p><strong>Comments:</strong> ${comments}</p>
-            <p><strong>Submitted:</strong> ${new Date(submittedAt).toLocaleString()}</p>
-          </div>
-        `,
-        text: `New Expression of Interest\nCommunity: ${communityName}\nProvince: ${province}\nAddress: ${address}\nCoordinator: ${coordinatorName}\nPhone: ${phone}\nEmail: ${email}\nMembers to Enroll: ${membersToEnroll}\nProgram Years: ${programYears}\nHomes Per Year: ${homesPerYear}\nTotal Homes: ${totalHomes}\nLands Identified: ${landsIdentified}\nSite Survey Completed: ${siteSurveyCompleted}\nSoil Study Completed: ${soilStudyCompleted}\nArchitectural Design Selected: ${architecturalDesignSelected}\nConstruction Funds Available: ${constructionFundsAvailable}\nEducation Funds Available: ${educationFundsAvailable}\nComments: ${comments}\nSubmitted: ${new Date(submittedAt).toLocaleString()}`
+        ...this.renderEmail('expression-notification', expressionData),
       });
       if (error) {
-        console.error('Resend error:', error);
+        console.error('Email transport error:', error);
         throw new Error(`Failed to send expression notification: ${error.message || 'Unknown error'}`);
       }
 
@@ -246,40 +139,23 @@ ${!isProduction ? '\nNote: In production, this would be sent to info@metraxindig
 
   async sendVolunteerNotification(volunteerData) {
     try {
-      const { firstName, lastName, email, phone, address, city, province, postalCode, availability, volunteerRoles, experience, skills, motivation, emergencyContact, emergencyPhone, submittedAt } = volunteerData;
-      
+      const { firstName, lastName, email } = volunteerData;
+
       // Validate required fields
       if (!firstName || !lastName || !email) {
         throw new Error('Missing required fields: firstName, lastName, or email');
       }
 
-      const { isProduction, fromAddress, adminEmail } = this.getEmailConfig();
-      
-      const { data, error } = await resend.emails.send({
+      const { fromAddress, adminEmail } = this.getEmailConfig();
+
+      const { data, error } = await emailTransport.send({
         from: fromAddress,
         to: adminEmail,
-        subject: `🙋‍♂️ ${isProduction ? '' : '[TEST] '}New Volunteer Application`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9fafb;">
-            <h2>New Volunteer Application</h2>
-            <p><strong>Name:</strong> ${firstName} ${lastName}</p>
-            <p><strong>Email:</strong> ${email}</p>
-            <p><strong>Phone:</strong> ${phone}</p>
-            <p><strong>Address:</strong> ${address}, ${city}, ${province}, ${postalCode}</p>
-            <p><strong>Availability:</strong> ${availability}</p>
-            <p><strong>Volunteer Roles:</strong> ${Array.isArray(volunteerRoles) ? volunteerRoles.join(', ') : volunteerRoles}</p>
-            <p><strong>Experience:</strong> ${experience}</p>
-            <p><strong>Skills:</strong> ${skills}</p>
-            <p><strong>Motivation:</strong> ${motivation}</p>
-            <p><strong>Emergency Contact:</strong> ${emergencyContact} (${emergencyPhone})</p>
-            <p><strong>Submitted:</strong> ${new Date(submittedAt).toLocaleString()}</p>
-          </div>
-        `,
-        text: `${!isProduction ? '⚠️ TEST MODE\n\n' : ''}New Volunteer Application\n\nName: ${firstName} ${lastName}\nEmail: ${email}\nPhone: ${phone}\nAddress: ${address}, ${city}, ${province}, ${postalCode}\nAvailability: ${availability}\nVolunteer Roles: ${Array.isArray(volunteerRoles) ? volunteerRoles.join(', ') : volunteerRoles}\nExperience: ${experience}\nSkills: ${skills}\nMotivation: ${motivation}\nEmergency Contact: ${emergencyContact} (${emergencyPhone})\nSubmitted: ${new Date(submittedAt).toLocaleString()}\n\n${!isProduction ? 'This is a test notification' : ''}`
+        ...this.renderEmail('volunteer-notification', volunteerData),
       });
-      
+
       if (error) {
-        console.error('Resend error:', error);
+        console.error('Email transport error:', error);
         throw new Error(`Failed to send volunteer notification: ${error.message || 'Unknown error'}`);
       }
 
@@ -292,36 +168,23 @@ ${!isProduction ? '\nNote: In production, this would be sent to info@metraxindig
 
   async sendEnrollmentNotification(enrollmentData) {
     try {
-      const { courseId, firstName, lastName, email, phone, address, city, province, postalCode, motivation, submittedAt } = enrollmentData;
-      
+      const { courseId, firstName, lastName, email } = enrollmentData;
+
       // Validate required fields
       if (!courseId || !firstName || !lastName || !email) {
         throw new Error('Missing required fields: courseId, firstName, lastName, or email');
       }
 
-      const { isProduction, fromAddress, adminEmail } = this.getEmailConfig();
-      
-      const { data, error } = await resend.emails.send({
+      const { fromAddress, adminEmail } = this.getEmailConfig();
+
+      const { data, error } = await emailTransport.send({
         from: fromAddress,
         to: adminEmail,
-        subject: `📚 ${isProduction ? '' : '[TEST] '}New Course Enrollment`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9fafb;">
-            <h2>New Course Enrollment</h2>
-            <p><strong>Course ID:</strong> ${courseId}</p>
-            <p><strong>Name:</strong> ${firstName} ${lastName}</p>
-            <p><strong>Email:</strong> ${email}</p>
-            <p><strong>Phone:</strong> ${phone}</p>
-            <p><strong>Address:</strong> ${address}, ${city}, ${province}, ${postalCode}</p>
-            <p><strong>Motivation:</strong> ${motivation}</p>
-            <p><strong>Submitted:</strong> ${new Date(submittedAt).toLocaleString()}</p>
-          </div>
-        `,
-        text: `${!isProduction ? '⚠️ TEST MODE\n\n' : ''}New Course Enrollment\n\nCourse ID: ${courseId}\nName: ${firstName} ${lastName}\nEmail: ${email}\nPhone: ${phone}\nAddress: ${address}, ${city}, ${province}, ${postalCode}\nMotivation: ${motivation}\nSubmitted: ${new Date(submittedAt).toLocaleString()}\n\n${!isProduction ? 'This is a test notification' : ''}`
+        ...this.renderEmail('enrollment-notification', enrollmentData),
       });
-      
+
       if (error) {
-        console.error('Resend error:', error);
+        console.error('Email transport error:', error);
         throw new Error(`Failed to send enrollment notification: ${error.message || 'Unknown error'}`);
       }
 
@@ -335,114 +198,29 @@ ${!isProduction ? '\nNote: In production, this would be sent to info@metraxindig
   // Send donation confirmation email to donor
   async sendDonationConfirmation(donationData) {
     try {
-      const { donorName, donorEmail, amount, projectTitle, message, submittedAt, paymentId } = donationData;
-      
+      const { donorEmail, amount, feeAmount, projectTitle, matchedAmount } = donationData;
+
       // Validate required fields
       if (!donorEmail || !amount || !projectTitle) {
         throw new Error('Missing required fields: donorEmail, amount, or projectTitle');
       }
 
-      const { isProduction } = this.getEmailConfig();
-      
-      // Use a verified from address for donor emails
-      const fromAddress = isProduction 
-        ? 'Metrax Indigenous <noreply@mail.metraxindigenous.com>' 
-        : 'Metrax Indigenous <onboarding@resend.dev>';
-      
-      const { data, error } = await resend.emails.send({
-        from: fromAddress,
+      const { donorFromAddress } = this.getEmailConfig();
+
+      const { data, error } = await emailTransport.send({
+        from: donorFromAddress,
         to: [donorEmail],
-        subject: `🙏 Thank you for your donation to ${projectTitle}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9fafb;">
-            ${!isProduction ? `
-            <div style="background-color: #f59e0b; color: white; padding: 10px; text-align: center; border-radius: 6px; margin-bottom: 10px;">
-              <strong>⚠️ TEST MODE</strong>
-            </div>
-            ` : ''}
-            
-            <div style="background-color: #0a0a6b; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
-              <h1 style="margin: 0; font-size: 24px;">🙏 Thank You for Your Donation!</h1>
-            </div>
-            
-            <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-              <p style="font-size: 18px; color: #0a0a6b; margin-bottom: 20px;">
-                Dear ${donorName === 'Anonymous' ? 'Generous Donor' : donorName},
-              </p>
-              
-              <p style="color: #374151; line-height: 1.6; margin-bottom: 20px;">
-                Thank you for your generous donation to support our mission! Your contribution makes a real difference in building stronger Indigenous communities.
-              </p>
-
-              <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; border-left: 4px solid #0a0a6b; margin: 20px 0;">
-                <h3 style="color: #0a0a6b; margin: 0 0 15px 0;">Donation Details</h3>
-                <p style="margin: 5px 0; color: #374151;"><strong>Amount:</strong> $${amount}</p>
-                <p style="margin: 5px 0; color: #374151;"><strong>Project:</strong> ${projectTitle}</p>
-                <p style="margin: 5px 0; color: #374151;"><strong>Date:</strong> ${new Date(submittedAt).toLocaleDateString()}</p>
-                ${paymentId ? `<p style="margin: 5px 0; color: #6b7280; font-size: 14px;"><strong>Transaction ID:</strong> ${paymentId}</p>` : ''}
-                ${message ? `<p style="margin: 15px 0 5px 0; color: #374151;"><strong>Your Message:</strong></p><p style="font-style: italic; color: #6b7280;">"${message}"</p>` : ''}
-              </div>
-
-              <div style="background-color: #ecfdf5; padding: 20px; border-radius: 8px; border-left: 4px solid #10b981; margin: 20px 0;">
-                <h3 style="color: #10b981; margin: 0 0 15px 0;">Your Impact</h3>
-                <p style="color: #374151; line-height: 1.6; margin: 0;">
-                  Your donation directly supports Indigenous communities through education, training, and home-building initiatives. Every dollar helps us create lasting change and build stronger, more sustainable communities.
-                </p>
-              </div>
-
-              <div style="text-align: center; margin: 30px 0;">
-                <a href="https://metraxindigenous.com" 
-                   style="background-color: #0a0a6b; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: 600; display: inline-block;">
-                  Visit Our Website
-                </a>
-              </div>
-
-              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;" />
-
-              <div style="text-align: center; color: #6b7280; font-size: 14px;">
-                <p style="margin: 5px 0;">
-                  <strong>Metrax Indigenous</strong><br>
-                  Building Communities • Training Students • Creating Futures
-                </p>
-                <p style="margin: 15px 0 5px 0;">
-                  For questions about your donation, please contact us at 
-                  <a href="mailto:info@metraxindigenous.com" style="color: #0a0a6b;">info@metraxindigenous.com</a>
-                </p>
-                ${!isProduction ? '<p style="color: #f59e0b; font-weight: 600;">This is a test email</p>' : ''}
-              </div>
-            </div>
-          </div>
-        `,
-        text: `
-${!isProduction ? '⚠️ TEST MODE\n\n' : ''}Thank You for Your Donation!
-
-Dear ${donorName === 'Anonymous' ? 'Generous Donor' : donorName},
-
-Thank you for your generous donation to support our mission! Your contribution makes a real difference in building stronger Indigenous communities.
-
-Donation Details:
-- Amount: $${amount}
-- Project: ${projectTitle}
-- Date: ${new Date(submittedAt).toLocaleDateString()}
-${paymentId ? `- Transaction ID: ${paymentId}` : ''}
-
-${message ? `Your Message: "${message}"` : ''}
-
-Your Impact:
-Your donation directly supports Indigenous communities through education, training, and home-building initiatives. Every dollar helps us create lasting change and build stronger, more sustainable communities.
-
-For questions about your donation, please contact us at h.logsend@metraxindigenous.com
-
-Metrax Indigenous
-Building Communities • Training Students • Creating Futures
-https://metraxindigenous.com
-
-${!isProduction ? 'This is a test email' : ''}
-        `
+        ...this.renderEmail('donation-confirmation', {
+          ...donationData,
+          // `amount` is the gift; a covered processing fee is shown on its own line
+          feeAmount: parseFloat(feeAmount) > 0 ? parseFloat(feeAmount) : 0,
+          // Sponsor match on top of the gift ("your $50 became $100")
+          matchedAmount: parseFloat(matchedAmount) > 0 ? parseFloat(matchedAmount) : 0,
+        }, donationData.locale),
       });
 
       if (error) {
-        console.error('Resend error sending confirmation:', error);
+        console.error('Email transport error sending confirmation:', error);
         throw new Error(`Failed to send confirmation email: ${error.message || 'Unknown error'}`);
       }
 
@@ -453,66 +231,326 @@ ${!isProduction ? 'This is a test email' : ''}
     }
   }
 
+  // Send tribute e-card to the person the donor asked us to notify
+  async sendTributeNotification(tributeData) {
+    try {
+      const { tributeType, honoreeName, recipientEmail } = tributeData;
+
+      // Validate required fields
+      if (!tributeType || !honoreeName || !recipientEmail) {
+        throw new Error('Missing required fields: tributeType, honoreeName, or recipientEmail');
+      }
+
+      const { donorFromAddress } = this.getEmailConfig();
+
+      const { data, error } = await emailTransport.send({
+        from: donorFromAddress,
+        to: [recipientEmail],
+        ...this.renderEmail('tribute-notification', tributeData, tributeData.locale),
+      });
+
+      if (error) {
+        console.error('Email transport error sending tribute notification:', error);
+        throw new Error(`Failed to send tribute notification: ${error.message || 'Unknown error'}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error sending tribute notification:', error);
+      throw error;
+    }
+  }
+
+  // Tell a fundraiser page owner that someone donated through their page
+  async sendFundraiserDonationNotification(fundraiserData) {
+    try {
+      const { ownerEmail, fundraiserTitle, amount } = fundraiserData;
+
+      // Validate required fields
+      if (!ownerEmail || !fundraiserTitle || !amount) {
+        throw new Error('Missing required fields: ownerEmail, fundraiserTitle, or amount');
+      }
+
+      const { donorFromAddress } = this.getEmailConfig();
+
+      const { data, error } = await emailTransport.send({
+        from: donorFromAddress,
+        to: [ownerEmail],
+        ...this.renderEmail('fundraiser-donation-notification', fundraiserData),
+      });
+
+      if (error) {
+        console.error('Email transport error sending fundraiser notification:', error);
+        throw new Error(`Failed to send fundraiser notification: ${error.message || 'Unknown error'}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error sending fundraiser notification:', error);
+      throw error;
+    }
+  }
+
+  // Send refund confirmation to donor
+  async sendRefundConfirmation(refundData) {
+    try {
+      const { donorEmail, refundAmount } = refundData;
+
+      // Validate required fields
+      if (!donorEmail || !refundAmount) {
+        throw new Error('Missing required fields: donorEmail or refundAmount');
+      }
+
+      const { donorFromAddress } = this.getEmailConfig();
+
+      const { data, error } = await emailTransport.send({
+        from: donorFromAddress,
+        to: [donorEmail],
+        ...this.renderEmail('refund-confirmation', refundData, refundData.locale),
+      });
+
+      if (error) {
+        console.error('Email transport error sending refund confirmation:', error);
+        throw new Error(`Failed to send refund confirmation: ${error.message || 'Unknown error'}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error sending refund confirmation:', error);
+      throw error;
+    }
+  }
+
+  // Send a donor their year-end consolidated tax receipt (PDF attached)
+  async sendYearEndReceipt(receiptData) {
+    try {
+      const { donorEmail, serialNumber, pdf, ...templateData } = receiptData;
+
+      // Validate required fields
+      if (!donorEmail || !serialNumber || !pdf) {
+        throw new Error('Missing required fields: donorEmail, serialNumber, or pdf');
+      }
+
+      const { donorFromAddress } = this.getEmailConfig();
+
+      const { data, error } = await emailTransport.send({
+        from: donorFromAddress,
+        to: [donorEmail],
+        attachments: [
+          {
+            filename: `receipt-${serialNumber}.pdf`,
+            content: pdf,
+          },
+        ],
+        ...this.renderEmail('year-end-receipt', { ...templateData, serialNumber }, templateData.locale),
+      });
+
+      if (error) {
+        console.error('Email transport error sending year-end receipt:', error);
+        throw new Error(`Failed to send year-end receipt: ${error.message || 'Unknown error'}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error sending year-end receipt:', error);
+      throw error;
+    }
+  }
+
+  // Send refund notification to admin
+  async sendRefundNotification(refundData) {
+    try {
+      const { refundId, refundAmount } = refundData;
+
+      // Validate required fields
+      if (!refundId || !refundAmount) {
+        throw new Error('Missing required fields: refundId or refundAmount');
+      }
+
+      const { fromAddress, adminEmail } = this.getEmailConfig();
+
+      const { data, error } = await emailTransport.send({
+        from: fromAddress,
+        to: adminEmail,
+        ...this.renderEmail('refund-notification', refundData),
+      });
+
+      if (error) {
+        console.error('Email transport error:', error);
+        throw new Error(`Failed to send refund notification: ${error.message || 'Unknown error'}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error sending refund notification:', error);
+      throw error;
+    }
+  }
+
+  // Tell a donor their payment did not go through (bank debits and recurring gifts)
+  async sendPaymentFailedNotice(paymentData) {
+    try {
+      const { donorEmail, amount } = paymentData;
+
+      // Validate required fields
+      if (!donorEmail || !amount) {
+        throw new Error('Missing required fields: donorEmail or amount');
+      }
+
+      const { donorFromAddress } = this.getEmailConfig();
+
+      const { data, error } = await emailTransport.send({
+        from: donorFromAddress,
+        to: [donorEmail],
+        ...this.renderEmail('payment-failed', paymentData, paymentData.locale),
+      });
+
+      if (error) {
+        console.error('Email transport error sending payment failed notice:', error);
+        throw new Error(`Failed to send payment failed notice: ${error.message || 'Unknown error'}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error sending payment failed notice:', error);
+      throw error;
+    }
+  }
+
+  // Confirm to a donor that their recurring donation has ended
+  async sendSubscriptionCanceledNotice(subscriptionData) {
+    try {
+      const { donorEmail } = subscriptionData;
+
+      // Validate required fields
+      if (!donorEmail) {
+        throw new Error('Missing required field: donorEmail');
+      }
+
+      const { donorFromAddress } = this.getEmailConfig();
+
+      const { data, error } = await emailTransport.send({
+        from: donorFromAddress,
+        to: [donorEmail],
+        ...this.renderEmail('subscription-canceled', subscriptionData, subscriptionData.locale),
+      });
+
+      if (error) {
+        console.error('Email transport error sending subscription cancellation notice:', error);
+        throw new Error(`Failed to send subscription cancellation notice: ${error.message || 'Unknown error'}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error sending subscription cancellation notice:', error);
+      throw error;
+    }
+  }
+
+  // Alert admins to a payment event that needs attention (disputes, failed refunds)
+  async sendPaymentAlert(alertData) {
+    try {
+      const { title, summary, details = {} } = alertData;
+
+      // Validate required fields
+      if (!title) {
+        throw new Error('Missing required field: title');
+      }
+
+      const { fromAddress, adminEmail } = this.getEmailConfig();
+      const rows = Object.entries(details)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([label, value]) => ({ label, value }));
+
+      const { data, error } = await emailTransport.send({
+        from: fromAddress,
+        to: adminEmail,
+        ...this.renderEmail('payment-alert', { title, summary, details: rows }),
+      });
+
+      if (error) {
+        console.error('Email transport error:', error);
+        throw new Error(`Failed to send payment alert: ${error.message || 'Unknown error'}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error sending payment alert:', error);
+      throw error;
+    }
+  }
+
+  // Send a Stripe reconciliation report to the admin address
+  async sendReconciliationReport(report) {
+    try {
+      const { id, from, to, trigger, summary, discrepancies = [] } = report;
+
+      // Validate required fields
+      if (!id || !summary) {
+        throw new Error('Missing required fields: id or summary');
+      }
+
+      const { fromAddress } = this.getEmailConfig();
+      const clean = discrepancies.length === 0;
+      const label = (type) => DISCREPANCY_LABELS[type] || type;
+      // Keep the email readable; the full list is in the stored report
+      const listed = discrepancies.slice(0, 50);
+
+      const { data, error } = await emailTransport.send({
+        from: fromAddress,
+        to: [config.resend.adminEmail],
+        ...this.renderEmail('reconciliation-report', {
+          id,
+          from,
+          to,
+          trigger,
+          summary,
+          clean,
+          headerColor: clean ? undefined : '#b91c1c',
+          discrepancyCount: discrepancies.length,
+          counts: Object.entries(summary.byType).map(([type, count]) => ({ label: label(type), count })),
+          settled: Object.entries(summary.settled).map(([currency, totals]) => ({
+            ...totals,
+            currency,
+            code: currency.toUpperCase(),
+          })),
+          listed: listed.map((item) => ({ label: label(item.type), message: item.message })),
+          moreCount: discrepancies.length - listed.length,
+        }),
+      });
+
+      if (error) {
+        console.error('Email transport error:', error);
+        throw new Error(`Failed to send reconciliation report: ${error.message || 'Unknown error'}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error sending reconciliation report:', error);
+      throw error;
+    }
+  }
+
   // Send newsletter subscription notification to admin
   async sendNewsletterNotification(subscriptionData) {
     try {
-      const { email, submittedAt } = subscriptionData;
+      const { email } = subscriptionData;
 
       // Validate required fields
       if (!email) {
         throw new Error('Missing required field: email');
       }
 
-      const { isProduction, fromAddress, adminEmail } = this.getEmailConfig();
+      const { fromAddress, adminEmail } = this.getEmailConfig();
 
-      const { data, error } = await resend.emails.send({
+      const { data, error } = await emailTransport.send({
         from: fromAddress,
         to: adminEmail,
-        subject: `📧 ${isProduction ? '' : '[TEST] '}New Newsletter Subscription`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9fafb;">
-            ${!isProduction ? `
-            <div style="background-color: #f59e0b; color: white; padding: 10px; text-align: center; border-radius: 6px; margin-bottom: 10px;">
-              <strong>⚠️ TEST MODE - This email would normally go to production admins</strong>
-            </div>
-            ` : ''}
-            
-            <div style="background-color: #0a0a6b; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
-              <h1 style="margin: 0; font-size: 24px;">📧 New Newsletter Subscription</h1>
-            </div>
-            
-            <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-              <p style="color: #374151; line-height: 1.6; margin-bottom: 20px;">
-                A new user has subscribed to the Metrax Indigenous newsletter.
-              </p>
-
-              <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; border-left: 4px solid #0a0a6b; margin: 20px 0;">
-                <h3 style="color: #0a0a6b; margin: 0 0 15px 0;">Subscription Details</h3>
-                <p style="margin: 5px 0; color: #374151;"><strong>Email:</strong> ${email}</p>
-                <p style="margin: 5px 0; color: #374151;"><strong>Subscribed At:</strong> ${submittedAt ? new Date(submittedAt).toLocaleString() : new Date().toLocaleString()}</p>
-                <p style="margin: 5px 0; color: #374151;"><strong>Source:</strong> Website Newsletter Form</p>
-              </div>
-
-              <div style="background-color: #ecfdf5; padding: 15px; border-radius: 8px; margin: 20px 0;">
-                <p style="color: #065f46; margin: 0; font-weight: 500;">
-                  📊 Action Required: Add this email to your newsletter distribution list
-                </p>
-              </div>
-
-              <div style="text-align: center; color: #6b7280; font-size: 14px;">
-                <p style="margin: 5px 0;">
-                  <strong>Metrax Indigenous</strong><br>
-                  Newsletter Management System
-                </p>
-              </div>
-            </div>
-          </div>
-        `,
-        text: `New Newsletter Subscription\n\nA new user has subscribed to the Metrax Indigenous newsletter.\n\nSubscription Details:\n- Email: ${email}\n- Subscribed At: ${submittedAt ? new Date(submittedAt).toLocaleString() : new Date().toLocaleString()}\n- Source: Website Newsletter Form\n\nAction Required: Add this email to your newsletter distribution list\n\nMetrax Indigenous Newsletter Management System`
+        ...this.renderEmail('newsletter-notification', subscriptionData),
       });
 
       if (error) {
-        console.error('Resend error sending newsletter notification:', error);
+        console.error('Email transport error sending newsletter notification:', error);
         throw new Error(`Failed to send newsletter notification: ${error.message || 'Unknown error'}`);
       }
 
@@ -523,6 +561,40 @@ ${!isProduction ? 'This is a test email' : ''}
     }
   }
 
+  // Acknowledge a contact, volunteer, enrollment or newsletter submission to
+  // the person who sent it, in the language they used on the site
+  async sendSubmissionReceived(submissionData) {
+    try {
+      const { form, email, locale } = submissionData;
+
+      // Validate required fields
+      if (!email) {
+        throw new Error('Missing required field: email');
+      }
+      if (!SUBMISSION_FORMS.includes(form)) {
+        throw new Error(`Unknown submission form: ${form}`);
+      }
+
+      const { donorFromAddress } = this.getEmailConfig();
+
+      const { data, error } = await emailTransport.send({
+        from: donorFromAddress,
+        to: [email],
+        ...this.renderEmail('submission-received', submissionData, locale),
+      });
+
+      if (error) {
+        console.error('Email transport error sending submission acknowledgement:', error);
+        throw new Error(`Failed to send submission acknowledgement: ${error.message || 'Unknown error'}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error sending submission acknowledgement:', error);
+      throw error;
+    }
+  }
+
   // Test email method to verify configuration
   async testEmail(recipientEmail) {
     try {
@@ -530,45 +602,20 @@ ${!isProduction ? 'This is a test email' : ''}
         throw new Error('Recipient email is required for testing');
       }
 
-      const { isProduction, fromAddress } = this.getEmailConfig();
-      
-      const { data, error } = await resend.emails.send({
+      const { fromAddress } = this.getEmailConfig();
+
+      const { data, error } = await emailTransport.send({
         from: fromAddress,
         to: [recipientEmail],
-        subject: `🧪 ${isProduction ? '' : '[TEST] '}Email Configuration Test`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9fafb;">
-            <div style="background-color: #10b981; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
-              <h1 style="margin: 0; font-size: 24px;">🧪 Email Test Successful!</h1>
-            </div>
-            
-            <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-              <p style="color: #374151; line-height: 1.6; margin-bottom: 20px;">
-                This is a test email to verify that your Resend email configuration is working correctly.
-              </p>
-
-              <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; border-left: 4px solid #0a0a6b; margin: 20px 0;">
-                <h3 style="color: #0a0a6b; margin: 0 0 15px 0;">Configuration Details</h3>
-                <p style="margin: 5px 0; color: #374151;"><strong>Environment:</strong> ${isProduction ? 'Production' : 'Development'}</p>
-                <p style="margin: 5px 0; color: #374151;"><strong>From Address:</strong> ${fromAddress}</p>
-                <p style="margin: 5px 0; color: #374151;"><strong>Test Time:</strong> ${new Date().toLocaleString()}</p>
-                <p style="margin: 5px 0; color: #374151;"><strong>Domain:</strong> ${isProduction ? 'mail.metraxindigenous.com' : 'resend.dev'}</p>
-              </div>
-
-              <div style="text-align: center; color: #6b7280; font-size: 14px;">
-                <p style="margin: 5px 0;">
-                  <strong>Metrax Indigenous</strong><br>
-                  Email Service Test
-                </p>
-              </div>
-            </div>
-          </div>
-        `,
-        text: `Email Test Successful!\n\nThis is a test email to verify that your Resend email configuration is working correctly.\n\nConfiguration Details:\n- Environment: ${isProduction ? 'Production' : 'Development'}\n- From Address: ${fromAddress}\n- Test Time: ${new Date().toLocaleString()}\n- Domain: ${isProduction ? 'mail.metraxindigenous.com' : 'resend.dev'}\n\nMetrax Indigenous Email Service Test`
+        ...this.renderEmail('test-email', {
+          fromAddress,
+          sentAt: new Date().toISOString(),
+          transports: emailTransport.describe(),
+        }),
       });
 
       if (error) {
-        console.error('Resend error during test:', error);
+        console.error('Email transport error during test:', error);
         throw new Error(`Test email failed: ${error.message || 'Unknown error'}`);
       }
 
@@ -1,15 +1,65 @@
 const stripe = require('stripe');
 const config = require('../config/config');
 const logger = require('../utils/logger');
-const { validateEmail, validateAmount } = require('../utils/validation');
+const donationLedger = require('./donationLedger');
+const subscriptionLedger = require('./subscriptionLedger');
+const campaignProgressService = require('./campaignProgressService');
+const resendEmailService = require('./resendEmailService');
+const projectService = require('./projectService');
+const fundraiserService = require('./fundraiserService');
+const matchingService = require('./matchingService');
+const receiptService = require('./receiptService');
+const { validateEmail, validateAmount, validateCurrency, describeAmountRange } = require('../utils/validation');
+const { normalizeCurrency, toMinorUnits, fromMinorUnits, formatCurrency } = require('../utils/currency');
+const { calculateCoveredFees } = require('../utils/fees');
+const { toAddressMetadata } = require('../utils/donorAddress');
+const { getSubscriptionManageUrl } = require('../utils/subscriptionToken');
+
+const stripeError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatMinorAmount = (amount, currency) => formatCurrency(fromMinorUnits(amount, currency), currency);
 
 class StripeService {
   constructor() {
     this.stripe = stripe(config.stripe.secretKey);
+    this.webhookHandlers = {};
+
+    // Webhook event type -> handler(eventObject, event)
+    const handlers = {
+      'payment_intent.succeeded': this.handlePaymentSucceeded,
+      'payment_intent.processing': this.handlePaymentProcessing,
+      'payment_intent.payment_failed': this.handlePaymentFailed,
+      'payment_intent.canceled': this.handlePaymentCanceled,
+      'charge.refunded': this.handleRefund,
+      'charge.refund.updated': this.handleRefundUpdated,
+      'charge.dispute.created': this.handleDispute,
+      'charge.dispute.closed': this.handleDispute,
+      'checkout.session.completed': this.handleCheckoutSessionCompleted,
+      'checkout.session.async_payment_succeeded': this.handleCheckoutSessionCompleted,
+      'invoice.paid': this.handleInvoicePaid,
+      'invoice.payment_failed': this.handleInvoicePaymentFailed,
+      'customer.subscription.created': this.handleSubscriptionChange,
+      'customer.subscription.updated': this.handleSubscriptionChange,
+      'customer.subscription.paused': this.handleSubscriptionChange,
+      'customer.subscription.resumed': this.handleSubscriptionChange,
+      'customer.subscription.deleted': this.handleSubscriptionChange,
+    };
+    Object.entries(handlers).forEach(([eventType, handler]) => {
+      this.registerWebhookHandler(eventType, handler.bind(this));
+    });
+  }
+
+  // Register (or replace) the handler for a webhook event type
+  registerWebhookHandler(eventType, handler) {
+    this.webhookHandlers[eventType] = handler;
   }
 
   // Create a payment intent
-  async createPaymentIntent(donationData) {
+  async createPaymentIntent(donationData, { idempotencyKey } = {}) {
     try {
       // Validate input data
       const validation = this.validateDonationData(donationData);
@@ -17,25 +67,19 @@ class StripeService {
         throw new Error(validation.errors.join(', '));
       }
 
-      // Convert amount to cents
-      const amountInCents = Math.round(donationData.amount * 100);
+      const { currency, amount: amountInCents, giftAmount, feeAmount, metadata } =
+        this.buildPaymentDetails(donationData);
 
       // Create payment intent
       const paymentIntent = await this.stripe.paymentIntents.create({
         amount: amountInCents,
-        currency: config.stripe.currency,
+        currency,
         payment_method_types: config.stripe.paymentMethods,
-        metadata: {
-          projectId: donationData.projectId,
-          donorName: donationData.anonymous ? 'Anonymous' : donationData.donorName,
-          donorEmail: donationData.donorEmail,
-          message: donationData.message || '',
-          anonymous: donationData.anonymous.toString(),
-        },
+        metadata,
         description: `Donation to ${donationData.projectTitle}`,
         receipt_email: donationData.donorEmail,
         // Remove automatic_payment_methods since we're using payment_method_types
-      });
+      }, idempotencyKey ? { idempotencyKey } : undefined);
 
       logger.info('Payment intent created successfully', {
         paymentIntentId: paymentIntent.id,
@@ -48,6 +92,9 @@ class StripeService {
         clientSecret: paymentIntent.client_secret,
         paymentIntentId: paymentIntent.id,
         amount: amountInCents,
+        giftAmount,
+        feeAmount,
+        currency,
       };
     } catch (error) {
       logger.error('Error creating payment intent', {
@@ -59,17 +106,152 @@ class StripeService {
         },
       });
 
-      // Handle specific Stripe errors
-      if (error.type === 'StripeCardError') {
-        throw new Error(`Card error: ${error.message}`);
-      } else if (error.type === 'StripeInvalidRequestError') {
-        throw new Error('Invalid payment request');
-      } else if (error.type === 'StripeAPIError') {
-        throw new Error('Payment service temporarily unavailable');
-      } else {
-        throw new Error('Payment processing failed');
+      throw this.toPaymentError(error);
+    }
+  }
+
+  // Amount to charge (in minor units) and payment intent metadata for a
+  // one-time donation, grossed up when the donor covers the processing fee
+  buildPaymentDetails(donationData) {
+    const currency = normalizeCurrency(donationData.currency);
+    const fees = donationData.coverFees
+      ? calculateCoveredFees(donationData.amount, currency)
+      : null;
+    const amount = fees ? fees.totalAmount : toMinorUnits(donationData.amount, currency);
+
+    return {
+      currency,
+      amount,
+      giftAmount: fees ? fees.giftAmount : amount,
+      feeAmount: fees ? fees.feeAmount : 0,
+      metadata: {
+        ...this.buildDonationMetadata(donationData),
+        ...(fees && {
+          coverFees: 'true',
+          giftAmount: fees.giftAmount.toString(),
+          feeAmount: fees.feeAmount.toString(),
+        }),
+      },
+    };
+  }
+
+  // Create a hosted Checkout Session for sites that can't embed Elements
+  async createCheckoutSession(donationData, { idempotencyKey } = {}) {
+    try {
+      const validation = this.validateDonationData(donationData);
+      if (!validation.isValid) {
+        throw new Error(validation.errors.join(', '));
       }
+
+      const { currency, amount, giftAmount, feeAmount, metadata } =
+        this.buildPaymentDetails(donationData);
+      const description = `Donation to ${donationData.projectTitle}`;
+
+      const session = await this.stripe.checkout.sessions.create({
+        mode: 'payment',
+        payment_method_types: config.stripe.paymentMethods,
+        customer_email: donationData.donorEmail,
+        line_items: [{
+          quantity: 1,
+          price_data: {
+            currency,
+            unit_amount: amount,
+            product_data: {
+              name: description,
+            },
+          },
+        }],
+        // The payment intent carries the same metadata as an Elements donation,
+        // so the ledger and receipts treat both flows alike
+        payment_intent_data: {
+          metadata,
+          description,
+          receipt_email: donationData.donorEmail,
+        },
+        metadata: {
+          projectId: donationData.projectId,
+        },
+        success_url: `${config.frontendUrl}${config.checkout.successPath}?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${config.frontendUrl}${config.checkout.cancelPath}`,
+      }, idempotencyKey ? { idempotencyKey } : undefined);
+
+      logger.info('Checkout session created successfully', {
+        sessionId: session.id,
+        amount,
+        projectId: donationData.projectId,
+        donorEmail: donationData.donorEmail,
+      });
+
+      return {
+        sessionId: session.id,
+        url: session.url,
+        amount,
+        giftAmount,
+        feeAmount,
+        currency,
+      };
+    } catch (error) {
+      logger.error('Error creating checkout session', {
+        error: error.message,
+        donationData: {
+          projectId: donationData.projectId,
+          donorEmail: donationData.donorEmail,
+          amount: donationData.amount,
+        },
+      });
+
+      throw this.toPaymentError(error);
+    }
+  }
+
+  // Retrieve a Checkout Session with its payment intent
+  async getCheckoutSession(sessionId) {
+    try {
+      return await this.stripe.checkout.sessions.retrieve(sessionId, {
+        expand: ['payment_intent'],
+      });
+    } catch (error) {
+      logger.error('Error retrieving checkout session', {
+        error: error.message,
+        sessionId,
+      });
+
+      throw new Error('Checkout session not found');
+    }
+  }
+
+  // Metadata attached to every donation object (intents and subscriptions)
+  buildDonationMetadata(donationData) {
+    return {
+      projectId: donationData.projectId,
+      ...(donationData.fundraiserId && { fundraiserId: donationData.fundraiserId }),
+      donorName: donationData.anonymous ? 'Anonymous' : donationData.donorName,
+      donorEmail: donationData.donorEmail,
+      ...(donationData.locale && { locale: donationData.locale }),
+      message: donationData.message || '',
+      anonymous: donationData.anonymous.toString(),
+      ...(!donationData.anonymous && toAddressMetadata(donationData.donorAddress)),
+      ...(donationData.tribute && {
+        tributeType: donationData.tribute.type,
+        honoreeName: donationData.tribute.honoreeName,
+        tributeRecipientName: donationData.tribute.recipientName,
+        tributeRecipientEmail: donationData.tribute.recipientEmail,
+        tributeMessage: donationData.tribute.message,
+        tributeShowAmount: donationData.tribute.showAmount.toString(),
+      }),
+    };
+  }
+
+  // Map Stripe errors to donor-safe messages
+  toPaymentError(error) {
+    if (error.type === 'StripeCardError') {
+      return new Error(`Card error: ${error.message}`);
+    } else if (error.type === 'StripeInvalidRequestError') {
+      return new Error('Invalid payment request');
+    } else if (error.type === 'StripeAPIError') {
+      return new Error('Payment service temporarily unavailable');
     }
+    return new Error('Payment processing failed');
   }
 
   // Confirm a payment
@@ -123,13 +305,13 @@ class StripeService {
   }
 
   // Create a refund
-  async createRefund(paymentIntentId, amount, reason = 'requested_by_customer') {
+  async createRefund(paymentIntentId, amount, reason = 'requested_by_customer', { idempotencyKey, currency } = {}) {
     try {
       const refund = await this.stripe.refunds.create({
         payment_intent: paymentIntentId,
-        amount: amount ? Math.round(amount * 100) : undefined,
+        amount: amount ? toMinorUnits(amount, currency) : undefined,
         reason,
-      });
+      }, idempotencyKey ? { idempotencyKey } : undefined);
 
       logger.info('Refund created successfully', {
         refundId: refund.id,
@@ -151,15 +333,100 @@ class StripeService {
     }
   }
 
+  // Amounts already refunded and still refundable on a payment intent (smallest unit)
+  async getRefundableAmount(paymentIntentId) {
+    try {
+      const paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId, {
+        expand: ['latest_charge'],
+      });
+      const charge = paymentIntent.latest_charge;
+      const amount = charge?.amount ?? paymentIntent.amount_received ?? 0;
+      const amountRefunded = charge?.amount_refunded || 0;
+
+      return {
+        currency: paymentIntent.currency,
+        amount,
+        amountRefunded,
+        remaining: Math.max(0, amount - amountRefunded),
+      };
+    } catch (error) {
+      logger.error('Error retrieving refundable amount', {
+        error: error.message,
+        paymentIntentId,
+      });
+
+      throw new Error('Payment not found');
+    }
+  }
+
+  // Void or replace the receipt and notify the donor and admins for each
+  // refund that has not been announced yet. Safe to call repeatedly.
+  async processRefundNotifications(paymentIntentId) {
+    const donation = await donationLedger.getDonation(paymentIntentId);
+    const pendingRefunds = (donation?.refunds || []).filter(
+      (refund) => !refund.notifiedAt && !['failed', 'canceled'].includes(refund.status)
+    );
+    if (pendingRefunds.length === 0) {
+      return;
+    }
+
+    const isFullRefund = donation.status === 'refunded';
+    const cancelledReceipt = await receiptService.voidReceipt(
+      paymentIntentId,
+      isFullRefund ? 'Donation refunded' : 'Donation partially refunded'
+    );
+    const projectTitle = projectService.getProject(donation.projectId)?.title || 'Community Project';
+
+    for (const refund of pendingRefunds) {
+      const refundData = {
+        donorName: donation.anonymous ? 'Anonymous' : donation.donor.name,
+        donorEmail: donation.donor.email,
+        locale: donation.donor.locale,
+        refundAmount: fromMinorUnits(refund.amount, donation.currency),
+        totalRefunded: fromMinorUnits(donation.amountRefunded, donation.currency),
+        originalAmount: fromMinorUnits(donation.amount, donation.currency),
+        currency: donation.currency,
+        projectTitle,
+        refundId: refund.id,
+        paymentId: donation.id,
+        reason: refund.reason,
+        isFullRefund,
+        cancelledReceipt: cancelledReceipt ? cancelledReceipt.serialNumber : null,
+        // Year-end receipts are replaced by the next year-end run instead
+        replacementAvailable: Boolean(cancelledReceipt) && !isFullRefund && cancelledReceipt.type !== 'consolidated',
+      };
+
+      try {
+        if (refundData.donorEmail) {
+          await resendEmailService.sendRefundConfirmation(refundData);
+        }
+        await resendEmailService.sendRefundNotification(refundData);
+        await donationLedger.markRefundNotified(paymentIntentId, refund.id);
+      } catch (error) {
+        // Left un-notified so the next refund webhook retries it
+        logger.error('Error sending refund notifications', {
+          error: error.message,
+          paymentIntentId,
+          refundId: refund.id,
+        });
+      }
+    }
+  }
+
   // Validate donation data
   validateDonationData(donationData) {
     const errors = [];
 
     // Required fields
+    const currency = normalizeCurrency(donationData.currency);
+    if (!validateCurrency(currency)) {
+      errors.push(`Currency must be one of: ${Object.keys(config.currencies).join(', ')}`);
+    }
+
     if (!donationData.amount) {
       errors.push('Amount is required');
-    } else if (!validateAmount(donationData.amount)) {
-      errors.push(`Amount must be between $${config.validation.minDonationAmount} and $${config.validation.maxDonationAmount}`);
+    } else if (!validateAmount(donationData.amount, currency)) {
+      errors.push(`Amount must be between ${describeAmountRange(currency)}`);
     }
 
     if (!donationData.projectId) {
@@ -204,20 +471,14 @@ class StripeService {
 
   // Handle webhook events
   async handleWebhook(event) {
+    const handler = this.webhookHandlers[event.type];
+    if (!handler) {
+      logger.info(`Unhandled webhook event: ${event.type}`);
+      return;
+    }
+
     try {
-      switch (event.type) {
-        case 'payment_intent.succeeded':
-          await this.handlePaymentSucceeded(event.data.object);
-          break;
-        case 'payment_intent.payment_failed':
-          await this.handlePaymentFailed(event.data.object);
-          break;
-        case 'charge.refunded':
-          await this.handleRefund(event.data.object);
-          break;
-        default:
-          logger.info(`Unhandled webhook event: ${event.type}`);
-      }
+      await handler(event.data.object, event);
     } catch (error) {
       logger.error('Error handling webhook event', {
         error: error.message,
@@ -236,13 +497,116 @@ class StripeService {
       metadata: paymentIntent.metadata,
     });
 
-    // Here you would typically:
-    // 1. Update your database with the successful payment
-    // 2. Send confirmation email
-    // 3. Generate receipt
-    // 4. Update project progress
-    
-    // For now, we'll just log the success
+    const donation = await donationLedger.recordPaymentIntent(paymentIntent, 'succeeded');
+    await this.updateCampaignTotals(donation);
+    await this.sendTributeNotification(donation);
+    await this.sendFundraiserNotification(donation);
+
+    // Subscription payments are confirmed from invoice.paid instead
+    if (!paymentIntent.invoice) {
+      await this.sendDonationEmails(paymentIntent.id);
+    }
+
+    return { success: true };
+  }
+
+  // Apply sponsor matching, then bring project and fundraiser totals in line
+  // with the ledger record. Called after every ledger change that can move
+  // the amount a donation counts for.
+  async updateCampaignTotals(donation) {
+    if (!donation) {
+      return null;
+    }
+
+    const match = matchingService.recordDonation(donation, campaignProgressService.countedAmount(donation));
+    const record = (await donationLedger.recordMatch(donation.id, match)) || donation;
+    campaignProgressService.recordDonation(record);
+    return record;
+  }
+
+  // Let a fundraiser page owner know about each gift made through their page
+  async sendFundraiserNotification(donation) {
+    if (!donation || !donation.fundraiserId || donation.fundraiserNotifiedAt) {
+      return;
+    }
+
+    const fundraiser = fundraiserService.getFundraiser(donation.fundraiserId);
+    if (!fundraiser) {
+      logger.warn('Donation references an unknown fundraiser', {
+        paymentIntentId: donation.id,
+        fundraiserId: donation.fundraiserId,
+      });
+      return;
+    }
+
+    try {
+      const progress = campaignProgressService.getFundraiserProgress(fundraiser);
+      await resendEmailService.sendFundraiserDonationNotification({
+        ownerName: fundraiser.ownerName,
+        ownerEmail: fundraiser.ownerEmail,
+        fundraiserTitle: fundraiser.title,
+        pageUrl: `${config.frontendUrl}/fundraisers/${fundraiser.slug}`,
+        projectTitle: projectService.getProject(fundraiser.projectId)?.title || null,
+        donorName: donation.anonymous ? null : donation.donor.name,
+        message: donation.message,
+        amount: fromMinorUnits(donation.giftAmount, donation.currency),
+        currency: donation.currency,
+        raised: progress.raised,
+        goal: fundraiser.goal,
+        goalCurrency: progress.currency,
+        supporters: progress.supporters,
+      });
+      await donationLedger.markFundraiserNotified(donation.id);
+    } catch (error) {
+      // The donation itself succeeded; the owner just misses this update
+      logger.error('Error sending fundraiser notification', {
+        error: error.message,
+        paymentIntentId: donation.id,
+        fundraiserId: donation.fundraiserId,
+      });
+    }
+  }
+
+  // Send the tribute e-card once per donation, if the donor named a recipient
+  async sendTributeNotification(donation) {
+    const { tribute } = donation;
+    if (!tribute || !tribute.recipientEmail || tribute.notifiedAt) {
+      return;
+    }
+
+    try {
+      await resendEmailService.sendTributeNotification({
+        tributeType: tribute.type,
+        honoreeName: tribute.honoreeName,
+        recipientName: tribute.recipientName,
+        recipientEmail: tribute.recipientEmail,
+        message: tribute.message,
+        donorName: donation.anonymous ? null : donation.donor.name,
+        projectTitle: projectService.getProject(donation.projectId)?.title || null,
+        amount: tribute.showAmount ? fromMinorUnits(donation.giftAmount, donation.currency) : null,
+        currency: donation.currency,
+        // The e-card is written in the donor's language
+        locale: donation.donor.locale,
+      });
+      await donationLedger.markTributeNotified(donation.id);
+    } catch (error) {
+      // The donation itself succeeded; log and leave the e-card for follow-up
+      logger.error('Error sending tribute notification', {
+        error: error.message,
+        paymentIntentId: donation.id,
+      });
+    }
+  }
+
+  // Handle a payment that is still clearing (bank debits)
+  async handlePaymentProcessing(paymentIntent) {
+    logger.info('Payment processing', {
+      paymentIntentId: paymentIntent.id,
+      paymentMethodTypes: paymentIntent.payment_method_types,
+    });
+
+    await donationLedger.recordPaymentIntent(paymentIntent, 'processing');
+
     return { success: true };
   }
 
@@ -253,14 +617,51 @@ class StripeService {
       lastPaymentError: paymentIntent.last_payment_error,
     });
 
-    // Here you would typically:
-    // 1. Update your database with the failed payment
-    // 2. Send failure notification email
-    // 3. Log the failure for follow-up
+    const previous = await donationLedger.getDonation(paymentIntent.id);
+    const donation = await donationLedger.recordPaymentIntent(paymentIntent, 'failed', {
+      reason: paymentIntent.last_payment_error?.message || null,
+    });
+
+    // Card failures are shown to the donor at checkout; a bank debit fails
+    // days later, so the donor needs to hear about it by email.
+    // Subscription payments are covered by invoice.payment_failed.
+    if (previous?.status === 'processing' && !paymentIntent.invoice && donation.donor.email) {
+      try {
+        await resendEmailService.sendPaymentFailedNotice({
+          donorName: donation.donor.name,
+          donorEmail: donation.donor.email,
+          locale: donation.donor.locale,
+          amount: fromMinorUnits(donation.amount, donation.currency),
+          currency: donation.currency,
+          projectTitle: projectService.getProject(donation.projectId)?.title || null,
+          reason: paymentIntent.last_payment_error?.message || null,
+          recurring: false,
+        });
+      } catch (error) {
+        logger.error('Error sending payment failed notice', {
+          error: error.message,
+          paymentIntentId: paymentIntent.id,
+        });
+      }
+    }
 
     return { success: false };
   }
 
+  // Handle a payment intent that was canceled before completing
+  async handlePaymentCanceled(paymentIntent) {
+    logger.info('Payment canceled', {
+      paymentIntentId: paymentIntent.id,
+      reason: paymentIntent.cancellation_reason,
+    });
+
+    await donationLedger.recordPaymentIntent(paymentIntent, 'canceled', {
+      reason: paymentIntent.cancellation_reason || null,
+    });
+
+    return { success: true };
+  }
+
   // Handle refund
   async handleRefund(charge) {
     logger.info('Refund processed', {
@@ -269,14 +670,273 @@ class StripeService {
       amount: charge.amount_refunded,
     });
 
-    // Here you would typically:
-    // 1. Update your database with the refund
-    // 2. Send refund confirmation email
-    // 3. Update project progress (subtract refunded amount)
+    const donation = await donationLedger.recordRefund(charge);
+    if (donation) {
+      await this.updateCampaignTotals(donation);
+      await this.processRefundNotifications(donation.id);
+    }
+
+    return { success: true };
+  }
+
+  // Handle a refund changing status after creation (e.g. a failed refund)
+  async handleRefundUpdated(refund) {
+    logger.info('Refund updated', {
+      refundId: refund.id,
+      paymentIntentId: refund.payment_intent,
+      status: refund.status,
+    });
+
+    const donation = await donationLedger.recordRefundUpdate(refund);
+    await this.updateCampaignTotals(donation);
+    if (!donation || !['failed', 'canceled'].includes(refund.status)) {
+      return { success: true };
+    }
+
+    // The refund never reached the donor; someone has to follow up
+    await this.sendPaymentAlert({
+      title: `Refund ${refund.status}: ${formatMinorAmount(refund.amount, refund.currency)}`,
+      summary: 'A refund could not be completed and has been removed from the donation\'s refunded total. The donor has not received this money.',
+      details: {
+        'Refund ID': refund.id,
+        'Payment ID': donation.id,
+        Donor: donation.donor.name || 'Anonymous',
+        'Failure Reason': refund.failure_reason,
+      },
+    }, donation.id);
+
+    return { success: true };
+  }
+
+  // Handle a dispute (chargeback) being opened or closed
+  async handleDispute(dispute, event) {
+    let paymentIntentId = dispute.payment_intent;
+    if (!paymentIntentId && dispute.charge) {
+      const charge = await this.stripe.charges.retrieve(dispute.charge);
+      paymentIntentId = charge.payment_intent;
+    }
+
+    logger.warn('Dispute update', {
+      disputeId: dispute.id,
+      paymentIntentId,
+      status: dispute.status,
+      reason: dispute.reason,
+    });
+
+    const donation = paymentIntentId
+      ? await donationLedger.recordDispute(paymentIntentId, dispute)
+      : null;
+    await this.updateCampaignTotals(donation);
+
+    // A lost dispute means the gift was returned; its tax receipt is no longer valid
+    let cancelledReceipt = null;
+    if (donation && dispute.status === 'lost') {
+      cancelledReceipt = await receiptService.voidReceipt(donation.id, 'Donation charged back');
+    }
+
+    const opened = event.type === 'charge.dispute.created';
+    await this.sendPaymentAlert({
+      title: opened
+        ? `Dispute opened: ${formatMinorAmount(dispute.amount, dispute.currency)}`
+        : `Dispute closed (${dispute.status}): ${formatMinorAmount(dispute.amount, dispute.currency)}`,
+      summary: opened
+        ? 'A donor has disputed a payment. Submit evidence in the Stripe Dashboard before the due date.'
+        : `The dispute was closed with status "${dispute.status}".`,
+      details: {
+        'Dispute ID': dispute.id,
+        'Payment ID': paymentIntentId,
+        Donor: donation ? (donation.donor.name || 'Anonymous') : null,
+        Reason: dispute.reason,
+        'Evidence Due': opened && dispute.evidence_details?.due_by
+          ? new Date(dispute.evidence_details.due_by * 1000).toLocaleDateString()
+          : null,
+        'Cancelled Receipt': cancelledReceipt ? cancelledReceipt.serialNumber : null,
+      },
+    }, paymentIntentId);
+
+    return { success: true };
+  }
+
+  // Handle a completed hosted Checkout payment
+  async handleCheckoutSessionCompleted(session) {
+    logger.info('Checkout session completed', {
+      sessionId: session.id,
+      paymentIntentId: session.payment_intent,
+      paymentStatus: session.payment_status,
+    });
+
+    // Delayed payment methods complete later via async_payment_succeeded
+    if (session.mode !== 'payment' || session.payment_status !== 'paid' || !session.payment_intent) {
+      return { success: true };
+    }
+
+    const paymentIntent = await this.stripe.paymentIntents.retrieve(session.payment_intent);
+    await this.handlePaymentSucceeded(paymentIntent);
+
+    return { success: true };
+  }
+
+  // Donor confirmation and admin notification for a succeeded payment, at
+  // most once per payment
+  async sendDonationEmails(paymentIntentId) {
+    const donation = await donationLedger.getDonation(paymentIntentId);
+    if (!donation || donation.confirmationSentAt || !donation.donor.email) {
+      return;
+    }
+
+    const donationData = {
+      donorName: donation.donor.name || 'Anonymous',
+      donorEmail: donation.donor.email,
+      locale: donation.donor.locale,
+      amount: fromMinorUnits(donation.giftAmount, donation.currency),
+      feeAmount: fromMinorUnits(donation.coveredFeeAmount || 0, donation.currency),
+      currency: donation.currency,
+      projectTitle: projectService.getProject(donation.projectId)?.title || 'Community Project',
+      message: donation.message,
+      submittedAt: new Date().toISOString(),
+      paymentId: donation.id,
+      ...(donation.match && {
+        matchedAmount: fromMinorUnits(donation.match.amount, donation.currency),
+        matchSponsors: donation.match.campaigns.map((campaign) => campaign.sponsor),
+      }),
+    };
+
+    try {
+      await resendEmailService.sendDonationConfirmation({
+        ...donationData,
+        // Only the donor gets the link to manage their recurring donation
+        manageUrl: donation.subscriptionId ? getSubscriptionManageUrl(donation.subscriptionId) : null,
+      });
+      await resendEmailService.sendDonationNotification(donationData);
+      await donationLedger.markConfirmationSent(donation.id);
+    } catch (error) {
+      logger.error('Error sending donation emails', {
+        error: error.message,
+        paymentIntentId,
+      });
+    }
+  }
+
+  // Donation metadata lives on the subscription, not on its invoices
+  async getInvoiceSubscriptionMetadata(invoice) {
+    const metadata = invoice.subscription_details?.metadata;
+    if (metadata && Object.keys(metadata).length > 0) {
+      return metadata;
+    }
+    if (!invoice.subscription) {
+      return {};
+    }
+    const subscription = await this.stripe.subscriptions.retrieve(invoice.subscription);
+    return subscription.metadata || {};
+  }
+
+  // Handle a paid recurring donation invoice
+  async handleInvoicePaid(invoice) {
+    if (!invoice.payment_intent || !invoice.amount_paid) {
+      return { success: true };
+    }
+
+    logger.info('Invoice paid', {
+      invoiceId: invoice.id,
+      subscriptionId: invoice.subscription,
+      amount: invoice.amount_paid,
+    });
+
+    const metadata = await this.getInvoiceSubscriptionMetadata(invoice);
+    const donation = await donationLedger.recordInvoicePayment(invoice, metadata, 'succeeded');
+    await this.updateCampaignTotals(donation);
+
+    // Confirm each recurring payment, the first one included
+    if (donation) {
+      await this.sendDonationEmails(donation.id);
+      await this.sendFundraiserNotification(donation);
+    }
+
+    return { success: true };
+  }
+
+  // Handle a failed recurring donation payment
+  async handleInvoicePaymentFailed(invoice) {
+    logger.warn('Invoice payment failed', {
+      invoiceId: invoice.id,
+      subscriptionId: invoice.subscription,
+      attemptCount: invoice.attempt_count,
+    });
+
+    const metadata = await this.getInvoiceSubscriptionMetadata(invoice);
+    const donation = await donationLedger.recordInvoicePayment(invoice, metadata, 'failed', {
+      attempt: invoice.attempt_count || null,
+    });
+
+    const donorEmail = donation?.donor.email || invoice.customer_email;
+    if (!donorEmail) {
+      return { success: false };
+    }
+
+    try {
+      await resendEmailService.sendPaymentFailedNotice({
+        donorName: donation?.donor.name || null,
+        donorEmail,
+        locale: donation?.donor.locale || metadata.locale,
+        amount: fromMinorUnits(invoice.amount_due, invoice.currency),
+        currency: invoice.currency,
+        projectTitle: projectService.getProject(metadata.projectId)?.title || null,
+        recurring: true,
+        updatePaymentUrl: invoice.hosted_invoice_url || null,
+        nextAttemptAt: invoice.next_payment_attempt
+          ? new Date(invoice.next_payment_attempt * 1000).toISOString()
+          : null,
+      });
+    } catch (error) {
+      logger.error('Error sending payment failed notice', {
+        error: error.message,
+        invoiceId: invoice.id,
+      });
+    }
+
+    return { success: false };
+  }
+
+  // Handle customer.subscription.* events
+  async handleSubscriptionChange(subscription, event) {
+    const record = subscriptionLedger.recordSubscription(subscription, event.type);
+
+    if (event.type !== 'customer.subscription.deleted' || !record.donor.email) {
+      return { success: true };
+    }
+
+    try {
+      await resendEmailService.sendSubscriptionCanceledNotice({
+        donorName: record.donor.name,
+        donorEmail: record.donor.email,
+        locale: record.donor.locale,
+        amount: record.amount ? fromMinorUnits(record.amount, record.currency) : null,
+        currency: record.currency,
+        interval: record.interval,
+        projectTitle: projectService.getProject(record.projectId)?.title || null,
+      });
+    } catch (error) {
+      logger.error('Error sending subscription cancellation notice', {
+        error: error.message,
+        subscriptionId: subscription.id,
+      });
+    }
 
     return { success: true };
   }
 
+  // Admin alerts are best effort; the webhook itself has been handled
+  async sendPaymentAlert(alertData, paymentIntentId) {
+    try {
+      await resendEmailService.sendPaymentAlert(alertData);
+    } catch (error) {
+      logger.error('Error sending payment alert', {
+        error: error.message,
+        paymentIntentId,
+      });
+    }
+  }
+
   // Get payment methods for a customer
   async getPaymentMethods(customerId) {
     try {
@@ -320,6 +980,195 @@ class StripeService {
       throw new Error('Failed to create customer');
     }
   }
+
+  // Find an existing customer by email or create a new one
+  async getOrCreateCustomer(email, name) {
+    try {
+      const existing = await this.stripe.customers.list({ email, limit: 1 });
+      if (existing.data.length > 0) {
+        return existing.data[0];
+      }
+    } catch (error) {
+      logger.warn('Customer lookup failed, creating a new customer', {
+        error: error.message,
+        email,
+      });
+    }
+
+    return this.createCustomer(email, name);
+  }
+
+  // Create a recurring price for a donation amount and interval
+  async createRecurringPrice(donationData) {
+    try {
+      const price = await this.stripe.prices.create({
+        unit_amount: toMinorUnits(donationData.amount, donationData.currency),
+        currency: normalizeCurrency(donationData.currency),
+        recurring: { interval: donationData.interval },
+        product_data: {
+          name: `${donationData.interval === 'year' ? 'Annual' : 'Monthly'} donation to ${donationData.projectTitle}`,
+        },
+        metadata: {
+          projectId: donationData.projectId,
+        },
+      });
+
+      logger.info('Recurring price created successfully', {
+        priceId: price.id,
+        amount: price.unit_amount,
+        interval: donationData.interval,
+      });
+
+      return price;
+    } catch (error) {
+      logger.error('Error creating recurring price', {
+        error: error.message,
+        projectId: donationData.projectId,
+        interval: donationData.interval,
+      });
+
+      throw error;
+    }
+  }
+
+  // Create a recurring donation subscription
+  async createSubscription(donationData) {
+    try {
+      const validation = this.validateDonationData(donationData);
+      if (!validation.isValid) {
+        throw new Error(validation.errors.join(', '));
+      }
+
+      if (!config.stripe.subscriptionIntervals.includes(donationData.interval)) {
+        throw new Error(`Interval must be one of: ${config.stripe.subscriptionIntervals.join(', ')}`);
+      }
+
+      const customer = await this.getOrCreateCustomer(
+        donationData.donorEmail,
+        donationData.anonymous ? undefined : donationData.donorName
+      );
+      const price = await this.createRecurringPrice(donationData);
+      const metadata = {
+        ...this.buildDonationMetadata(donationData),
+        interval: donationData.interval,
+      };
+
+      const subscription = await this.stripe.subscriptions.create({
+        customer: customer.id,
+        items: [{ price: price.id }],
+        description: `Recurring donation to ${donationData.projectTitle}`,
+        metadata,
+        payment_behavior: 'default_incomplete',
+        payment_settings: {
+          payment_method_types: config.stripe.paymentMethods,
+          save_default_payment_method: 'on_subscription',
+        },
+        expand: ['latest_invoice.payment_intent'],
+      });
+
+      logger.info('Subscription created successfully', {
+        subscriptionId: subscription.id,
+        customerId: customer.id,
+        amount: price.unit_amount,
+        interval: donationData.interval,
+        projectId: donationData.projectId,
+      });
+
+      return {
+        subscriptionId: subscription.id,
+        customerId: customer.id,
+        status: subscription.status,
+        clientSecret: subscription.latest_invoice?.payment_intent?.client_secret || null,
+      };
+    } catch (error) {
+      logger.error('Error creating subscription', {
+        error: error.message,
+        donationData: {
+          projectId: donationData.projectId,
+          donorEmail: donationData.donorEmail,
+          amount: donationData.amount,
+          interval: donationData.interval,
+        },
+      });
+
+      if (!error.type) {
+        throw error;
+      }
+      throw this.toPaymentError(error);
+    }
+  }
+
+  // Pause collection on a subscription (invoices are voided while paused)
+  async pauseSubscription(subscriptionId) {
+    try {
+      const subscription = await this.stripe.subscriptions.update(subscriptionId, {
+        pause_collection: { behavior: 'void' },
+      });
+
+      logger.info('Subscription paused', { subscriptionId });
+
+      return subscription;
+    } catch (error) {
+      logger.error('Error pausing subscription', {
+        error: error.message,
+        subscriptionId,
+      });
+
+      if (error.code === 'resource_missing') {
+        throw stripeError('Subscription not found', 404);
+      }
+      throw new Error('Failed to pause subscription');
+    }
+  }
+
+  // Resume collection on a paused subscription
+  async resumeSubscription(subscriptionId) {
+    try {
+      const subscription = await this.stripe.subscriptions.update(subscriptionId, {
+        pause_collection: '',
+      });
+
+      logger.info('Subscription resumed', { subscriptionId });
+
+      return subscription;
+    } catch (error) {
+      logger.error('Error resuming subscription', {
+        error: error.message,
+        subscriptionId,
+      });
+
+      if (error.code === 'resource_missing') {
+        throw stripeError('Subscription not found', 404);
+      }
+      throw new Error('Failed to resume subscription');
+    }
+  }
+
+  // Cancel a subscription now, or at the end of the current billing period
+  async cancelSubscription(subscriptionId, { atPeriodEnd = false } = {}) {
+    try {
+      const subscription = atPeriodEnd
+        ? await this.stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: true })
+        : await this.stripe.subscriptions.cancel(subscriptionId);
+
+      logger.info('Subscription canceled', {
+        subscriptionId,
+        atPeriodEnd,
+      });
+
+      return subscription;
+    } catch (error) {
+      logger.error('Error canceling subscription', {
+        error: error.message,
+        subscriptionId,
+      });
+
+      if (error.code === 'resource_missing') {
+        throw stripeError('Subscription not found', 404);
+      }
+      throw new Error('Failed to cancel subscription');
+    }
+  }
 }
 
-module.exports = new StripeService(); 
\ No newline at end of file
+module.exports = new StripeService();
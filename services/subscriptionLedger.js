@@ -0,0 +1,82 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+const toIsoTimestamp = (unixSeconds) => (
+  unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null
+);
+
+// Local copy of recurring donation state, kept current by
+// customer.subscription.* webhooks. Amounts are in minor units.
+class SubscriptionLedger {
+  constructor() {
+    this.store = new JsonFileStore(config.ledger.subscriptionsFile, {});
+  }
+
+  // Record a subscription as Stripe reported it
+  recordSubscription(subscription, eventType) {
+    const metadata = subscription.metadata || {};
+    const item = subscription.items?.data?.[0];
+    const price = item?.price || item?.plan || {};
+    const now = new Date().toISOString();
+
+    const record = this.store.update((subscriptions) => {
+      const existing = subscriptions[subscription.id];
+      const status = subscription.pause_collection ? 'paused' : subscription.status;
+
+      const next = {
+        id: subscription.id,
+        customerId: subscription.customer,
+        projectId: metadata.projectId || null,
+        donor: {
+          name: metadata.anonymous === 'true' ? 'Anonymous' : (metadata.donorName || null),
+          email: metadata.donorEmail || null,
+          locale: metadata.locale || null,
+        },
+        anonymous: metadata.anonymous === 'true',
+        amount: price.unit_amount ?? price.amount ?? null,
+        currency: price.currency || subscription.currency || config.stripe.currency,
+        interval: price.recurring?.interval || price.interval || metadata.interval || null,
+        status,
+        cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+        currentPeriodEnd: toIsoTimestamp(subscription.current_period_end),
+        canceledAt: toIsoTimestamp(subscription.canceled_at),
+        statusHistory: existing ? existing.statusHistory : [],
+        createdAt: existing ? existing.createdAt : (toIsoTimestamp(subscription.created) || now),
+        updatedAt: now,
+      };
+
+      const last = next.statusHistory[next.statusHistory.length - 1];
+      if (!last || last.status !== status) {
+        next.statusHistory.push({ status, at: now, event: eventType });
+      }
+
+      subscriptions[subscription.id] = next;
+      return next;
+    });
+
+    logger.info('Subscription ledger updated', {
+      subscriptionId: record.id,
+      status: record.status,
+      eventType,
+    });
+
+    return record;
+  }
+
+  getSubscription(subscriptionId) {
+    return this.store.read()[subscriptionId] || null;
+  }
+
+  // List subscriptions, newest first, optionally filtered
+  listSubscriptions({ status, donorEmail } = {}) {
+    const email = donorEmail ? donorEmail.toLowerCase() : null;
+
+    return Object.values(this.store.read())
+      .filter((record) => !status || record.status === status)
+      .filter((record) => !email || (record.donor.email || '').toLowerCase() === email)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+}
+
+module.exports = new SubscriptionLedger();
@@ -0,0 +1,69 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const supabaseError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Minimal client for Supabase's REST API (PostgREST), authenticated with the
+// service role key so row-level security does not apply
+class SupabaseService {
+  isConfigured() {
+    return Boolean(config.supabase.url && config.supabase.serviceRoleKey);
+  }
+
+  async request(path, { method = 'GET', body, headers = {} } = {}) {
+    if (!this.isConfigured()) {
+      throw supabaseError('Supabase is not configured', 503);
+    }
+
+    const url = `${config.supabase.url.replace(/\/+$/, '')}/rest/v1/${path}`;
+    const response = await fetch(url, {
+      method,
+      headers: {
+        apikey: config.supabase.serviceRoleKey,
+        Authorization: `Bearer ${config.supabase.serviceRoleKey}`,
+        'Content-Type': 'application/json',
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(config.supabase.timeoutMs),
+    });
+
+    if (!response.ok) {
+      const details = await response.text().catch(() => '');
+      logger.error('Supabase request failed', {
+        method,
+        path: path.split('?')[0],
+        status: response.status,
+        details: details.slice(0, 500),
+      });
+      throw supabaseError(`Supabase request failed with status ${response.status}`, 502);
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  // All rows of the projects table
+  async listProjects() {
+    return this.request(`${config.supabase.projectsTable}?select=*`);
+  }
+
+  // Update columns of one project row; returns the updated row, or null when
+  // no row has that id
+  async updateProject(id, fields) {
+    const rows = await this.request(
+      `${config.supabase.projectsTable}?id=eq.${encodeURIComponent(id)}`,
+      {
+        method: 'PATCH',
+        body: fields,
+        headers: { Prefer: 'return=representation' },
+      }
+    );
+    return rows && rows.length > 0 ? rows[0] : null;
+  }
+}
+
+module.exports = new SupabaseService();
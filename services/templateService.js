@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const config = require('../config/config');
+const localeService = require('./localeService');
+const { formatCurrency } = require('../utils/currency');
+
+// Each email is three files in the templates directory:
+//   <name>.subject.hbs, <name>.html.hbs and <name>.text.hbs
+// Shared layouts live in layouts/ and partials (header, footer, test banner)
+// in partials/, each with an .html.hbs and a .text.hbs variant.
+const VARIANTS = ['html', 'text'];
+
+const templateError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toDate = (value) => (value ? new Date(value) : new Date());
+
+// Locale of the email being rendered, passed by render() as @locale
+const localeOf = (options) => (options && options.data && options.data.locale) || config.email.defaultLocale;
+const intlLocaleOf = (options) => (options && options.data && options.data.intlLocale) || 'en-CA';
+
+// Links in emails may only point to web pages
+const SAFE_URL_PROTOCOLS = ['http:', 'https:'];
+
+// Stricter than RFC 5322 on purpose: no characters that change a mailto: URL
+const MAILTO_ADDRESS = /^[^\s@<>()[\]\\,;:"'?&#%=]+@[^\s@<>()[\]\\,;:"'?&#%=]+$/;
+
+// Helpers allowed to fill an href or src attribute in HTML templates
+const URL_HELPERS = ['url', 'mailto'];
+
+// Content ending inside a quoted href/src attribute
+const URL_ATTRIBUTE = /\b(?:href|src)\s*=\s*["'][^"']*$/i;
+
+// Absolute http(s) URL, or '#' for anything else (javascript:, data:, relative)
+const safeUrl = (value) => {
+  try {
+    const { protocol } = new URL(String(value));
+    return SAFE_URL_PROTOCOLS.includes(protocol) ? String(value).trim() : '#';
+  } catch (error) {
+    return '#';
+  }
+};
+
+// mailto: link for one address, with an optional subject made of the given
+// parts ({{mailto email "Re: " subject}}); '#' when the address is unusable
+const mailtoUrl = (address, ...args) => {
+  const parts = args.slice(0, -1).filter((part) => part !== undefined && part !== null);
+  if (typeof address !== 'string' || !MAILTO_ADDRESS.test(address.trim())) {
+    return '#';
+  }
+  const subject = parts.join('');
+  return `mailto:${address.trim()}${subject ? `?subject=${encodeURIComponent(subject)}` : ''}`;
+};
+
+// HTML templates output everything escaped. Raw output needs the raw helper,
+// and href/src attributes must be filled by a URL helper, so user input can't
+// add markup or turn a link into javascript: or an extra mailto: recipient.
+class SafeHtmlVisitor extends Handlebars.Visitor {
+  constructor(file) {
+    super();
+    this.file = file;
+    this.inUrlAttribute = false;
+  }
+
+  ContentStatement(content) {
+    // Only a quote can open or close an attribute
+    if (/["']/.test(content.value)) {
+      this.inUrlAttribute = URL_ATTRIBUTE.test(content.value);
+    }
+  }
+
+  MustacheStatement(mustache) {
+    const helper = mustache.params.length > 0 ? mustache.path.original : null;
+    if (!mustache.escaped) {
+      throw templateError(`Unescaped {{{ }}} output in ${this.file}; use {{raw ...}} for trusted HTML`, 500);
+    }
+    if (this.inUrlAttribute && !URL_HELPERS.includes(helper)) {
+      throw templateError(`Link in ${this.file} must use the url or mailto helper`, 500);
+    }
+    super.MustacheStatement(mustache);
+  }
+}
+
+// Helpers shared by the HTML and text variants. Values are formatted here, in
+// the email's locale, so templates only hold markup and message keys.
+const helpers = {
+  default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+  eq: (a, b) => a === b,
+  // Inline if/else for subexpressions: (choose recurring "a" "b")
+  choose: (condition, whenTrue, whenFalse) => (condition ? whenTrue : whenFalse),
+  add: (a, b) => (parseFloat(a) || 0) + (parseFloat(b) || 0),
+  // Message from the locale catalog: {{t "refund-confirmation.title" amount=...}}
+  t: (key, options) => localeService.translate(localeOf(options), key, options.hash),
+  localeName: (locale) => localeService.getName(locale),
+  currency: (amount, currency, options) => formatCurrency(amount, currency, intlLocaleOf(options)),
+  date: (value, options) => toDate(value).toLocaleDateString(intlLocaleOf(options), { dateStyle: 'long' }),
+  datetime: (value, options) => toDate(value).toLocaleString(intlLocaleOf(options), { dateStyle: 'long', timeStyle: 'short' }),
+  isoDate: (value) => toDate(value).toISOString().slice(0, 10),
+  // "A, B and C" in the email's language
+  list: (items, options) => (Array.isArray(items) ? new Intl.ListFormat(intlLocaleOf(options), { type: 'conjunction' }).format(items.map(String)) : ''),
+  // Build a message key from parts: (concat "submission-received." form ".title")
+  concat: (...args) => args.slice(0, -1).join(''),
+  join: (list, separator) => (Array.isArray(list) ? list.join(typeof separator === 'string' ? separator : ', ') : list),
+  plural: (count, singular, plural) => (count === 1 ? singular : plural),
+  // Donor name for a salutation; anonymous gifts get the fallback
+  greeting: (name, fallback) => (name && name !== 'Anonymous' ? name : fallback),
+  url: (value) => safeUrl(value),
+  mailto: mailtoUrl,
+};
+
+class TemplateService {
+  constructor() {
+    this.environments = null;
+    this.cache = new Map();
+  }
+
+  get templatesPath() {
+    return path.resolve(__dirname, '..', config.email.templatesPath);
+  }
+
+  // HTML output is escaped; text output is not
+  compileOptions(variant) {
+    return variant === 'html' ? {} : { noEscape: true };
+  }
+
+  // Compile a template, rejecting HTML that bypasses escaping
+  compile(env, source, variant, file) {
+    if (variant === 'html') {
+      new SafeHtmlVisitor(path.relative(this.templatesPath, file)).accept(Handlebars.parse(source));
+    }
+    return env.compile(source, this.compileOptions(variant));
+  }
+
+  createEnvironment(variant) {
+    const env = Handlebars.create();
+    Object.entries(helpers).forEach(([name, helper]) => env.registerHelper(name, helper));
+
+    // Line breaks in user-supplied text become <br> in HTML
+    env.registerHelper('nl2br', (text) => {
+      if (variant !== 'html') {
+        return text;
+      }
+      const escaped = Handlebars.Utils.escapeExpression(text);
+      return new Handlebars.SafeString(escaped.replace(/\r?\n/g, '<br>'));
+    });
+
+    // Opt-in for trusted markup only; never pass user input to it
+    env.registerHelper('raw', (html) => (variant === 'html' ? new Handlebars.SafeString(html || '') : html));
+
+    // Layouts are registered as partials named layouts/<name>
+    ['layouts', 'partials'].forEach((folder) => {
+      const dir = path.join(this.templatesPath, folder);
+      if (!fs.existsSync(dir)) {
+        return;
+      }
+      fs.readdirSync(dir)
+        .filter((file) => file.endsWith(`.${variant}.hbs`))
+        .forEach((file) => {
+          const name = file.slice(0, -`.${variant}.hbs`.length);
+          const source = fs.readFileSync(path.join(dir, file), 'utf-8');
+          env.registerPartial(
+            folder === 'layouts' ? `layouts/${name}` : name,
+            this.compile(env, source, variant, path.join(dir, file))
+          );
+        });
+    });
+
+    return env;
+  }
+
+  getEnvironments() {
+    if (!this.environments || !config.email.cacheTemplates) {
+      this.environments = Object.fromEntries(VARIANTS.map((variant) => [variant, this.createEnvironment(variant)]));
+      this.cache.clear();
+    }
+    return this.environments;
+  }
+
+  // Compiled template for one part of an email (subject, html or text)
+  getTemplate(name, part) {
+    const environments = this.getEnvironments();
+    const key = `${name}.${part}`;
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    const file = path.join(this.templatesPath, `${name}.${part}.hbs`);
+    if (!fs.existsSync(file)) {
+      throw templateError(`Email template not found: ${name}.${part}.hbs`, 500);
+    }
+
+    const variant = part === 'html' ? 'html' : 'text';
+    const template = this.compile(environments[variant], fs.readFileSync(file, 'utf-8'), variant, file);
+    this.cache.set(key, template);
+    return template;
+  }
+
+  // Render an email's subject, HTML and text bodies in a locale (the default
+  // locale when missing or unsupported)
+  render(name, data = {}, { locale } = {}) {
+    const resolved = localeService.resolve(locale);
+    const options = { data: { locale: resolved, intlLocale: localeService.getIntlLocale(resolved) } };
+
+    const subject = this.getTemplate(name, 'subject')(data, options).replace(/\s+/g, ' ').trim();
+    const html = this.getTemplate(name, 'html')(data, options).trim();
+    // Conditionals leave runs of blank lines in the text body; keep at most one
+    const text = this.getTemplate(name, 'text')(data, options)
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    return { subject, html, text };
+  }
+
+  // Names of every email that has all three parts
+  listTemplates() {
+    return fs.readdirSync(this.templatesPath)
+      .filter((file) => file.endsWith('.subject.hbs'))
+      .map((file) => file.slice(0, -'.subject.hbs'.length))
+      .filter((name) => VARIANTS.every((variant) => fs.existsSync(path.join(this.templatesPath, `${name}.${variant}.hbs`))))
+      .sort();
+  }
+}
+
+module.exports = new TemplateService();
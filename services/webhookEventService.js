@@ -0,0 +1,173 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+const stripeService = require('./stripeService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const webhookError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Persistent log of Stripe webhook events. Every delivery is recorded with its
+// payload, status ('processing', 'processed' or 'failed'), attempt count and
+// last error so redeliveries are skipped and failures can be replayed.
+class WebhookEventService {
+  constructor() {
+    this.store = new JsonFileStore(config.webhookEvents.fileName, {});
+  }
+
+  // Drop processed events past the retention window; failures are kept until replayed
+  prune(events, now) {
+    const cutoff = now - config.webhookEvents.retentionDays * DAY_MS;
+    Object.keys(events).forEach((id) => {
+      const entry = events[id];
+      if (entry.status === 'processed' && Date.parse(entry.processedAt) < cutoff) {
+        delete events[id];
+      }
+    });
+  }
+
+  isStale(entry, now) {
+    return entry.status === 'processing' &&
+      now - Date.parse(entry.lastAttemptAt) > config.webhookEvents.processingTimeoutMs;
+  }
+
+  // Claim an event for processing. Returns one of:
+  //   { status: 'new' }         - caller should process the event
+  //   { status: 'duplicate' }   - already processed, skip it
+  //   { status: 'in_progress' } - another delivery is processing it right now
+  claim(event, { replay = false } = {}) {
+    const now = Date.now();
+    const timestamp = new Date(now).toISOString();
+
+    return this.store.update((events) => {
+      this.prune(events, now);
+
+      const existing = events[event.id];
+      if (existing) {
+        if (existing.status === 'processed' && !replay) {
+          return { status: 'duplicate' };
+        }
+        if (existing.status === 'processing' && !this.isStale(existing, now)) {
+          return { status: 'in_progress' };
+        }
+      }
+
+      events[event.id] = {
+        id: event.id,
+        type: event.type,
+        livemode: Boolean(event.livemode),
+        createdAt: event.created ? new Date(event.created * 1000).toISOString() : null,
+        receivedAt: existing ? existing.receivedAt : timestamp,
+        payload: event,
+        status: 'processing',
+        attempts: (existing ? existing.attempts : 0) + 1,
+        lastAttemptAt: timestamp,
+        lastError: existing ? existing.lastError : null,
+        processedAt: null,
+      };
+      return { status: 'new' };
+    });
+  }
+
+  markProcessed(eventId) {
+    this.store.update((events) => {
+      if (!events[eventId]) {
+        return;
+      }
+      events[eventId].status = 'processed';
+      events[eventId].processedAt = new Date().toISOString();
+      events[eventId].lastError = null;
+    });
+  }
+
+  markFailed(eventId, error) {
+    this.store.update((events) => {
+      if (!events[eventId]) {
+        return;
+      }
+      events[eventId].status = 'failed';
+      events[eventId].lastError = {
+        message: error.message,
+        at: new Date().toISOString(),
+      };
+    });
+  }
+
+  // Record and process a verified Stripe event exactly once
+  async processEvent(event, options = {}) {
+    const claim = this.claim(event, options);
+
+    if (claim.status !== 'new') {
+      logger.info('Skipping webhook event', {
+        eventId: event.id,
+        eventType: event.type,
+        reason: claim.status,
+      });
+      return claim;
+    }
+
+    try {
+      await stripeService.handleWebhook(event);
+    } catch (error) {
+      this.markFailed(event.id, error);
+      throw error;
+    }
+
+    this.markProcessed(event.id);
+    return { status: 'processed' };
+  }
+
+  // Re-run a failed (or stuck) event from its stored payload
+  async replayEvent(eventId) {
+    const entry = this.store.read()[eventId];
+    if (!entry) {
+      throw webhookError('Webhook event not found', 404);
+    }
+    if (entry.status === 'processed') {
+      throw webhookError('Webhook event has already been processed', 409);
+    }
+    if (entry.status === 'processing' && !this.isStale(entry, Date.now())) {
+      throw webhookError('Webhook event is still being processed', 409);
+    }
+
+    logger.info('Replaying webhook event', {
+      eventId,
+      eventType: entry.type,
+      attempts: entry.attempts,
+    });
+
+    try {
+      await this.processEvent(entry.payload, { replay: true });
+    } catch (error) {
+      // The failure is recorded on the entry, which is returned either way
+      logger.error('Webhook event replay failed', {
+        eventId,
+        error: error.message,
+      });
+    }
+    return this.getEvent(eventId);
+  }
+
+  getEvent(eventId) {
+    return this.store.read()[eventId] || null;
+  }
+
+  // List events newest first, without payloads unless asked for
+  listEvents({ status, type, limit = 50, includePayload = false } = {}) {
+    const now = Date.now();
+
+    return Object.values(this.store.read())
+      .map((entry) => (this.isStale(entry, now) ? { ...entry, status: 'failed' } : entry))
+      .filter((entry) => !status || entry.status === status)
+      .filter((entry) => !type || entry.type === type)
+      .sort((a, b) => Date.parse(b.receivedAt) - Date.parse(a.receivedAt))
+      .slice(0, limit)
+      .map(({ payload, ...entry }) => (includePayload ? { ...entry, payload } : entry));
+  }
+}
+
+module.exports = new WebhookEventService();
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+const receiptService = require('./receiptService');
+const resendEmailService = require('./resendEmailService');
+const { fromMinorUnits } = require('../utils/currency');
+
+// Donor entries: pending until processed, then sent, skipped (already
+// emailed by an earlier run) or failed (retried when the run is resumed)
+const DONOR_STATUSES = ['pending', 'sent', 'skipped', 'failed'];
+
+const yearEndError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Issues one consolidated tax receipt per donor email for a calendar year and
+// emails it as a PDF. Progress is saved after every donor, so a run that was
+// interrupted or had failures can be resumed without emailing anyone twice.
+class YearEndReceiptService {
+  constructor() {
+    this.store = new JsonFileStore(config.yearEndReceipts.fileName, { runs: [] });
+    this.activeRunId = null;
+  }
+
+  // Current calendar year in the receipting time zone
+  currentYear() {
+    return Number(new Intl.DateTimeFormat('en-CA', {
+      timeZone: config.receipts.timeZone,
+      year: 'numeric',
+    }).format(new Date()));
+  }
+
+  // Receipts go out after the year has ended
+  defaultYear() {
+    return this.currentYear() - 1;
+  }
+
+  countDonors(run) {
+    const counts = { total: 0 };
+    DONOR_STATUSES.forEach((status) => {
+      counts[status] = 0;
+    });
+    Object.values(run.donors).forEach((entry) => {
+      counts.total += 1;
+      counts[entry.status] += 1;
+    });
+    return counts;
+  }
+
+  toSummary(run) {
+    const { donors, ...summary } = run;
+    return { ...summary, counts: this.countDonors(run) };
+  }
+
+  // Full run with per-donor progress
+  getRun(id) {
+    const run = this.store.read().runs.find((entry) => entry.id === id);
+    if (!run) {
+      return null;
+    }
+    return {
+      ...this.toSummary(run),
+      donors: Object.entries(run.donors).map(([email, entry]) => ({ email, ...entry })),
+    };
+  }
+
+  listRuns({ year } = {}) {
+    return this.store.read().runs
+      .filter((run) => !year || run.year === year)
+      .map((run) => this.toSummary(run));
+  }
+
+  updateRun(id, mutator) {
+    return this.store.update((data) => {
+      const run = data.runs.find((entry) => entry.id === id);
+      mutator(run);
+      run.updatedAt = new Date().toISOString();
+      return run;
+    });
+  }
+
+  updateDonor(runId, email, changes) {
+    this.updateRun(runId, (run) => {
+      Object.assign(run.donors[email], changes, { updatedAt: new Date().toISOString() });
+    });
+  }
+
+  // Start a run for a year, or resume the year's unfinished run. Donors are
+  // processed in the background; poll the run for progress.
+  startRun({ year = this.defaultYear(), trigger = 'manual' } = {}) {
+    if (this.activeRunId) {
+      throw yearEndError('A year-end receipt run is already in progress', 409);
+    }
+    if (year >= this.currentYear()) {
+      throw yearEndError('Year-end receipts can only be issued for a year that has ended', 400);
+    }
+    receiptService.assertConfigured();
+
+    const now = new Date().toISOString();
+    const run = this.store.update((data) => {
+      const unfinished = data.runs.find((entry) => entry.year === year && entry.status !== 'completed');
+      if (unfinished) {
+        unfinished.status = 'running';
+        unfinished.resumedAt = now;
+        unfinished.finishedAt = null;
+        unfinished.updatedAt = now;
+        return unfinished;
+      }
+
+      const created = {
+        id: crypto.randomUUID(),
+        year,
+        trigger,
+        status: 'running',
+        startedAt: now,
+        resumedAt: null,
+        updatedAt: now,
+        finishedAt: null,
+        error: null,
+        donors: {},
+      };
+      data.runs.unshift(created);
+      return created;
+    });
+
+    this.activeRunId = run.id;
+    logger.info(run.resumedAt ? 'Year-end receipt run resumed' : 'Year-end receipt run started', {
+      runId: run.id,
+      year,
+      trigger,
+    });
+
+    this.processRun(run.id)
+      .catch((error) => {
+        logger.error('Year-end receipt run failed', {
+          error: error.message,
+          runId: run.id,
+        });
+        this.updateRun(run.id, (entry) => {
+          entry.status = 'failed';
+          entry.error = error.message;
+          entry.finishedAt = new Date().toISOString();
+        });
+      })
+      .finally(() => {
+        this.activeRunId = null;
+      });
+
+    return this.toSummary(run);
+  }
+
+  async processRun(runId) {
+    const { year } = this.store.read().runs.find((entry) => entry.id === runId);
+    const donors = await receiptService.getYearEndDonors(year);
+
+    // Donors found since the run started (late gifts) are added when resuming
+    this.updateRun(runId, (run) => {
+      donors.forEach((donations, email) => {
+        if (!run.donors[email]) {
+          run.donors[email] = { status: 'pending', serialNumber: null, error: null, updatedAt: null };
+        }
+      });
+    });
+
+    for (const [email, donations] of donors) {
+      const { status } = this.store.read().runs.find((entry) => entry.id === runId).donors[email];
+      if (status === 'sent' || status === 'skipped') {
+        continue;
+      }
+
+      try {
+        const receipt = await receiptService.issueConsolidatedReceipt(year, email, donations);
+        if (receipt.emailedAt) {
+          this.updateDonor(runId, email, { status: 'skipped', serialNumber: receipt.serialNumber, error: null });
+          continue;
+        }
+
+        const pdf = await receiptService.renderReceiptBuffer(receipt);
+        await resendEmailService.sendYearEndReceipt({
+          donorName: receipt.donor.name,
+          donorEmail: receipt.donor.email,
+          locale: receipt.donor.locale,
+          year,
+          serialNumber: receipt.serialNumber,
+          eligibleAmount: fromMinorUnits(receipt.eligibleAmount, 'cad'),
+          giftCount: receipt.donations.length,
+          replaces: receipt.replaces,
+          pdf,
+        });
+        receiptService.markConsolidatedEmailed(receipt.serialNumber);
+        this.updateDonor(runId, email, { status: 'sent', serialNumber: receipt.serialNumber, error: null });
+      } catch (error) {
+        logger.warn('Error sending year-end receipt', {
+          error: error.message,
+          runId,
+          year,
+        });
+        this.updateDonor(runId, email, { status: 'failed', error: error.message });
+      }
+
+      await delay(config.yearEndReceipts.sendIntervalMs);
+    }
+
+    const run = this.updateRun(runId, (entry) => {
+      const counts = this.countDonors(entry);
+      entry.status = counts.failed > 0 ? 'completed_with_errors' : 'completed';
+      entry.finishedAt = new Date().toISOString();
+    });
+
+    logger.info('Year-end receipt run finished', {
+      runId,
+      year,
+      status: run.status,
+      ...this.countDonors(run),
+    });
+
+    return run;
+  }
+
+  // Pick up a run the server was stopped in the middle of
+  resumeInterrupted() {
+    const interrupted = this.store.read().runs.find((run) => run.status === 'running');
+    if (!interrupted || this.activeRunId) {
+      return null;
+    }
+
+    try {
+      return this.startRun({ year: interrupted.year, trigger: interrupted.trigger });
+    } catch (error) {
+      logger.error('Could not resume year-end receipt run', {
+        error: error.message,
+        runId: interrupted.id,
+      });
+      return null;
+    }
+  }
+}
+
+module.exports = new YearEndReceiptService();
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const config = require('../config/config');
+const campaignProgressService = require('../services/campaignProgressService');
+
+const PROJECT_ID = '0b7e6f7c-1d2e-4c3b-9a8f-5e6d7c8b9a0f';
+
+const donation = (overrides = {}) => ({
+  id: 'pi_test',
+  projectId: PROJECT_ID,
+  fundraiserId: null,
+  currency: 'cad',
+  amount: 5000,
+  giftAmount: 5000,
+  amountRefunded: 0,
+  status: 'succeeded',
+  donor: { email: 'jo@example.com' },
+  match: null,
+  ...overrides,
+});
+
+const patches = (fetch) => fetch.mock.calls
+  .filter(([, options]) => options.method === 'PATCH')
+  .map(([url, options]) => ({ url, body: JSON.parse(options.body) }));
+
+describe('campaignProgressService', () => {
+  const supabase = { ...config.supabase };
+  let fetch;
+
+  beforeEach(() => {
+    fs.rmSync(campaignProgressService.store.filePath, { force: true });
+    config.supabase.url = 'https://example.supabase.co';
+    config.supabase.serviceRoleKey = 'service-role-key';
+    fetch = jest.spyOn(global, 'fetch').mockImplementation(async () => new Response('[{}]'));
+  });
+
+  afterEach(() => {
+    Object.assign(config.supabase, supabase);
+    jest.restoreAllMocks();
+  });
+
+  test('counts a gift once, however often it is recorded', () => {
+    campaignProgressService.recordDonation(donation());
+    campaignProgressService.recordDonation(donation());
+
+    expect(campaignProgressService.getProgress({ id: PROJECT_ID, goal: 1000 })).toMatchObject({
+      raised: 50,
+      supporters: 1,
+      percentage: 5,
+    });
+  });
+
+  test('writes Supabase totals on top of the amount raised before', async () => {
+    campaignProgressService.setSupabaseBaseline(PROJECT_ID, { amount_raised: 1200.5, supporters: 30 });
+
+    campaignProgressService.recordDonation(donation());
+    await campaignProgressService.queueSupabaseUpdate(PROJECT_ID);
+
+    expect(patches(fetch).pop()).toEqual({
+      url: `https://example.supabase.co/rest/v1/projects?id=eq.${PROJECT_ID}`,
+      body: { amount_raised: 1250.5, supporters: 31 },
+    });
+
+    campaignProgressService.recordDonation(donation({ amountRefunded: 2000, status: 'partially_refunded' }));
+    await campaignProgressService.queueSupabaseUpdate(PROJECT_ID);
+
+    expect(patches(fetch).pop().body).toEqual({ amount_raised: 1230.5, supporters: 31 });
+  });
+
+  test('keeps the first baseline when projects are loaded again', () => {
+    campaignProgressService.setSupabaseBaseline(PROJECT_ID, { amount_raised: 100, supporters: 2 });
+    campaignProgressService.recordDonation(donation());
+    campaignProgressService.setSupabaseBaseline(PROJECT_ID, { amount_raised: 150, supporters: 3 });
+
+    expect(campaignProgressService.getSupabaseProgress(PROJECT_ID)).toEqual({ amount_raised: 150, supporters: 3 });
+  });
+
+  test('leaves projects that are not in Supabase alone', async () => {
+    campaignProgressService.recordDonation(donation({ projectId: 'general' }));
+    await campaignProgressService.queueSupabaseUpdate('general');
+
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,154 @@
+const donationLedger = require('../services/donationLedger');
+const receiptService = require('../services/receiptService');
+const MemoryLedgerAdapter = require('../services/ledgerAdapters/memoryLedgerAdapter');
+
+const paymentIntent = (overrides = {}) => ({
+  id: 'pi_test',
+  amount: 5000,
+  currency: 'cad',
+  created: 1767225600,
+  latest_charge: 'ch_test',
+  metadata: {
+    projectId: 'general',
+    donorName: 'Jo Donor',
+    donorEmail: 'jo@example.com',
+    anonymous: 'false',
+  },
+  ...overrides,
+});
+
+const charge = (amountRefunded, refunds) => ({
+  id: 'ch_test',
+  payment_intent: 'pi_test',
+  amount: 5000,
+  currency: 'cad',
+  created: 1767225600,
+  amount_refunded: amountRefunded,
+  refunds: { data: refunds },
+});
+
+// Behaves like a real store: records are copies, and reads and writes yield
+// to other work in between
+class AsyncLedgerAdapter extends MemoryLedgerAdapter {
+  async get(id) {
+    await new Promise((resolve) => setImmediate(resolve));
+    const record = await super.get(id);
+    return record && JSON.parse(JSON.stringify(record));
+  }
+
+  async put(record) {
+    await new Promise((resolve) => setImmediate(resolve));
+    return super.put(JSON.parse(JSON.stringify(record)));
+  }
+}
+
+const refund = (id, amount, status = 'succeeded') => ({
+  id,
+  amount,
+  status,
+  payment_intent: 'pi_test',
+  created: 1767312000,
+});
+
+describe('donationLedger', () => {
+  beforeEach(() => {
+    donationLedger.useAdapter(new AsyncLedgerAdapter());
+  });
+
+  test('records a payment intent with donor, project and status history', async () => {
+    await donationLedger.recordPaymentIntent(paymentIntent(), 'processing');
+    const record = await donationLedger.recordPaymentIntent(paymentIntent(), 'succeeded');
+
+    expect(record).toMatchObject({
+      id: 'pi_test',
+      amount: 5000,
+      giftAmount: 5000,
+      currency: 'cad',
+      projectId: 'general',
+      status: 'succeeded',
+      donor: { name: 'Jo Donor', email: 'jo@example.com' },
+    });
+    expect(record.statusHistory.map((entry) => entry.status)).toEqual(['processing', 'succeeded']);
+  });
+
+  test('ignores a redelivered status', async () => {
+    await donationLedger.recordPaymentIntent(paymentIntent(), 'succeeded');
+    const record = await donationLedger.recordPaymentIntent(paymentIntent(), 'succeeded');
+
+    expect(record.statusHistory).toHaveLength(1);
+  });
+
+  test('keeps a refunded donation refunded when succeeded is replayed', async () => {
+    await donationLedger.recordPaymentIntent(paymentIntent(), 'succeeded');
+    await donationLedger.recordRefund(charge(5000, [refund('re_1', 5000)]));
+    const record = await donationLedger.recordPaymentIntent(paymentIntent(), 'succeeded');
+
+    expect(record.status).toBe('refunded');
+    expect(record.amountRefunded).toBe(5000);
+    expect(record.statusHistory.map((entry) => entry.status)).toEqual(['succeeded', 'refunded']);
+  });
+
+  test('ignores a replayed older refund event with a lower total', async () => {
+    await donationLedger.recordPaymentIntent(paymentIntent(), 'succeeded');
+    await donationLedger.recordRefund(charge(1000, [refund('re_1', 1000)]));
+    await donationLedger.recordRefund(charge(5000, [refund('re_1', 1000), refund('re_2', 4000)]));
+    const record = await donationLedger.recordRefund(charge(1000, [refund('re_1', 1000)]));
+
+    expect(record.status).toBe('refunded');
+    expect(record.amountRefunded).toBe(5000);
+  });
+
+  test('moves back to partially refunded when a refund fails', async () => {
+    await donationLedger.recordPaymentIntent(paymentIntent(), 'succeeded');
+    await donationLedger.recordRefund(charge(5000, [refund('re_1', 1000), refund('re_2', 4000)]));
+    const record = await donationLedger.recordRefundUpdate(refund('re_2', 4000, 'failed'));
+
+    expect(record.status).toBe('partially_refunded');
+    expect(record.amountRefunded).toBe(1000);
+  });
+
+  test('does not let a late failure undo a successful payment', async () => {
+    await donationLedger.recordPaymentIntent(paymentIntent(), 'succeeded');
+    const record = await donationLedger.recordPaymentIntent(paymentIntent(), 'failed');
+
+    expect(record.status).toBe('succeeded');
+  });
+
+  test('keeps a disputed donation disputed until the dispute closes', async () => {
+    const dispute = { id: 'dp_1', amount: 5000, currency: 'cad', reason: 'fraudulent', created: 1767312000 };
+    await donationLedger.recordPaymentIntent(paymentIntent(), 'succeeded');
+    await donationLedger.recordDispute('pi_test', { ...dispute, status: 'needs_response' });
+
+    let record = await donationLedger.recordPaymentIntent(paymentIntent(), 'succeeded');
+    expect(record.status).toBe('disputed');
+
+    record = await donationLedger.recordDispute('pi_test', { ...dispute, status: 'won' });
+    expect(record.status).toBe('succeeded');
+  });
+
+  test('dates the gift from Stripe, not from when the webhook was handled', async () => {
+    // Paid 2025-12-31 23:30 Eastern time; the webhook is handled a day later
+    const paidAt = Date.UTC(2026, 0, 1, 4, 30) / 1000;
+    await donationLedger.recordPaymentIntent(paymentIntent({ created: paidAt }), 'succeeded');
+    const record = await donationLedger.recordPaymentIntent(paymentIntent({ created: paidAt + 86400 }), 'succeeded');
+
+    expect(record.receivedAt).toBe('2026-01-01T04:30:00.000Z');
+    expect(receiptService.getDateReceived(record)).toBe(record.receivedAt);
+    expect(receiptService.getTaxYear(record)).toBe(2025);
+  });
+
+  test('keeps both changes when updates for the same payment run together', async () => {
+    await donationLedger.recordPaymentIntent(paymentIntent(), 'succeeded');
+
+    await Promise.all([
+      donationLedger.recordRefund(charge(1000, [refund('re_1', 1000)])),
+      donationLedger.markConfirmationSent('pi_test'),
+      donationLedger.recordMatch('pi_test', { amount: 5000, currency: 'cad', campaigns: [] }),
+    ]);
+    const record = await donationLedger.getDonation('pi_test');
+
+    expect(record.status).toBe('partially_refunded');
+    expect(record.confirmationSentAt).not.toBeNull();
+    expect(record.match).toMatchObject({ amount: 5000 });
+  });
+});
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const config = require('../config/config');
+const emailQueueService = require('../services/emailQueueService');
+const emailTransport = require('../services/emailTransport');
+const resendEmailService = require('../services/resendEmailService');
+
+const START = new Date('2026-03-05T15:30:00.000Z');
+const { baseDelayMs, maxAttempts } = config.emailQueue;
+
+describe('emailQueueService', () => {
+  let send;
+
+  beforeEach(() => {
+    // Fake timers hold back the send that enqueue schedules, so each test
+    // runs the worker itself and moves the clock past each backoff
+    jest.useFakeTimers({ now: START });
+    fs.rmSync(emailQueueService.store.filePath, { force: true });
+    send = jest.spyOn(resendEmailService, 'sendContactNotification');
+  });
+
+  afterEach(() => {
+    emailQueueService.stop();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  const enqueue = () => emailQueueService.enqueue('contact-notification', { name: 'Jo', email: 'jo@example.com' });
+  const advance = (ms) => jest.setSystemTime(Date.now() + ms);
+
+  test('sends a queued email and removes it from the queue', async () => {
+    send.mockResolvedValue({ id: 'email_1', transport: 'resend' });
+    enqueue();
+
+    await emailQueueService.processDue();
+
+    expect(send).toHaveBeenCalledWith({ name: 'Jo', email: 'jo@example.com' });
+    expect(emailQueueService.listJobs()).toEqual([]);
+  });
+
+  test('rejects unknown email types', () => {
+    expect(() => emailQueueService.enqueue('postcard', {})).toThrow('Unknown email type: postcard');
+  });
+
+  test('retries a failed send after an exponential backoff', async () => {
+    send
+      .mockRejectedValueOnce(new Error('Resend is down'))
+      .mockRejectedValueOnce(new Error('Resend is still down'))
+      .mockResolvedValue({ id: 'email_1', transport: 'resend' });
+    const { id } = enqueue();
+
+    await emailQueueService.processDue();
+    expect(emailQueueService.getJob(id)).toMatchObject({
+      status: 'pending',
+      attempts: 1,
+      lastError: 'Resend is down',
+      nextAttemptAt: new Date(START.getTime() + baseDelayMs).toISOString(),
+    });
+
+    // Not due yet
+    advance(baseDelayMs - 1);
+    await emailQueueService.processDue();
+    expect(send).toHaveBeenCalledTimes(1);
+
+    advance(1);
+    await emailQueueService.processDue();
+    expect(emailQueueService.getJob(id)).toMatchObject({
+      attempts: 2,
+      lastError: 'Resend is still down',
+      nextAttemptAt: new Date(Date.now() + 2 * baseDelayMs).toISOString(),
+    });
+
+    advance(2 * baseDelayMs);
+    await emailQueueService.processDue();
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(emailQueueService.getJob(id)).toBeNull();
+  });
+
+  test('caps the backoff at the maximum delay', () => {
+    expect(emailQueueService.backoffMs(1)).toBe(baseDelayMs);
+    expect(emailQueueService.backoffMs(3)).toBe(4 * baseDelayMs);
+    expect(emailQueueService.backoffMs(50)).toBe(config.emailQueue.maxDelayMs);
+  });
+
+  test('moves an email to the dead-letter list after the last attempt', async () => {
+    send.mockRejectedValue(new Error('Resend is down'));
+    const { id } = enqueue();
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+      await emailQueueService.processDue();
+      advance(config.emailQueue.maxDelayMs);
+    }
+
+    expect(send).toHaveBeenCalledTimes(maxAttempts);
+    expect(emailQueueService.getJob(id)).toMatchObject({
+      status: 'dead',
+      attempts: maxAttempts,
+      lastError: 'Resend is down',
+      data: { email: 'jo@example.com' },
+    });
+    expect(emailQueueService.countJobs()).toEqual({ pending: 0, sending: 0, dead: 1 });
+
+    // Dead letters are not retried on their own
+    await emailQueueService.processDue();
+    expect(send).toHaveBeenCalledTimes(maxAttempts);
+  });
+
+  test('sends a dead letter again with fresh attempts when an admin retries it', async () => {
+    send.mockRejectedValue(new Error('Resend is down'));
+    const { id } = enqueue();
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+      await emailQueueService.processDue();
+      advance(config.emailQueue.maxDelayMs);
+    }
+
+    send.mockResolvedValue({ id: 'email_1', transport: 'resend' });
+    expect(emailQueueService.retryJob(id)).toMatchObject({ status: 'pending', attempts: 0 });
+    await emailQueueService.processDue();
+
+    expect(emailQueueService.getJob(id)).toBeNull();
+    expect(emailQueueService.countJobs()).toEqual({ pending: 0, sending: 0, dead: 0 });
+  });
+
+  test('purges dead letters but not emails still queued', async () => {
+    send.mockRejectedValue(new Error('Resend is down'));
+    const { id: deadId } = enqueue();
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+      await emailQueueService.processDue();
+      advance(config.emailQueue.maxDelayMs);
+    }
+    const { id: queuedId } = enqueue();
+
+    expect(() => emailQueueService.purgeJob(queuedId)).toThrow('Only dead-letter emails can be purged');
+    emailQueueService.purgeJob(deadId);
+    expect(emailQueueService.getJob(deadId)).toBeNull();
+    expect(() => emailQueueService.purgeJob(deadId)).toThrow('Email job not found');
+  });
+
+  test('keeps an email that only reached the outbox fallback queued for retry', async () => {
+    jest.spyOn(emailTransport, 'describe').mockReturnValue(['resend', 'outbox']);
+    send.mockResolvedValue({ transport: 'outbox' });
+    const { id } = enqueue();
+
+    await emailQueueService.processDue();
+
+    expect(emailQueueService.getJob(id)).toMatchObject({
+      status: 'pending',
+      attempts: 1,
+      lastError: 'Email only reached the outbox after resend failed',
+    });
+  });
+
+  test('sends emails interrupted by a restart again on startup', async () => {
+    send.mockResolvedValue({ id: 'email_1', transport: 'resend' });
+    const { id } = enqueue();
+    emailQueueService.claimNext();
+    expect(emailQueueService.getJob(id).status).toBe('sending');
+
+    emailQueueService.start();
+    await emailQueueService.processDue();
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(emailQueueService.getJob(id)).toBeNull();
+  });
+});
@@ -0,0 +1,25 @@
+const config = require('../config/config');
+const { calculateCoveredFees } = require('../utils/fees');
+
+describe('calculateCoveredFees', () => {
+  const fixed = { ...config.fees.fixed };
+
+  afterEach(() => {
+    config.fees.fixed = { ...fixed };
+  });
+
+  test('grosses up the gift by the percentage and fixed fee', () => {
+    // (5000 + 30) / (1 - 0.029) = 5180.22, rounded up
+    expect(calculateCoveredFees(50, 'cad')).toEqual({
+      giftAmount: 5000,
+      feeAmount: 181,
+      totalAmount: 5181,
+    });
+  });
+
+  test('uses the configured fixed fee for the currency', () => {
+    config.fees.fixed.cad = 0;
+
+    expect(calculateCoveredFees(50, 'cad').feeAmount).toBe(150);
+  });
+});
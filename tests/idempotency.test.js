@@ -0,0 +1,110 @@
+const fs = require('fs');
+const express = require('express');
+const request = require('supertest');
+const { idempotency } = require('../middleware/idempotency');
+const idempotencyService = require('../services/idempotencyService');
+
+describe('idempotency middleware', () => {
+  let handled;
+  let app;
+
+  beforeEach(() => {
+    fs.rmSync(idempotencyService.store.filePath, { force: true });
+    handled = 0;
+
+    app = express();
+    app.use(express.json());
+    app.post('/payments',
+      idempotency('payments', {
+        restore: async (body) => ({ ...body, clientSecret: `${body.id}_secret_again` }),
+      }),
+      (req, res) => {
+        handled += 1;
+        if (req.body.fail) {
+          return res.status(500).json({ error: 'Stripe is down' });
+        }
+        res.json({ id: `pi_${handled}`, clientSecret: `pi_${handled}_secret`, stripeKey: req.idempotencyKey });
+      });
+  });
+
+  const post = (key, body = { amount: 25 }, userAgent = 'donation-page') => request(app)
+    .post('/payments')
+    .set('User-Agent', userAgent)
+    .set('Idempotency-Key', key)
+    .send(body);
+
+  test('replays the original response for a retry', async () => {
+    const first = await post('key-1');
+    const retry = await post('key-1');
+
+    expect(handled).toBe(1);
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual({ ...first.body, clientSecret: 'pi_1_secret_again' });
+  });
+
+  test('never stores the client secret', async () => {
+    await post('key-1');
+
+    const stored = fs.readFileSync(idempotencyService.store.filePath, 'utf-8');
+    expect(stored).not.toMatch(/secret/);
+  });
+
+  test('rejects a key reused with a different payload', async () => {
+    await post('key-1', { amount: 25 });
+    const reused = await post('key-1', { amount: 2500 });
+
+    expect(reused.status).toBe(409);
+    expect(handled).toBe(1);
+  });
+
+  test('keeps keys from different clients apart', async () => {
+    const first = await post('key-1', { amount: 25 }, 'donation-page');
+    const other = await post('key-1', { amount: 25 }, 'someone-else');
+
+    expect(handled).toBe(2);
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(other.body.id).not.toBe(first.body.id);
+    expect(other.body.stripeKey).not.toBe(first.body.stripeKey);
+  });
+
+  test('lets a request be retried after a server error', async () => {
+    await post('key-1', { amount: 25, fail: true });
+    const retry = await post('key-1', { amount: 25, fail: true });
+
+    expect(handled).toBe(2);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('rejects a retry while the first request is still running', async () => {
+    let finish;
+    app.post('/slow',
+      idempotency('slow'),
+      async (req, res) => {
+        await new Promise((resolve) => { finish = resolve; });
+        res.json({ ok: true });
+      });
+    const slow = () => request(app).post('/slow').set('Idempotency-Key', 'key-1').send({ amount: 25 });
+
+    const first = slow().then((response) => response);
+    while (!finish) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    const retry = await slow();
+    finish();
+
+    expect(retry.status).toBe(409);
+    expect(retry.body.error).toMatch(/still being processed/);
+    expect((await first).status).toBe(200);
+  });
+
+  test.each([
+    ['an empty key', ''],
+    ['a key that is too long', 'k'.repeat(256)],
+  ])('rejects %s', async (label, key) => {
+    const response = await post(key);
+
+    expect(response.status).toBe(400);
+    expect(handled).toBe(0);
+  });
+});
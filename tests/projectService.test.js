@@ -0,0 +1,82 @@
+const config = require('../config/config');
+const projectService = require('../services/projectService');
+
+describe('projectService', () => {
+  describe('validateDonation', () => {
+    test('applies site-wide limits in every currency when a project sets none', () => {
+      const project = projectService.getProject('general');
+
+      expect(projectService.validateDonation(project, 50, 'usd').isValid).toBe(true);
+      expect(projectService.validateDonation(project, 9500, 'eur').errors)
+        .toEqual(['Amount must be between €1.00 and €9,000.00 for this project']);
+    });
+
+    test('checks the default currency against minAmount and maxAmount', () => {
+      const project = projectService.normalizeProject({ id: 'walk', title: 'Walk', status: 'open', minAmount: 5, maxAmount: 100 });
+
+      expect(projectService.validateDonation(project, 50, 'cad').isValid).toBe(true);
+      expect(projectService.validateDonation(project, 500, 'cad').errors)
+        .toEqual(['Amount must be between $5.00 and $100.00 for this project']);
+    });
+
+    test('rejects currencies a project with its own limits has none for', () => {
+      const project = projectService.normalizeProject({
+        id: 'walk',
+        title: 'Walk',
+        status: 'open',
+        limits: { usd: { minAmount: 10, maxAmount: 20 } },
+      });
+
+      expect(projectService.validateDonation(project, 15, 'usd').isValid).toBe(true);
+      expect(projectService.validateDonation(project, 30, 'usd').isValid).toBe(false);
+      expect(projectService.validateDonation(project, 15, 'cad').errors)
+        .toEqual(['Project "Walk" only accepts donations in USD']);
+    });
+  });
+
+  describe('syncRemoteProjects', () => {
+    const supabase = { ...config.supabase };
+    const uuid = '0b7e6f7c-1d2e-4c3b-9a8f-5e6d7c8b9a0f';
+
+    beforeEach(() => {
+      config.supabase.url = 'https://example.supabase.co';
+      config.supabase.serviceRoleKey = 'service-role-key';
+    });
+
+    afterEach(() => {
+      Object.assign(config.supabase, supabase);
+      projectService.remoteProjects = [];
+      projectService.merge();
+      jest.restoreAllMocks();
+    });
+
+    test('resolves Supabase project ids next to the catalog file', async () => {
+      const fetch = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(JSON.stringify([
+        { id: uuid, title: 'Language camp', target_amount: 5000, amount_raised: 120 },
+        { id: 'general', title: 'Shadowed by the catalog file' },
+      ])));
+
+      await projectService.syncRemoteProjects();
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://example.supabase.co/rest/v1/projects?select=*',
+        expect.objectContaining({
+          headers: expect.objectContaining({ Authorization: 'Bearer service-role-key' }),
+        })
+      );
+      expect(projectService.getProject(uuid)).toMatchObject({ title: 'Language camp', status: 'open', goal: 5000 });
+      expect(projectService.getProject('general').title).toBe('General Fund');
+    });
+
+    test('keeps the last loaded projects when Supabase fails', async () => {
+      jest.spyOn(global, 'fetch')
+        .mockResolvedValueOnce(new Response(JSON.stringify([{ id: uuid, title: 'Language camp' }])))
+        .mockResolvedValueOnce(new Response('unavailable', { status: 503 }));
+
+      await projectService.syncRemoteProjects();
+      await projectService.syncRemoteProjects();
+
+      expect(projectService.getProject(uuid)).not.toBeNull();
+    });
+  });
+});
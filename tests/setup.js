@@ -0,0 +1,12 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test file gets its own data and log directories so specs never touch
+// DATA_PATH or logs/ and can run in parallel
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrax-test-'));
+process.env.DATA_PATH = path.join(dir, 'data');
+process.env.LOG_FILE = path.join(dir, 'logs', 'app.log');
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_placeholder';
+
+require('../utils/logger').silent = true;
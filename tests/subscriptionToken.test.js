@@ -0,0 +1,43 @@
+const config = require('../config/config');
+const {
+  signSubscriptionToken,
+  verifySubscriptionToken,
+  getSubscriptionManageUrl,
+} = require('../utils/subscriptionToken');
+
+describe('subscriptionToken', () => {
+  test('accepts the token issued for the subscription', () => {
+    const token = signSubscriptionToken('sub_123');
+
+    expect(verifySubscriptionToken('sub_123', token)).toBe(true);
+  });
+
+  test.each([
+    ['another subscription', () => signSubscriptionToken('sub_456')],
+    ['a truncated token', () => signSubscriptionToken('sub_123').slice(0, -1)],
+    ['an empty token', () => ''],
+    ['no token', () => undefined],
+  ])('rejects %s', (label, token) => {
+    expect(verifySubscriptionToken('sub_123', token())).toBe(false);
+  });
+
+  test('rejects tokens signed with an old secret', () => {
+    const secret = config.subscriptions.tokenSecret;
+    const token = signSubscriptionToken('sub_123');
+
+    config.subscriptions.tokenSecret = 'rotated-secret';
+    try {
+      expect(verifySubscriptionToken('sub_123', token)).toBe(false);
+    } finally {
+      config.subscriptions.tokenSecret = secret;
+    }
+  });
+
+  test('links to the manage page with the subscription and its token', () => {
+    const url = new URL(getSubscriptionManageUrl('sub_123'));
+
+    expect(`${url.origin}${url.pathname}`).toBe(`${config.frontendUrl}${config.subscriptions.managePath}`);
+    expect(url.searchParams.get('subscription')).toBe('sub_123');
+    expect(verifySubscriptionToken('sub_123', url.searchParams.get('token'))).toBe(true);
+  });
+});
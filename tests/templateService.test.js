@@ -0,0 +1,210 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config/config');
+const templateService = require('../services/templateService');
+
+// Hostile values from website forms, Stripe metadata and admin input. Each
+// set fills every field any template reads, so every email shows them.
+const PAYLOADS = {
+  'script tags and a javascript: URL': {
+    text: '<script>alert(1)</script>',
+    email: 'evil@example.com?cc=victim@example.com',
+    url: 'javascript:alert(1)',
+  },
+  'quote-breaking names and a data: URL': {
+    text: '"\'><img src=x onerror=alert(1)><a href="https://evil.example">',
+    email: 'evil@example.com?bcc=victim@example.com&subject=hi',
+    url: 'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+  },
+  'mixed-case schemes and header-breaking subjects': {
+    text: 'Re: hi\r\nBcc: victim@example.com\r\n" onmouseover="alert(1)',
+    email: '"evil@example.com"@example.com?bcc=victim@example.com',
+    url: ' JaVaScRiPt:alert(document.cookie)',
+  },
+};
+
+const buildData = ({ text, email, url }) => ({
+  // Submitted text
+  name: text,
+  subject: text,
+  message: text,
+  firstName: text,
+  lastName: text,
+  donorName: text,
+  ownerName: text,
+  honoreeName: text,
+  recipientName: text,
+  communityName: text,
+  coordinatorName: text,
+  courseId: text,
+  address: text,
+  city: text,
+  province: text,
+  postalCode: text,
+  phone: text,
+  motivation: text,
+  experience: text,
+  availability: text,
+  skills: text,
+  emergencyContact: text,
+  emergencyPhone: text,
+  comments: text,
+  projectTitle: text,
+  fundraiserTitle: text,
+  reason: text,
+  title: text,
+  summary: text,
+  tagline: text,
+  bannerNote: text,
+  serialNumber: text,
+  cancelledReceipt: text,
+  replaces: text,
+  refundId: text,
+  paymentId: text,
+  id: text,
+  trigger: text,
+  volunteerRoles: [text, text],
+  matchSponsors: [text, text],
+  transports: [text],
+  details: [{ label: text, value: text }],
+  counts: [{ label: text, count: 1 }],
+  listed: [{ label: text, message: text }],
+  settled: [{ code: text, gross: 10, fee: 1, net: 9, currency: 'cad' }],
+
+  // Addresses and links
+  email,
+  donorEmail: email,
+  fromAddress: email,
+  adminPanelUrl: url,
+  pageUrl: url,
+  updatePaymentUrl: url,
+  manageUrl: url,
+
+  // Everything else, set so optional sections render
+  form: 'contact',
+  amount: 50,
+  currency: 'cad',
+  feeAmount: 2,
+  matchedAmount: 50,
+  refundAmount: 10,
+  originalAmount: 50,
+  totalRefunded: 10,
+  eligibleAmount: 500,
+  giftCount: 3,
+  raised: 100,
+  goal: 500,
+  goalCurrency: 'cad',
+  supporters: 2,
+  discrepancyCount: 1,
+  moreCount: 1,
+  year: 2026,
+  tributeType: 'memory',
+  recurring: true,
+  replacementAvailable: true,
+  isFullRefund: false,
+  clean: false,
+  anonymous: false,
+  isProduction: false,
+  locale: 'fr',
+  submittedAt: '2026-03-05T15:30:00.000Z',
+  subscribedAt: '2026-03-05T15:30:00.000Z',
+  sentAt: '2026-03-05T15:30:00.000Z',
+  nextAttemptAt: '2026-03-12T15:30:00.000Z',
+  from: '2026-03-01T00:00:00.000Z',
+  to: '2026-03-02T00:00:00.000Z',
+});
+
+const attributeValues = (html, attribute) => (
+  [...html.matchAll(new RegExp(`\\s${attribute}\\s*=\\s*"([^"]*)"`, 'gi'))].map((match) => match[1])
+);
+
+describe('templateService', () => {
+  describe.each(Object.entries(PAYLOADS))('with %s', (label, payload) => {
+    const data = buildData(payload);
+
+    test.each(templateService.listTemplates())('%s escapes user data', (name) => {
+      for (const locale of ['en', 'fr']) {
+        const { subject, html } = templateService.render(name, data, { locale });
+
+        // No markup from the data survives as markup
+        expect(html).not.toMatch(/<script/i);
+        expect(html).not.toMatch(/<img/i);
+        expect(html).not.toMatch(/<a href="https:\/\/evil/i);
+        expect(html).not.toMatch(/\son(error|mouseover)\s*=/i);
+
+        // Links only point at http(s), plain mailto addresses or nowhere
+        // (templates may add a fixed path after the url helper)
+        const links = [...attributeValues(html, 'href'), ...attributeValues(html, 'src')];
+        links.forEach((link) => {
+          expect(link).toMatch(/^(https?:\/\/|mailto:|#)/);
+          expect(link).not.toMatch(/javascript:|data:/i);
+        });
+        attributeValues(html, 'href')
+          .filter((link) => link.startsWith('mailto:'))
+          .forEach((link) => {
+            expect(link).not.toMatch(/evil@example\.com/);
+            expect(link).not.toMatch(/[?&](cc|bcc)=/i);
+          });
+
+        // Subjects are one line, so they can't add mail headers
+        expect(subject).not.toMatch(/[\r\n]/);
+      }
+    });
+  });
+
+  test('covers every email template', () => {
+    const htmlTemplates = fs.readdirSync(templateService.templatesPath)
+      .filter((file) => file.endsWith('.html.hbs'))
+      .map((file) => file.slice(0, -'.html.hbs'.length));
+    expect(templateService.listTemplates()).toEqual(htmlTemplates.sort());
+  });
+
+  describe('compiling', () => {
+    const templatesPath = config.email.templatesPath;
+    let dir;
+
+    const writeTemplate = (name, html) => {
+      fs.writeFileSync(path.join(dir, `${name}.subject.hbs`), 'Subject');
+      fs.writeFileSync(path.join(dir, `${name}.text.hbs`), '{{a}}');
+      fs.writeFileSync(path.join(dir, `${name}.html.hbs`), html);
+    };
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-templates-'));
+      fs.cpSync(path.resolve(__dirname, '..', templatesPath), dir, { recursive: true });
+      config.email.templatesPath = dir;
+    });
+
+    afterEach(() => {
+      config.email.templatesPath = templatesPath;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('rejects triple-stash output', () => {
+      writeTemplate('unsafe', '<p>{{{a}}}</p>');
+      expect(() => templateService.render('unsafe', { a: '<b>x</b>' }))
+        .toThrow(/Unescaped \{\{\{ \}\}\} output/);
+    });
+
+    test.each([
+      ['a bare href', '<a href="{{a}}">x</a>'],
+      ['a value after the url helper', '<a href="{{url a}}/page?q={{a}}">x</a>'],
+      ['a single-quoted href', "<a href='{{a}}'>x</a>"],
+      ['a bare src', '<img src="{{a}}">'],
+    ])('rejects %s', (label, html) => {
+      writeTemplate('unsafe', html);
+      expect(() => templateService.render('unsafe', { a: 'javascript:alert(1)' }))
+        .toThrow(/must use the url or mailto helper/);
+    });
+
+    test('accepts links through the url and mailto helpers', () => {
+      writeTemplate('safe', '<a href="{{url a}}">{{a}}</a> <a href="{{mailto b}}">{{b}}</a>');
+      const { html } = templateService.render('safe', {
+        a: 'javascript:alert(1)',
+        b: 'evil@example.com?bcc=victim@example.com',
+      });
+      expect(html).toBe('<a href="#">javascript:alert(1)</a> <a href="#">evil@example.com?bcc&#x3D;victim@example.com</a>');
+    });
+  });
+});
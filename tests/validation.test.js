@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const Stripe = require('stripe');
+const {
+  parseStripeSignatureHeader,
+  stripTags,
+  validateRefundData,
+  validateWebhookSignature,
+} = require('../utils/validation');
+
+const sign = (payload, secret, timestamp) => (
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`, 'utf8').digest('hex')
+);
+
+describe('validation', () => {
+  describe('stripTags', () => {
+    test.each([
+      ['keeps plain text as typed', 'Tom & Jerry say "hi", it\'s 2 < 3', 'Tom & Jerry say "hi", it\'s 2 < 3'],
+      ['removes tags and their attributes', '<b>Bold</b> <img src=x onerror=alert(1)>walk', 'Bold walk'],
+      ['drops script contents', '<script>alert(1)</script>Walk for water', 'Walk for water'],
+      ['removes tags hidden behind entities', '&lt;script&gt;alert(1)&lt;/script&gt;Walk', 'Walk'],
+      ['removes tags hidden behind double entities', '&amp;lt;img src=x onerror=alert(1)&amp;gt;Walk', 'Walk'],
+    ])('%s', (label, input, expected) => {
+      expect(stripTags(input)).toBe(expected);
+    });
+
+    test('leaves non-strings alone', () => {
+      expect(stripTags(undefined)).toBeUndefined();
+      expect(stripTags(5)).toBe(5);
+    });
+  });
+
+  describe('validateRefundData', () => {
+    const refund = (amount, currency) => ({ paymentIntentId: 'pi_12345678', amount, currency });
+
+    test('checks the amount against the donation currency limits', () => {
+      expect(validateRefundData(refund(9500, 'cad')).isValid).toBe(true);
+      expect(validateRefundData(refund(9500, 'eur')).errors)
+        .toEqual(['Refund amount must be between €1.00 and €9,000.00']);
+    });
+  });
+
+  describe('validateWebhookSignature', () => {
+    const payload = JSON.stringify({ id: 'evt_test', type: 'payment_intent.succeeded' });
+    const secret = 'whsec_current';
+    const now = 1767225600;
+
+    test('accepts a header signed by the Stripe library', () => {
+      const header = new Stripe('sk_test_placeholder').webhooks.generateTestHeaderString({ payload, secret, timestamp: now });
+
+      expect(validateWebhookSignature(payload, header, secret, { now })).toEqual({ isValid: true, timestamp: now });
+      expect(validateWebhookSignature(Buffer.from(payload), header, secret, { now }).isValid).toBe(true);
+    });
+
+    test('accepts any v1 signature and ignores other schemes', () => {
+      const header = `t=${now},v0=${sign(payload, secret, now)},v1=${'0'.repeat(64)},v1=${sign(payload, secret, now)}`;
+      expect(validateWebhookSignature(payload, header, secret, { now }).isValid).toBe(true);
+    });
+
+    test('accepts the previous secret while it is being rotated out', () => {
+      const header = `t=${now},v1=${sign(payload, 'whsec_previous', now)}`;
+
+      expect(validateWebhookSignature(payload, header, [secret, 'whsec_previous'], { now }).isValid).toBe(true);
+      expect(validateWebhookSignature(payload, header, secret, { now }).error).toBe('No matching signature');
+    });
+
+    test('rejects a tampered body', () => {
+      const header = `t=${now},v1=${sign(payload, secret, now)}`;
+      const tampered = payload.replace('succeeded', 'canceled');
+
+      expect(validateWebhookSignature(tampered, header, secret, { now }).error).toBe('No matching signature');
+    });
+
+    test('rejects a signature replayed with a newer timestamp', () => {
+      const header = `t=${now + 60},v1=${sign(payload, secret, now)}`;
+      expect(validateWebhookSignature(payload, header, secret, { now: now + 60 }).error).toBe('No matching signature');
+    });
+
+    test('rejects events older than the tolerance', () => {
+      const header = `t=${now},v1=${sign(payload, secret, now)}`;
+
+      expect(validateWebhookSignature(payload, header, secret, { now: now + 300, tolerance: 300 }).isValid).toBe(true);
+      expect(validateWebhookSignature(payload, header, secret, { now: now + 301, tolerance: 300 }).error)
+        .toBe('Timestamp outside the tolerance window');
+      expect(validateWebhookSignature(payload, header, secret, { now: now + 86400, tolerance: 0 }).isValid).toBe(true);
+    });
+
+    test.each([
+      ['a missing header', undefined],
+      ['no timestamp', `v1=${'a'.repeat(64)}`],
+      ['a non-numeric timestamp', `t=soon,v1=${'a'.repeat(64)}`],
+      ['no v1 signature', `t=${now},v0=${'a'.repeat(64)}`],
+    ])('rejects %s as malformed', (label, header) => {
+      expect(validateWebhookSignature(payload, header, secret, { now }).error).toBe('Malformed Stripe-Signature header');
+    });
+
+    test('rejects everything when no secret is configured', () => {
+      const header = `t=${now},v1=${sign(payload, secret, now)}`;
+      expect(validateWebhookSignature(payload, header, [undefined, ''], { now }).error).toBe('No webhook secret configured');
+    });
+
+    test('parses the header into a timestamp and signatures', () => {
+      expect(parseStripeSignatureHeader(' t=12 , v1=abc,v1=def, v0=ghi,junk')).toEqual({ timestamp: 12, signatures: ['abc', 'def'] });
+    });
+  });
+});
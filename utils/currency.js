@@ -0,0 +1,61 @@
+const config = require('../config/config');
+
+// Stripe currencies whose smallest unit is the whole unit (no cents)
+// https://stripe.com/docs/currencies#zero-decimal
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga',
+  'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf',
+];
+
+// Normalize a currency code to Stripe's lowercase form
+const normalizeCurrency = (currency) => (
+  typeof currency === 'string' && currency.trim()
+    ? currency.trim().toLowerCase()
+    : config.stripe.currency
+);
+
+// Check a currency against the configured allow-list
+const isSupportedCurrency = (currency) => (
+  Object.prototype.hasOwnProperty.call(config.currencies, normalizeCurrency(currency))
+);
+
+// Per-currency donation limits in major units
+const getCurrencyLimits = (currency) => config.currencies[normalizeCurrency(currency)] || null;
+
+const isZeroDecimal = (currency) => ZERO_DECIMAL_CURRENCIES.includes(normalizeCurrency(currency));
+
+// Convert a major-unit amount (e.g. 25.50) to Stripe's smallest unit (e.g. 2550)
+const toMinorUnits = (amount, currency) => (
+  isZeroDecimal(currency) ? Math.round(amount) : Math.round(amount * 100)
+);
+
+// Convert a Stripe smallest-unit amount back to major units
+const fromMinorUnits = (amount, currency) => (
+  isZeroDecimal(currency) ? amount : amount / 100
+);
+
+// Format a major-unit amount for display, e.g. "$25.00", "US$25.00" or "€25.00"
+const formatCurrency = (amount, currency, locale = 'en-CA') => {
+  const code = normalizeCurrency(currency).toUpperCase();
+  const value = typeof amount === 'number' ? amount : parseFloat(amount);
+
+  if (Number.isNaN(value)) {
+    return `${amount} ${code}`;
+  }
+
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: code,
+  }).format(value);
+};
+
+module.exports = {
+  ZERO_DECIMAL_CURRENCIES,
+  normalizeCurrency,
+  isSupportedCurrency,
+  getCurrencyLimits,
+  isZeroDecimal,
+  toMinorUnits,
+  fromMinorUnits,
+  formatCurrency,
+};
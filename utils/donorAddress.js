@@ -0,0 +1,35 @@
+// Donor address fields and the Stripe metadata keys they are stored under.
+// Each field gets its own key since Stripe caps metadata values at 500
+// characters, which a JSON-encoded address can exceed.
+const ADDRESS_METADATA_KEYS = {
+  line1: 'donorAddressLine1',
+  line2: 'donorAddressLine2',
+  city: 'donorAddressCity',
+  province: 'donorAddressProvince',
+  postalCode: 'donorAddressPostalCode',
+  country: 'donorAddressCountry',
+};
+
+const toAddressMetadata = (address) => (
+  Object.entries(ADDRESS_METADATA_KEYS).reduce((metadata, [field, key]) => {
+    if (address && address[field]) {
+      metadata[key] = address[field];
+    }
+    return metadata;
+  }, {})
+);
+
+const fromAddressMetadata = (metadata = {}) => {
+  const address = Object.entries(ADDRESS_METADATA_KEYS).reduce((fields, [field, key]) => {
+    if (metadata[key]) {
+      fields[field] = metadata[key];
+    }
+    return fields;
+  }, {});
+  return Object.keys(address).length > 0 ? address : null;
+};
+
+module.exports = {
+  toAddressMetadata,
+  fromAddressMetadata,
+};
@@ -0,0 +1,23 @@
+const config = require('../config/config');
+const { normalizeCurrency, toMinorUnits } = require('./currency');
+
+// Gross up a gift so that, after Stripe's percentage + fixed fee, the charity
+// still receives the full gift. All results are in the currency's smallest unit.
+const calculateCoveredFees = (giftAmount, currency) => {
+  const code = normalizeCurrency(currency);
+  const percentage = config.fees.percentage / 100;
+  const fixedFee = toMinorUnits(config.fees.fixed[code] || 0, code);
+  const gift = toMinorUnits(giftAmount, code);
+
+  const total = Math.ceil((gift + fixedFee) / (1 - percentage));
+
+  return {
+    giftAmount: gift,
+    feeAmount: total - gift,
+    totalAmount: total,
+  };
+};
+
+module.exports = {
+  calculateCoveredFees,
+};
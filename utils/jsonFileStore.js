@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+// Small synchronous JSON file store for single-process local persistence.
+// Writes go to a temp file first and are renamed into place so a crash
+// mid-write never leaves a truncated file behind.
+class JsonFileStore {
+  constructor(fileName, defaultValue) {
+    this.filePath = path.isAbsolute(fileName)
+      ? fileName
+      : path.resolve(config.storage.dataPath, fileName);
+    this.defaultValue = defaultValue;
+  }
+
+  // Fresh copy of the default so callers can mutate it safely
+  getDefault() {
+    return JSON.parse(JSON.stringify(this.defaultValue));
+  }
+
+  // Only a missing file means "no data yet". A file that can't be read or
+  // parsed is an error: returning the default would let the next update()
+  // overwrite it (and, for receipts, reuse serial numbers).
+  read() {
+    let contents;
+    try {
+      contents = fs.readFileSync(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return this.getDefault();
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(contents);
+    } catch (error) {
+      error.message = `Corrupt data file ${this.filePath}: ${error.message}`;
+      throw error;
+    }
+  }
+
+  write(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeFileSync(fd, JSON.stringify(data, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  // Read, mutate in place and write back in one synchronous step.
+  // Returns whatever the mutator returns.
+  update(mutator) {
+    const data = this.read();
+    const result = mutator(data);
+    this.write(data);
+    return result;
+  }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+// Token that lets a donor manage one recurring donation without an account:
+// an HMAC of the subscription id with SUBSCRIPTION_TOKEN_SECRET
+const signSubscriptionToken = (subscriptionId) => crypto
+  .createHmac('sha256', config.subscriptions.tokenSecret)
+  .update(`subscription:${subscriptionId}`)
+  .digest('base64url');
+
+// Check a token in constant time
+const verifySubscriptionToken = (subscriptionId, token) => {
+  if (typeof token !== 'string' || !token) {
+    return false;
+  }
+
+  const expected = Buffer.from(signSubscriptionToken(subscriptionId));
+  const received = Buffer.from(token);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+// Donor page for pausing, resuming or cancelling a recurring donation
+const getSubscriptionManageUrl = (subscriptionId) => {
+  const query = new URLSearchParams({
+    subscription: subscriptionId,
+    token: signSubscriptionToken(subscriptionId),
+  });
+  return `${config.frontendUrl}${config.subscriptions.managePath}?${query}`;
+};
+
+module.exports = {
+  signSubscriptionToken,
+  verifySubscriptionToken,
+  getSubscriptionManageUrl,
+};
@@ -1,7 +1,15 @@
 const validator = require('validator');
+const sanitizeHtml = require('sanitize-html');
 const config = require('../config/config');
+const {
+  normalizeCurrency,
+  isSupportedCurrency,
+  getCurrencyLimits,
+  formatCurrency,
+} = require('./currency');
 
 const FRIENDLY_PROJECT_ID_REGEX = /^[a-z0-9-]{3,64}$/i;
+const PAYMENT_INTENT_ID_REGEX = /^pi_[A-Za-z0-9]{8,}$/;
 
 // Validate email format
 const validateEmail = (email) => {
@@ -12,14 +20,33 @@ const validateEmail = (email) => {
   return validator.isEmail(email) && email.length <= config.validation.maxEmailLength;
 };
 
-// Validate amount
-const validateAmount = (amount) => {
+// Validate amount against the limits for its currency (defaults to the Stripe currency)
+const validateAmount = (amount, currency = config.stripe.currency) => {
   if (typeof amount !== 'number' || isNaN(amount)) {
     return false;
   }
+
+  const limits = getCurrencyLimits(currency);
+  if (!limits) {
+    return false;
+  }
   
-  return amount >= config.validation.minDonationAmount && 
-         amount <= config.validation.maxDonationAmount;
+  return amount >= limits.minAmount && 
+         amount <= limits.maxAmount;
+};
+
+// Human-readable amount range for a currency, e.g. "$1.00 and $10,000.00"
+const describeAmountRange = (currency = config.stripe.currency) => {
+  const limits = getCurrencyLimits(currency) || {
+    minAmount: config.validation.minDonationAmount,
+    maxAmount: config.validation.maxDonationAmount,
+  };
+  return `${formatCurrency(limits.minAmount, currency)} and ${formatCurrency(limits.maxAmount, currency)}`;
+};
+
+// Validate currency against the allow-list
+const validateCurrency = (currency) => {
+  return typeof currency === 'string' && isSupportedCurrency(currency);
 };
 
 // Validate name
@@ -70,6 +97,12 @@ const validateProjectId = (projectId) => {
   return FRIENDLY_PROJECT_ID_REGEX.test(normalizedProjectId);
 };
 
+// Validate Stripe payment intent ID (e.g. pi_3N...)
+const validatePaymentIntentId = (paymentIntentId) => {
+  return typeof paymentIntentId === 'string' &&
+         PAYMENT_INTENT_ID_REGEX.test(paymentIntentId);
+};
+
 // Validate payment method
 const validatePaymentMethod = (paymentMethod) => {
   const allowedMethods = ['stripe', 'manual', 'check', 'cash'];
@@ -90,15 +123,37 @@ const sanitizeString = (input) => {
   return validator.escape(input.trim());
 };
 
+// Strip HTML from text shown publicly, keeping it plain text: sanitize-html
+// escapes what is left, so unescape it, and strip again in case the input
+// hid tags behind entities. Templates escape the result when rendering.
+const stripTags = (input) => {
+  if (typeof input !== 'string') {
+    return input;
+  }
+
+  const text = sanitizeHtml(input, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+  return text === input ? text : stripTags(text);
+};
+
 // Validate donation data object
 const validateDonationData = (donationData) => {
   const errors = [];
 
   // Required fields
+  const currency = normalizeCurrency(donationData.currency);
+  if (donationData.currency !== undefined && !validateCurrency(donationData.currency)) {
+    errors.push(`Currency must be one of: ${Object.keys(config.currencies).join(', ')}`);
+  }
+
   if (!donationData.amount) {
     errors.push('Amount is required');
-  } else if (!validateAmount(donationData.amount)) {
-    errors.push(`Amount must be between $${config.validation.minDonationAmount} and $${config.validation.maxDonationAmount}`);
+  } else if (!validateAmount(donationData.amount, currency)) {
+    errors.push(`Amount must be between ${describeAmountRange(currency)}`);
   }
 
   if (!donationData.projectId) {
@@ -154,12 +209,12 @@ const validateRefundData = (refundData) => {
 
   if (!refundData.paymentIntentId) {
     errors.push('Payment intent ID is required');
-  } else if (!validator.isUUID(refundData.paymentIntentId)) {
+  } else if (!validatePaymentIntentId(refundData.paymentIntentId)) {
     errors.push('Invalid payment intent ID format');
   }
 
-  if (refundData.amount && !validateAmount(refundData.amount)) {
-    errors.push(`Refund amount must be between $${config.validation.minDonationAmount} and $${config.validation.maxDonationAmount}`);
+  if (refundData.amount && !validateAmount(refundData.amount, refundData.currency)) {
+    errors.push(`Refund amount must be between ${describeAmountRange(refundData.currency)}`);
   }
 
   const allowedReasons = ['requested_by_customer', 'duplicate', 'fraudulent'];
@@ -173,22 +228,66 @@ const validateRefundData = (refundData) => {
   };
 };
 
-// Validate webhook signature
-const validateWebhookSignature = (payload, signature, secret) => {
-  try {
-    const crypto = require('crypto');
-    const expectedSignature = crypto
-      .createHmac('sha256', secret)
-      .update(payload, 'utf8')
-      .digest('hex');
-    
-    return crypto.timingSafeEqual(
-      Buffer.from(signature.replace('whsec_', ''), 'hex'),
-      Buffer.from(expectedSignature, 'hex')
+// Parse a Stripe-Signature header: "t=<timestamp>,v1=<sig>[,v1=<sig>...]"
+const parseStripeSignatureHeader = (header) => {
+  const parsed = { timestamp: null, signatures: [] };
+
+  String(header || '').split(',').forEach((item) => {
+    const separator = item.indexOf('=');
+    if (separator === -1) {
+      return;
+    }
+    const key = item.slice(0, separator).trim();
+    const value = item.slice(separator + 1).trim();
+
+    if (key === 't') {
+      parsed.timestamp = /^\d+$/.test(value) ? parseInt(value, 10) : null;
+    } else if (key === 'v1' && value) {
+      parsed.signatures.push(value);
+    }
+  });
+
+  return parsed;
+};
+
+// Validate a Stripe webhook signature against one or more endpoint secrets.
+// The signed payload is "<timestamp>.<raw body>"; events older than the
+// tolerance (seconds) are rejected to prevent replays.
+const validateWebhookSignature = (payload, header, secrets, options = {}) => {
+  const crypto = require('crypto');
+  const tolerance = options.tolerance ?? config.stripe.webhookTolerance;
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+  const activeSecrets = (Array.isArray(secrets) ? secrets : [secrets]).filter(Boolean);
+
+  if (activeSecrets.length === 0) {
+    return { isValid: false, error: 'No webhook secret configured' };
+  }
+
+  const { timestamp, signatures } = parseStripeSignatureHeader(header);
+  if (timestamp === null || signatures.length === 0) {
+    return { isValid: false, error: 'Malformed Stripe-Signature header' };
+  }
+
+  const signedPayload = `${timestamp}.${Buffer.isBuffer(payload) ? payload.toString('utf8') : payload}`;
+  const matches = activeSecrets.some((secret) => {
+    const expected = Buffer.from(
+      crypto.createHmac('sha256', secret).update(signedPayload, 'utf8').digest('hex')
     );
-  } catch (error) {
-    return false;
+    return signatures.some((signature) => {
+      const candidate = Buffer.from(signature);
+      return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+    });
+  });
+
+  if (!matches) {
+    return { isValid: false, error: 'No matching signature' };
+  }
+
+  if (tolerance > 0 && now - timestamp > tolerance) {
+    return { isValid: false, error: 'Timestamp outside the tolerance window' };
   }
+
+  return { isValid: true, timestamp };
 };
 
 // Validate API key
@@ -273,14 +372,19 @@ const validateFileUpload = (file) => {
 module.exports = {
   validateEmail,
   validateAmount,
+  describeAmountRange,
+  validateCurrency,
   validateName,
   validateMessage,
   validateProjectId,
+  validatePaymentIntentId,
   validatePaymentMethod,
   validateAnonymous,
   sanitizeString,
+  stripTags,
   validateDonationData,
   validateRefundData,
+  parseStripeSignatureHeader,
   validateWebhookSignature,
   validateApiKey,
   validatePagination,